@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Score a backlog outside the browser with the app's own engine.
+ *
+ *   psa score <backlog.json> [--weights w.json] [--format table|csv|json]
+ *
+ * The backlog is a workspace exported with "Export JSON" (older files and bare PD arrays are upgraded
+ * the same way the app imports them). --weights replaces individual weights: a { factor: weight } object,
+ * or another workspace export whose weights are taken; every key must be one of the backlog's criteria.
+ * The workspace's what-if multipliers, scoring model, normalization and rank overrides apply as in the
+ * app. csv matches the app's "Export CSV".
+ */
+import { readFile } from "node:fs/promises";
+import {
+  criterionKeys, csvRows, rankedBacklog, readWorkspaceFile, scoreWorkspace, toCSV, validateWorkspace,
+} from "../src/engine.js";
+
+const FORMATS = ["table", "csv", "json"];
+const USAGE = "Usage: psa score <backlog.json> [--weights w.json] [--format table|csv|json]";
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  if (command === "--help" || command === "-h") return { help: true };
+  if (command !== "score") throw new UsageError(command ? `Unknown command ${command}` : "Missing command");
+  const opts = { file: null, weights: null, format: "table" };
+  for (let i = 0; i < rest.length; i++) {
+    const [flag, value] = [rest[i], rest[i + 1]];
+    if (flag === "--weights" || flag === "--format") {
+      if (value === undefined) throw new UsageError(`${flag} needs a value`);
+      opts[flag.slice(2)] = value;
+      i++;
+    } else if (flag.startsWith("--")) throw new UsageError(`Unknown option ${flag}`);
+    else if (opts.file) throw new UsageError(`Unexpected argument ${flag}`);
+    else opts.file = flag;
+  }
+  if (!opts.file) throw new UsageError("Missing backlog file");
+  if (!FORMATS.includes(opts.format)) throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+  return opts;
+}
+
+async function readJSON(file) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (e) {
+    throw new Error(`${file}: ${e.code === "ENOENT" ? "no such file" : e.message}`);
+  }
+}
+
+async function loadWorkspace(file, weightsFile) {
+  let ws;
+  try {
+    ws = readWorkspaceFile(await readFile(file, "utf8"));
+  } catch (e) {
+    throw new Error(`${file}: ${e.code === "ENOENT" ? "no such file" : e.message}`);
+  }
+  if (!weightsFile) return ws;
+  const obj = await readJSON(weightsFile);
+  const weights = obj && typeof obj.weights === "object" ? obj.weights : obj;
+  if (!weights || typeof weights !== "object" || Array.isArray(weights)) throw new Error(`${weightsFile}: must be an object of weights`);
+  const known = criterionKeys(ws.criteria);
+  const unknown = Object.keys(weights).filter(k => !known.includes(k));
+  if (unknown.length > 0) throw new Error(`${weightsFile}: unknown weights ${unknown.join(", ")} (expected ${known.join(", ")})`);
+  const next = { ...ws, weights: { ...ws.weights, ...weights } };
+  const errors = validateWorkspace(next).filter(e => e.path.startsWith("weights"));
+  if (errors.length > 0) throw new Error(`${weightsFile}: ${errors.map(e => `${e.path} ${e.message}`).join("; ")}`);
+  return next;
+}
+
+// Left-aligned text columns; numbers are right-aligned.
+function formatTable(header, rows) {
+  const cells = [header, ...rows].map(r => r.map(v => String(v ?? "")));
+  const widths = header.map((_, i) => Math.max(...cells.map(r => r[i].length)));
+  const numeric = header.map((_, i) => rows.length > 0 && rows.every(r => typeof r[i] === "number"));
+  return cells
+    .map(r => r.map((v, i) => (numeric[i] ? v.padStart(widths[i]) : v.padEnd(widths[i]))).join("  ").trimEnd())
+    .join("\n");
+}
+
+function render(ws, format) {
+  const computed = scoreWorkspace(ws);
+  const backlog = rankedBacklog(computed, ws.rankOverrides);
+  if (format === "csv") {
+    return toCSV(csvRows(computed, { criteria: ws.criteria, rankOverrides: ws.rankOverrides, normalization: ws.normalization }));
+  }
+  if (format === "json") {
+    return JSON.stringify({
+      scoringModel: ws.scoringModel,
+      weights: ws.weights,
+      pds: computed.map(pd => ({
+        id: pd.id,
+        name: pd.name,
+        owner: pd.owner ?? "",
+        score: pd.pdScore,
+        epics: pd.epics.map(e => ({ id: e.id, name: e.name, score: e.score, modelScores: e.modelScores })),
+      })),
+      backlog: backlog.map(({ id, name, pd, owner, score, position, computedRank, override }) => ({
+        position, computedRank, id, name, pd, owner: owner ?? "", score, override,
+      })),
+    }, null, 2);
+  }
+  const epics = formatTable(
+    ["#", "Score", "Epic", "PD", "Owner", "Override"],
+    backlog.map(r => [r.position, r.score, r.name, r.pd, r.owner || "", r.override ? `#${r.computedRank} by score: ${r.override.reason}` : ""]),
+  );
+  const pds = formatTable(
+    ["PD Score", "PD", "Owner", "Epics"],
+    [...computed].sort((a, b) => b.pdScore - a.pdScore).map(pd => [pd.pdScore, pd.name, pd.owner || "", pd.epics.length]),
+  );
+  return `${epics}\n\n${pds}`;
+}
+
+try {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(USAGE);
+  } else {
+    const ws = await loadWorkspace(opts.file, opts.weights);
+    process.stdout.write(`${render(ws, opts.format)}\n`);
+  }
+} catch (e) {
+  console.error(`psa: ${e.message}`);
+  if (e instanceof UsageError) console.error(USAGE);
+  process.exitCode = e instanceof UsageError ? 2 : 1;
+}
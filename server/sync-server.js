@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Sync server for Priority Scoring workspaces — no dependencies, one JSON file per workspace.
+ *
+ *   node server/sync-server.js [--port 8787] [--data ./psa-data] [--origin *]
+ *
+ * REST API (JSON):
+ *   GET    /api/workspaces        → [{ id, name, revision, updatedAt }]
+ *   GET    /api/workspaces/:id    → { id, name, revision, updatedAt, workspace }
+ *   PUT    /api/workspaces/:id    { baseRevision, name, workspace } → { id, revision, updatedAt }
+ *   DELETE /api/workspaces/:id    → { id }
+ *
+ * Optimistic concurrency: a PUT only succeeds when baseRevision matches the stored revision (0 creates
+ * a new workspace) and then bumps it by one. Otherwise it answers 409 with the current document so the
+ * client can merge and retry. Merging and conflict resolution happen in the app.
+ */
+import http from "node:http";
+import { mkdir, readFile, readdir, rename, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function parseArgs(argv) {
+  const opts = { port: Number(process.env.PORT) || 8787, data: process.env.PSA_DATA_DIR || "psa-data", origin: "*" };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === "--port") opts.port = Number(value);
+    else if (flag === "--data") opts.data = value;
+    else if (flag === "--origin") opts.origin = value;
+    else throw new Error(`Unknown option ${flag}`);
+    i++;
+  }
+  if (!Number.isInteger(opts.port) || opts.port < 0) throw new Error("--port must be a port number");
+  return opts;
+}
+
+class HttpError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function createStore(dir) {
+  const file = (id) => path.join(dir, `${id}.json`);
+  const locks = new Map();
+
+  async function read(id) {
+    try {
+      return JSON.parse(await readFile(file(id), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  // Writes to one workspace run one at a time, so the revision check and the write are atomic.
+  function exclusive(id, fn) {
+    const run = (locks.get(id) ?? Promise.resolve()).then(fn, fn);
+    const tail = run.catch(() => {});
+    locks.set(id, tail);
+    tail.then(() => { if (locks.get(id) === tail) locks.delete(id); });
+    return run;
+  }
+
+  return {
+    async list() {
+      await mkdir(dir, { recursive: true });
+      const names = (await readdir(dir)).filter(n => n.endsWith(".json"));
+      const docs = await Promise.all(names.map(n => read(n.slice(0, -5))));
+      return docs.filter(Boolean).map(({ id, name, revision, updatedAt }) => ({ id, name, revision, updatedAt }));
+    },
+    read,
+    put(id, { baseRevision, name, workspace }) {
+      return exclusive(id, async () => {
+        const current = await read(id);
+        if ((current?.revision ?? 0) !== baseRevision) {
+          throw new HttpError(409, "Revision conflict", current ?? { id, revision: 0 });
+        }
+        const doc = { id, name: name ?? current?.name ?? id, revision: baseRevision + 1, updatedAt: new Date().toISOString(), workspace };
+        await mkdir(dir, { recursive: true });
+        const tmp = `${file(id)}.${process.pid}.tmp`;
+        await writeFile(tmp, JSON.stringify(doc));
+        await rename(tmp, file(id));
+        return doc;
+      });
+    },
+    remove(id) {
+      return exclusive(id, async () => {
+        if (!(await read(id))) throw new HttpError(404, "No such workspace");
+        await rm(file(id));
+      });
+    },
+  };
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "Request body too large");
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw new HttpError(400, "Body must be JSON");
+  }
+}
+
+function checkPut(body) {
+  if (!body || typeof body !== "object") throw new HttpError(400, "Body must be an object");
+  if (!Number.isInteger(body.baseRevision) || body.baseRevision < 0) throw new HttpError(400, "baseRevision must be a non-negative integer");
+  if (body.name != null && typeof body.name !== "string") throw new HttpError(400, "name must be a string");
+  const ws = body.workspace;
+  if (!ws || typeof ws !== "object" || !Array.isArray(ws.pds) || !Number.isInteger(ws.schemaVersion)) {
+    throw new HttpError(400, "workspace must be a workspace export with schemaVersion and pds");
+  }
+}
+
+function createServer({ data, origin }) {
+  const store = createStore(path.resolve(data));
+
+  async function route(req) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname === "/api/health") return { status: 200, body: { ok: true } };
+    const match = pathname.match(/^\/api\/workspaces(?:\/([^/]+))?\/?$/);
+    if (!match) throw new HttpError(404, "Not found");
+    let id;
+    try {
+      id = match[1] && decodeURIComponent(match[1]);
+    } catch {
+      throw new HttpError(400, "Invalid workspace id");
+    }
+    if (id !== undefined && !ID_PATTERN.test(id)) throw new HttpError(400, "Invalid workspace id");
+
+    if (!id) {
+      if (req.method !== "GET") throw new HttpError(405, "Method not allowed");
+      return { status: 200, body: await store.list() };
+    }
+    switch (req.method) {
+      case "GET": {
+        const doc = await store.read(id);
+        if (!doc) throw new HttpError(404, "No such workspace");
+        return { status: 200, body: doc };
+      }
+      case "PUT": {
+        const body = await readBody(req);
+        checkPut(body);
+        const { revision, updatedAt } = await store.put(id, body);
+        return { status: 200, body: { id, revision, updatedAt } };
+      }
+      case "DELETE":
+        await store.remove(id);
+        return { status: 200, body: { id } };
+      default:
+        throw new HttpError(405, "Method not allowed");
+    }
+  }
+
+  return http.createServer(async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Methods", "GET, PUT, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204).end();
+      return;
+    }
+    let status;
+    let body;
+    try {
+      ({ status, body } = await route(req));
+    } catch (e) {
+      status = e instanceof HttpError ? e.status : 500;
+      body = e instanceof HttpError && e.body ? e.body : { error: e instanceof HttpError ? e.message : "Internal error" };
+      if (status === 500) console.error(e);
+    }
+    res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+  });
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const server = createServer(opts).listen(opts.port, () => {
+  // --port 0 picks a free port; report the one actually bound.
+  console.log(`Priority Scoring sync server on http://localhost:${server.address().port} (data in ${path.resolve(opts.data)})`);
+});
@@ -1,4 +1,26 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  DEFAULT_WEIGHTS, DEFAULT_WHATIF, DEFAULT_EPIC, DEFAULT_FINANCE, DEFAULT_NORMALIZATION, DEFAULT_RATING,
+  DEFAULT_CALIBRATION, MAX_CASHFLOW_YEARS, ROI_METRICS, FACTOR_LABELS, FACTOR_SCALES, CRITERION_SCALES,
+  CRITERION_DIRECTIONS, NORMALIZATION_MODES, SCORING_MODELS, MODEL_KEYS, MODEL_INPUT_FIELDS, UNCERTAIN_FIELDS,
+  SCHEMA_VERSION, clamp, effectiveWeights, computeROI, withFinancials, criterionValue, criterionLabels, criterionKeys,
+  criterionKeyFor, criterionProblems, addCriterionEdit, changeCriterionEdit, removeCriterionEdit, withCriteria,
+  RATED_FIELDS, RATING_METHODS, ratingStats, withRatings, EPIC_STATUSES, isOpenEpic, calibrationReport,
+  withCalibration, explainEpicScore, scorePortfolio, withDependencyCounts, findDependencyCycles, dependencyOrder,
+  rankedBacklog, moveInBacklog, parseFilterQuery, filterPortfolio, scoreWorkspace, csvRows, toCSV, pdsFromCSV,
+  detectSchemaVersion, migrateWorkspace, validateWorkspace, readWorkspaceFile, SHARE_PARAM, shareableWorkspace,
+  encodeShareLink, decodeShareLink, sameName, sameValue,
+} from "./engine.js";
+import { AHP_INTENSITIES, AHP_MAX_CR, ahpJudgment, ahpPairs, ahpPriorities, describeJudgment, weightsFromPriorities } from "./ahp.js";
+import { compareScenarios, diffBaseline, makeBaseline } from "./baselines.js";
+import { AUDIT_HEADERS, AUDIT_LIMIT, appendAudit, auditRows, diffBacklog, formatAuditValue, partsOf, pushHistory, stepHistory } from "./history.js";
+import {
+  TRACKER_FIELDS, TRACKER_SOURCES, TRACKER_TRANSFORMS, describeChange, guessTrackerMapping, parseTrackerExport, planCSVImport, planTrackerImport,
+} from "./imports.js";
+import { DEFAULT_PLAN, MAX_PERIOD_CAPACITY, UNASSIGNED_OWNER, planRoadmap } from "./planner.js";
+import { REPORT_TOP_N, buildReport, reportHTML, reportMarkdown } from "./report.js";
+import { applyMergeChoice, createSyncClient, isOffline, mergeWorkspaces } from "./sync.js";
+import { defaultRange, percentile, simulateScores } from "./uncertainty.js";
 
 /**
  * Priority Scoring App — Product Deliverables & Epics (ROI‑driven)
@@ -11,32 +33,6 @@ import React, { useEffect, useMemo, useState } from "react";
  * - Everything persists to LocalStorage; CSV export includes new fields
  */
 
-// Weights
-const DEFAULT_WEIGHTS = {
-  roi: 0.4,          // main driver
-  effort: -0.2,
-  risk: -0.1,
-  strategic: 0.12,
-  okr: 0.08,         // NEW: explicit OKR alignment weight
-  timeCriticality: 0.1,
-  customerImpact: 0.1,
-  confidence: 0.05,
-  dependencies: -0.1,
-};
-
-// What‑if multipliers (1.0 = neutral). These scale the weights at runtime only.
-const DEFAULT_WHATIF = {
-  roi: 1.0,
-  effort: 1.0,
-  risk: 1.0,
-  strategic: 1.0,
-  okr: 1.0,
-  timeCriticality: 1.0,
-  customerImpact: 1.0,
-  confidence: 1.0,
-  dependencies: 1.0,
-};
-
 const SAMPLE_DATA = [
   {
     id: crypto.randomUUID(),
@@ -52,6 +48,7 @@ const SAMPLE_DATA = [
         opexEUR: 20000,
         capexEUR: 80000,
         autoROI: true,      // compute ROI× = revenue / (opex+capex)
+        cashFlow: { ramp: [0.4, 1, 1] }, // 3 years: 40% of the uplift in year 1, full from year 2
 
         // If autoROI=false, use manual roi× below
         roi: 2.5,           // fallback / manual ROI multiple
@@ -63,7 +60,17 @@ const SAMPLE_DATA = [
         timeCriticality: 3, // 1—5 urgency
         customerImpact: 5,  // 1—5 impact
         confidence: 0.7,    // 0—1
-        dependencies: 2,    // 0—5 (more is worse)
+        externalDependencies: 2, // 0—5 outside this backlog (more is worse)
+        dependsOn: [],           // epic ids this one waits on
+        reach: 40000,            // RICE: shoppers per quarter
+        impact: 2,               // RICE: 0.25—3
+        ease: 4,                 // ICE: 1—10
+        riskReduction: 2,        // WSJF: 1—5
+        externalKey: "",         // tracker issue key, e.g. "SHOP-101"
+        ranges: {                // uncertainty: min/max around the values above
+          revenueEUR: { min: 150000, max: 400000 },
+          effort: { min: 8, max: 21 },
+        },
       },
       {
         id: crypto.randomUUID(),
@@ -72,6 +79,7 @@ const SAMPLE_DATA = [
         opexEUR: 5000,
         capexEUR: 20000,
         autoROI: true,
+        cashFlow: { ramp: [1, 1] },
         roi: 1.3,
         effort: 5,
         risk: 2,
@@ -80,7 +88,14 @@ const SAMPLE_DATA = [
         timeCriticality: 2,
         customerImpact: 3,
         confidence: 0.8,
-        dependencies: 1,
+        externalDependencies: 1,
+        dependsOn: [],
+        reach: 60000,
+        impact: 0.5,
+        ease: 8,
+        riskReduction: 4,
+        externalKey: "",
+        ranges: {},
       },
     ],
   },
@@ -98,6 +113,7 @@ const SAMPLE_DATA = [
         revenueEUR: 0,
         opexEUR: 0,
         capexEUR: 0,
+        cashFlow: { ramp: [1] },
         effort: 8,
         risk: 2,
         strategic: 4,
@@ -105,16 +121,19 @@ const SAMPLE_DATA = [
         timeCriticality: 4,
         customerImpact: 4,
         confidence: 0.6,
-        dependencies: 0,
+        externalDependencies: 0,
+        dependsOn: [],
+        reach: 120000,
+        impact: 1,
+        ease: 7,
+        riskReduction: 1,
+        externalKey: "",
+        ranges: {},
       },
     ],
   },
 ];
 
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, Number.isFinite(n) ? n : min));
-}
-
 function badgeColor(score) {
   if (score >= 80) return "bg-green-600 text-white";
   if (score >= 60) return "bg-emerald-500 text-white";
@@ -131,83 +150,333 @@ function riskColor(r) {
   return "text-red-600";
 }
 
-function useLocalState(key, initial) {
+/**
+ * Storage adapters are the synchronous getItem/setItem/removeItem subset of the Web Storage API.
+ * Every store reads and writes through one; localStorage is the default and the in-memory adapter
+ * stands in where it is unavailable (private browsing, Node). The sync server is not an adapter:
+ * useServerSync mirrors a workspace between the adapter and the server.
+ */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+  };
+}
+
+function browserStorage() {
+  try {
+    localStorage.setItem("psa_probe", "1");
+    localStorage.removeItem("psa_probe");
+    return localStorage;
+  } catch {
+    return memoryStorage();
+  }
+}
+
+let probedStorage = null;
+
+// Probed on first use rather than at load, so a view that stores nothing (a share link) never writes.
+function defaultStorage() {
+  probedStorage ??= browserStorage();
+  return probedStorage;
+}
+
+function useLocalState(key, initial, storage = defaultStorage()) {
   const [state, setState] = useState(() => {
     try {
-      const raw = localStorage.getItem(key);
+      const raw = storage.getItem(key);
       return raw ? JSON.parse(raw) : initial;
     } catch {
       return initial;
     }
   });
   useEffect(() => {
-    localStorage.setItem(key, JSON.stringify(state));
-  }, [key, state]);
+    storage.setItem(key, JSON.stringify(state));
+  }, [storage, key, state]);
   return [state, setState];
 }
 
-function effectiveWeights(weights, whatIf) {
-  const out = { ...weights };
-  for (const k of Object.keys(out)) {
-    const m = whatIf[k] ?? 1;
-    out[k] = out[k] * m;
+function formatEUR(v) {
+  return `${Math.round(v).toLocaleString("en-US")} €`;
+}
+
+function formatPct(v) {
+  return v === null || !Number.isFinite(v) ? "—" : `${Math.round(v * 1000) / 10}%`;
+}
+
+// LocalStorage keys of the workspace parts as named before workspaces existed; workspaceKeys() namespaces them.
+const STORAGE_KEYS = { pds: "psa_pds", weights: "psa_weights", whatIf: "psa_whatif", scenarios: "psa_scenarios", scoringModel: "psa_model", finance: "psa_finance", baselines: "psa_baselines", criteria: "psa_criteria", normalization: "psa_normalization", rankOverrides: "psa_rank_overrides", rating: "psa_rating", calibration: "psa_calibration" };
+// Per-workspace keys outside the workspace file: the schema version the parts were written with,
+// planner settings, audit log, the link to a sync server, the remembered tracker import mappings, AHP answers
+// and saved filter queries.
+const LOCAL_KEYS = { schema: "psa_schema", plan: "psa_plan", audit: "psa_audit", sync: "psa_sync", tracker: "psa_tracker", ahp: "psa_ahp", filters: "psa_filters" };
+const WORKSPACES_KEY = "psa_workspaces"; // { activeId, list: [{ id, name, createdAt }] }
+const DEFAULT_WORKSPACE_ID = "default";
+
+function workspaceKeys(id) {
+  return Object.fromEntries(Object.entries({ ...STORAGE_KEYS, ...LOCAL_KEYS }).map(([part, key]) => [part, key.replace(/^psa_/, `psa_ws_${id}_`)]));
+}
+
+function readStored(storage, key) {
+  const raw = storage.getItem(key);
+  return raw ? JSON.parse(raw) : undefined;
+}
+
+/**
+ * Upgrade what an older app version left in a workspace's LocalStorage keys through the same
+ * MIGRATIONS as files. Must run before the stores read their keys. Unreadable data is left untouched.
+ */
+function migrateStoredState(storage, keys) {
+  try {
+    const stored = Object.fromEntries(Object.keys(STORAGE_KEYS).map(part => [part, readStored(storage, keys[part])]));
+    if (stored.pds !== undefined) {
+      const version = readStored(storage, keys.schema) ?? detectSchemaVersion(stored.pds);
+      if (version >= SCHEMA_VERSION) return;
+      const ws = migrateWorkspace({ ...stored, schemaVersion: version });
+      for (const part of Object.keys(STORAGE_KEYS)) storage.setItem(keys[part], JSON.stringify(ws[part]));
+    }
+    storage.setItem(keys.schema, JSON.stringify(SCHEMA_VERSION));
+  } catch {
+    // keep whatever is stored; the stores fall back to it as before
   }
-  return out;
 }
 
-function computeROI(epic) {
-  if (epic.autoROI) {
-    const denom = Math.max((Number(epic.opexEUR) || 0) + (Number(epic.capexEUR) || 0), 1);
-    const numer = Math.max(Number(epic.revenueEUR) || 0, 0);
-    return numer / denom; // ROI multiple
+/**
+ * First run with workspaces: move the single backlog stored under the bare psa_* keys into a
+ * "Default" workspace. Must run before the workspace registry is read.
+ */
+function migrateToWorkspaces(storage) {
+  try {
+    if (storage.getItem(WORKSPACES_KEY) !== null) return;
+    const keys = workspaceKeys(DEFAULT_WORKSPACE_ID);
+    for (const [part, legacy] of Object.entries({ ...STORAGE_KEYS, ...LOCAL_KEYS })) {
+      const raw = storage.getItem(legacy);
+      if (raw === null) continue;
+      storage.setItem(keys[part], raw);
+      storage.removeItem(legacy);
+    }
+    storage.setItem(WORKSPACES_KEY, JSON.stringify(defaultWorkspaces()));
+  } catch {
+    // storage unavailable: the app runs on defaults
   }
-  return Number(epic.roi) || 0;
 }
 
-function computeEpicScore(epic, weights) {
-  // Normalize inputs into a 0..1 range where helpful
-  const roiVal = computeROI(epic);
-  const roiNorm = Math.tanh(roiVal / 2.5); // smooth cap
+function defaultWorkspaces() {
+  return { activeId: DEFAULT_WORKSPACE_ID, list: [{ id: DEFAULT_WORKSPACE_ID, name: "Default", createdAt: new Date().toISOString() }] };
+}
 
-  // effort: 0..40 typical -> 0..1, higher is worse
-  const effortNorm = Math.min(Number(epic.effort) / 40, 1);
+// Copy (or, with to = null, delete) every stored part of a workspace. A copy is not linked to the sync server.
+function copyWorkspaceStorage(storage, fromId, toId) {
+  const from = workspaceKeys(fromId);
+  const to = toId && workspaceKeys(toId);
+  for (const part of Object.keys(from)) {
+    const raw = storage.getItem(from[part]);
+    if (!to) storage.removeItem(from[part]);
+    else if (raw !== null && part !== "sync") storage.setItem(to[part], raw);
+  }
+}
 
-  // risk 1..5 -> 0..1
-  const riskNorm = clamp((Number(epic.risk) - 1) / 4, 0, 1);
+// Team sync with server/sync-server.js: whole-workspace pushes guarded by revision numbers, merged on the client.
+const DEFAULT_SYNC_URL = "http://localhost:8787";
+const SYNC_STATUS = {
+  idle: { label: "Synced", dot: "bg-emerald-500" },
+  syncing: { label: "Syncing…", dot: "bg-indigo-400" },
+  offline: { label: "Offline", dot: "bg-amber-500" },
+  conflict: { label: "Conflict", dot: "bg-red-500" },
+  error: { label: "Sync error", dot: "bg-red-500" },
+};
+const SYNC_DEBOUNCE_MS = 2000;
+const SYNC_INTERVAL_MS = 30000;
 
-  // 1..5 -> 0..1
-  const stratNorm = clamp((Number(epic.strategic) - 1) / 4, 0, 1);
-  const okrNorm = clamp((Number(epic.okr) - 1) / 4, 0, 1);
-  const tcNorm = clamp((Number(epic.timeCriticality) - 1) / 4, 0, 1);
-  const ciNorm = clamp((Number(epic.customerImpact) - 1) / 4, 0, 1);
+function workspaceParts(ws) {
+  return Object.fromEntries(Object.keys(STORAGE_KEYS).map(part => [part, ws[part]]));
+}
 
-  const confNorm = clamp(Number(epic.confidence), 0, 1);
-  const depNorm = clamp(Number(epic.dependencies) / 5, 0, 1);
+// Bring a server copy up to this app's schema; refuse it rather than overwrite local data with something invalid.
+function workspaceFromServer(obj) {
+  const ws = migrateWorkspace(obj);
+  const errors = validateWorkspace(ws);
+  if (errors.length > 0) throw new Error(`Server copy is invalid: ${errors[0].path} ${errors[0].message}`);
+  return workspaceParts(ws);
+}
 
-  const { roi, effort, risk, strategic, okr, timeCriticality, customerImpact, confidence, dependencies } = weights;
+/**
+ * Keep one workspace in sync with a server. The link ({ url, remoteId, revision, base, queuedAt,
+ * syncedAt }) is stored with the workspace; base is the snapshot of the last successful sync, so
+ * local edits made offline stay queued across reloads and are merged against the server copy on
+ * the next attempt. Syncs run after edits settle, every SYNC_INTERVAL_MS and when the browser
+ * comes back online. applyRemote(parts) replaces the local workspace parts.
+ */
+function useServerSync({ storage, keys, name, snapshot, applyRemote }) {
+  const [link, setLink] = useLocalState(keys.sync, null, storage);
+  const [status, setStatus] = useState({ state: "idle" }); // idle | syncing | offline | conflict | error
+  const [conflict, setConflict] = useState(null); // { revision, merged, conflicts, choices, local }
+  const latest = useRef(null);
+  latest.current = { link, snapshot, name, applyRemote };
+  const running = useRef(false);
 
-  const raw =
-    roi * roiNorm +
-    effort * effortNorm +
-    risk * riskNorm +
-    strategic * stratNorm +
-    okr * okrNorm +
-    timeCriticality * tcNorm +
-    customerImpact * ciNorm +
-    confidence * confNorm +
-    dependencies * depNorm;
+  // Apply a server result computed from `from`; edits made while the request was out are merged on top.
+  function applyOver(from, next) {
+    const now = latest.current.snapshot;
+    latest.current.applyRemote(now === from ? next : mergeWorkspaces(from, now, next).merged);
+  }
 
-  // Scale to 0..100
-  const scaled = clamp((raw + 1) * 50, 0, 100);
-  return Math.round(scaled);
+  async function push(current, local, workspace, revision) {
+    const res = await createSyncClient(current.url).push(current.remoteId, revision, latest.current.name, workspace);
+    if (!res.ok) return res.remote;
+    if (workspace !== local) applyOver(local, workspace);
+    setLink({ ...current, revision: res.revision, base: workspace, queuedAt: null, syncedAt: new Date().toISOString() });
+    setStatus({ state: "idle" });
+    return null;
+  }
+
+  async function sync() {
+    const current = latest.current.link;
+    if (!current || running.current || conflict) return;
+    running.current = true;
+    setStatus({ state: "syncing" });
+    const local = latest.current.snapshot;
+    const dirty = !sameValue(local, current.base);
+    try {
+      let remote = dirty
+        ? await push(current, local, local, current.revision)
+        : await createSyncClient(current.url).pull(current.remoteId);
+      if (!remote) return;
+      if (!remote.workspace) {
+        // Someone deleted the server copy (a 409 at revision 0): publish this one again rather than lose it.
+        const refused = await push(current, local, local, 0);
+        if (!refused) setStatus({ state: "idle", message: "The server copy had been deleted; this workspace was published again." });
+        return;
+      }
+      if (remote.revision === current.revision) {
+        setLink({ ...current, syncedAt: new Date().toISOString() });
+        setStatus({ state: "idle" });
+        return;
+      }
+      const theirs = workspaceFromServer(remote.workspace);
+      if (!dirty) {
+        applyOver(local, theirs);
+        setLink({ ...current, revision: remote.revision, base: theirs, syncedAt: new Date().toISOString() });
+        setStatus({ state: "idle" });
+        return;
+      }
+      const { merged, conflicts } = mergeWorkspaces(current.base, local, theirs);
+      if (conflicts.length > 0) {
+        setConflict({ revision: remote.revision, merged, conflicts, choices: conflicts.map(() => "mine"), local });
+        setStatus({ state: "conflict" });
+        return;
+      }
+      remote = await push(current, local, merged, remote.revision);
+      if (remote) setStatus({ state: "idle", message: "The server changed again; retrying shortly." });
+    } catch (e) {
+      if (isOffline(e)) {
+        if (dirty && !current.queuedAt) setLink({ ...current, queuedAt: new Date().toISOString() });
+        setStatus({ state: "offline" });
+      } else {
+        setStatus({ state: "error", message: e.message });
+      }
+    } finally {
+      running.current = false;
+    }
+  }
+
+  async function resolveConflict() {
+    const current = latest.current.link;
+    const resolved = applyMergeChoice(conflict.merged, conflict.conflicts, conflict.choices);
+    setConflict(null);
+    running.current = true;
+    try {
+      const remote = await push(current, conflict.local, resolved, conflict.revision);
+      if (remote) setStatus({ state: "idle", message: "The server changed again while resolving; syncing again." });
+    } catch (e) {
+      setStatus(isOffline(e) ? { state: "offline" } : { state: "error", message: e.message });
+    } finally {
+      running.current = false;
+    }
+  }
+
+  // Link to an existing server workspace (replacing the local contents) or publish this one as a new one.
+  async function connect(url, remoteId) {
+    const client = createSyncClient(url);
+    if (remoteId) {
+      const remote = await client.pull(remoteId);
+      const theirs = workspaceFromServer(remote.workspace);
+      latest.current.applyRemote(theirs);
+      setLink({ url, remoteId, revision: remote.revision, base: theirs, queuedAt: null, syncedAt: new Date().toISOString() });
+    } else {
+      const id = crypto.randomUUID();
+      const res = await client.push(id, 0, latest.current.name, snapshot);
+      if (!res.ok) throw new Error("A server workspace with this id already exists");
+      setLink({ url, remoteId: id, revision: res.revision, base: snapshot, queuedAt: null, syncedAt: new Date().toISOString() });
+    }
+    setStatus({ state: "idle" });
+  }
+
+  function disconnect() {
+    setLink(null);
+    setConflict(null);
+    setStatus({ state: "idle" });
+  }
+
+  const syncRef = useRef(sync);
+  syncRef.current = sync;
+  const linked = Boolean(link);
+  useEffect(() => {
+    if (!linked) return;
+    const timer = setTimeout(() => syncRef.current(), SYNC_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [linked, snapshot]);
+  useEffect(() => {
+    if (!linked) return;
+    const retry = () => syncRef.current();
+    const timer = setInterval(retry, SYNC_INTERVAL_MS);
+    window.addEventListener("online", retry);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("online", retry);
+    };
+  }, [linked]);
+
+  return { link, status, conflict, setConflict, resolveConflict, sync, connect, disconnect };
+}
+
+function downloadFile(contents, type, fileName) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function stabilityLabel(pTop) {
+  if (pTop >= 0.8) return ["robust in", "text-emerald-700"];
+  if (pTop <= 0.2) return ["robust out", "text-slate-500"];
+  return ["contested", "text-orange-600"];
+}
+
+function formatPlanValue(v, objective) {
+  return objective === "roi" ? `${(Math.round(v * 100) / 100).toFixed(2)}×` : String(Math.round(v));
 }
 
-function aggregatePDScore(epics, weights, agg = "max") {
-  if (!epics || epics.length === 0) return 0;
-  const scores = epics.map(e => computeEpicScore(e, weights));
-  if (agg === "average") return Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
-  if (agg === "sum") return Math.round(Math.min(scores.reduce((a, b) => a + b, 0), 100));
-  return Math.max(...scores); // default max
+function formatDelta(n) {
+  if (n > 0) return `+${n}`;
+  if (n < 0) return `−${Math.abs(n)}`;
+  return "±0";
+}
+
+function deltaColor(n) {
+  if (n > 0) return "text-emerald-600";
+  if (n < 0) return "text-red-600";
+  return "text-slate-400";
+}
+
+// Highlights the epic-table columns the PD's scoring model reads.
+function modelHeader(pd, field) {
+  return SCORING_MODELS[pd.scoringModel]?.fields.includes(field) ? "text-indigo-600" : "";
 }
 
 function numberInputProps(min, max, step, placeholder) {
@@ -222,36 +491,752 @@ function numberInputProps(min, max, step, placeholder) {
   };
 }
 
-export default function PriorityScoringApp() {
-  const [weights, setWeights] = useLocalState("psa_weights", DEFAULT_WEIGHTS);
-  const [whatIf, setWhatIf] = useLocalState("psa_whatif", DEFAULT_WHATIF);
-  const [pds, setPds] = useLocalState("psa_pds", SAMPLE_DATA);
+function Modal({ title, subtitle, wide = false, footer, children }) {
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-slate-900/40 p-4">
+      <div className={`flex max-h-[85vh] w-full ${wide ? "max-w-5xl" : "max-w-2xl"} flex-col rounded-2xl border border-slate-200 bg-white shadow-xl`}>
+        <div className="border-b border-slate-100 px-4 py-3">
+          <h2 className="text-sm font-semibold text-slate-700">{title}</h2>
+          {subtitle && <p className="text-xs text-slate-500">{subtitle}</p>}
+        </div>
+        <div className="flex-1 overflow-y-auto">{children}</div>
+        {footer && <div className="flex justify-end gap-2 border-t border-slate-100 px-4 py-3">{footer}</div>}
+      </div>
+    </div>
+  );
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Waterfall of a weighted score in points: starts at the 50-point midpoint (raw 0), each factor
+ * moves it by contribution × 50, then the clamp pulls it back into 0–100.
+ */
+function ScoreWaterfall({ explained }) {
+  const steps = [];
+  let at = 50;
+  steps.push({ label: "Midpoint", from: 0, to: 50, kind: "total" });
+  for (const f of explained.factors) {
+    if (f.contribution === 0) continue;
+    const to = at + f.contribution * 50;
+    steps.push({ label: f.label, from: at, to, kind: f.contribution > 0 ? "up" : "down" });
+    at = to;
+  }
+  if (Math.abs(explained.clampCut) > 1e-9) steps.push({ label: "0–100 clamp", from: at, to: at - explained.clampCut, kind: "clamp" });
+  steps.push({ label: "Score", from: 0, to: explained.score, kind: "total" });
+
+  const lo = Math.min(0, ...steps.map(st => Math.min(st.from, st.to)));
+  const hi = Math.max(100, ...steps.map(st => Math.max(st.from, st.to)));
+  const pct = (v) => ((v - lo) / (hi - lo)) * 100;
+  const colors = { up: "bg-emerald-500", down: "bg-red-500", clamp: "bg-slate-400", total: "bg-indigo-500" };
+  return (
+    <div className="space-y-1">
+      {steps.map((st, i) => (
+        <div key={i} className="grid grid-cols-12 items-center gap-2 text-xs">
+          <span className="col-span-3 truncate text-slate-600">{st.label}</span>
+          <div className="relative col-span-7 h-4 rounded bg-slate-50">
+            <div className="absolute inset-y-0 border-l border-dashed border-slate-300" style={{ left: `${pct(0)}%` }} />
+            <div className="absolute inset-y-0 border-l border-dashed border-slate-300" style={{ left: `${pct(100)}%` }} />
+            <div
+              className={`absolute inset-y-0.5 rounded ${colors[st.kind]}`}
+              style={{ left: `${pct(Math.min(st.from, st.to))}%`, width: `${Math.max(pct(Math.max(st.from, st.to)) - pct(Math.min(st.from, st.to)), 0.5)}%` }}
+            />
+          </div>
+          <span className="col-span-2 text-right tabular-nums">
+            {st.kind === "total" ? round2(st.to) : formatDelta(round2(st.to - st.from))}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Charts are plain SVG with inline attributes (no Tailwind classes) so an exported file looks the same in a deck.
+const CHART_PALETTE = ["#6366f1", "#f59e0b", "#10b981", "#ef4444", "#06b6d4", "#8b5cf6", "#ec4899", "#84cc16", "#64748b", "#0ea5e9"];
+const RISK_COLORS = { 1: "#10b981", 2: "#84cc16", 3: "#f59e0b", 4: "#f97316", 5: "#ef4444" };
+const CHART_FONT = "ui-sans-serif, system-ui, -apple-system, Segoe UI, sans-serif";
+const CHART_MOTION = "300ms ease-out"; // bubbles and bars glide to new positions as what-if sliders move
+
+const QUADRANTS = [
+  { key: "quickWins", label: "Quick wins", high: true, small: true },
+  { key: "bigBets", label: "Big bets", high: true, small: false },
+  { key: "fillIns", label: "Fill‑ins", high: false, small: true },
+  { key: "moneyPits", label: "Money pits", high: false, small: false },
+];
+
+function pdColors(pds) {
+  return new Map(pds.map((pd, i) => [pd.id, CHART_PALETTE[i % CHART_PALETTE.length]]));
+}
+
+/**
+ * Value/effort 2×2: effort on x, weighted-model score or ROI× on y, bubble area by revenue, colored
+ * by PD or risk. The quadrants split at the portfolio medians of effort and value.
+ */
+function ValueEffortChart({ pds, colors, yMetric, colorBy, svgRef }) {
+  const [W, H] = [760, 420];
+  const plot = { left: 56, top: 20, right: 560, bottom: 370 };
+  const points = pds.flatMap(pd => pd.epics.map(e => ({
+    id: e.id,
+    name: e.name,
+    pd: pd.name,
+    effort: Math.max(Number(e.effort) || 0, 0),
+    value: yMetric === "roi" ? e.roiComputed : e.score,
+    revenue: Math.max(Number(e.revenueEUR) || 0, 0),
+    color: colorBy === "risk" ? RISK_COLORS[clamp(Math.round(Number(e.risk) || 1), 1, 5)] : colors.get(pd.id),
+  })));
+  const xMax = Math.max(1, ...points.map(p => p.effort)) * 1.1;
+  const yMax = yMetric === "roi" ? Math.max(1, ...points.map(p => p.value)) * 1.1 : 100;
+  const revenueMax = Math.max(1, ...points.map(p => p.revenue));
+  const x = (v) => plot.left + (v / xMax) * (plot.right - plot.left);
+  const y = (v) => plot.bottom - (clamp(v, 0, yMax) / yMax) * (plot.bottom - plot.top);
+  const median = (vals) => percentile([...vals].sort((a, b) => a - b), 0.5);
+  const [xSplit, ySplit] = [x(median(points.map(p => p.effort))), y(median(points.map(p => p.value)))];
+  const ticks = (max) => [0, 0.25, 0.5, 0.75, 1].map(f => f * max);
+  const legend = colorBy === "risk"
+    ? Object.entries(RISK_COLORS).map(([risk, color]) => ({ key: risk, label: `Risk ${risk}`, color }))
+    : pds.map(pd => ({ key: pd.id, label: pd.name, color: colors.get(pd.id) }));
+  const text = { fontFamily: CHART_FONT, fontSize: 11, fill: "#475569" };
+  return (
+    <svg ref={svgRef} xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${W} ${H}`} width="100%" role="img" aria-label="Value versus effort">
+      <rect width={W} height={H} fill="#ffffff" />
+      {points.length > 0 && (
+        <g>
+          <line x1={xSplit} x2={xSplit} y1={plot.top} y2={plot.bottom} stroke="#cbd5e1" strokeDasharray="4 4" />
+          <line x1={plot.left} x2={plot.right} y1={ySplit} y2={ySplit} stroke="#cbd5e1" strokeDasharray="4 4" />
+          {QUADRANTS.map(q => (
+            <text
+              key={q.key}
+              x={q.small ? plot.left + 8 : plot.right - 8}
+              y={q.high ? plot.top + 14 : plot.bottom - 8}
+              textAnchor={q.small ? "start" : "end"}
+              {...text}
+              fontSize={12}
+              fontWeight={600}
+              fill="#94a3b8"
+            >
+              {q.label}
+            </text>
+          ))}
+        </g>
+      )}
+      <line x1={plot.left} x2={plot.right} y1={plot.bottom} y2={plot.bottom} stroke="#94a3b8" />
+      <line x1={plot.left} x2={plot.left} y1={plot.top} y2={plot.bottom} stroke="#94a3b8" />
+      {ticks(xMax).map(t => (
+        <text key={`x${t}`} x={x(t)} y={plot.bottom + 16} textAnchor="middle" {...text}>{Math.round(t)}</text>
+      ))}
+      {ticks(yMax).map(t => (
+        <text key={`y${t}`} x={plot.left - 8} y={y(t) + 4} textAnchor="end" {...text}>{yMetric === "roi" ? round2(t) : Math.round(t)}</text>
+      ))}
+      <text x={(plot.left + plot.right) / 2} y={H - 14} textAnchor="middle" {...text} fontSize={12}>Effort (story points)</text>
+      <text transform={`translate(16 ${(plot.top + plot.bottom) / 2}) rotate(-90)`} textAnchor="middle" {...text} fontSize={12}>
+        {yMetric === "roi" ? "ROI×" : "Score"}
+      </text>
+      {[...points].sort((a, b) => b.revenue - a.revenue).map(p => (
+        <g
+          key={p.id}
+          transform={`translate(${x(p.effort)} ${y(p.value)})`}
+          style={{ transform: `translate(${x(p.effort)}px, ${y(p.value)}px)`, transition: `transform ${CHART_MOTION}` }}
+        >
+          <circle r={4 + 18 * Math.sqrt(p.revenue / revenueMax)} fill={p.color} fillOpacity={0.55} stroke={p.color} strokeWidth={1.5}>
+            <title>{`${p.name} (${p.pd}) — effort ${p.effort}, ${yMetric === "roi" ? `ROI× ${round2(p.value)}` : `score ${p.value}`}, revenue ${formatEUR(p.revenue)}`}</title>
+          </circle>
+          {points.length <= 30 && <text x={8} y={-8} {...text} fontSize={10} fill="#334155">{p.name}</text>}
+        </g>
+      ))}
+      {legend.map((l, i) => (
+        <g key={l.key} transform={`translate(${plot.right + 24} ${plot.top + 8 + i * 18})`}>
+          <circle r={5} fill={l.color} />
+          <text x={12} y={4} {...text}>{l.label.length > 26 ? `${l.label.slice(0, 25)}…` : l.label}</text>
+        </g>
+      ))}
+      <text x={plot.right + 24} y={plot.bottom} {...text} fontSize={10} fill="#94a3b8">Bubble size: revenue €</text>
+    </svg>
+  );
+}
+
+// PD scores as horizontal bars, best first.
+function PdScoreChart({ pds, colors, svgRef }) {
+  const rows = [...pds].sort((a, b) => b.pdScore - a.pdScore);
+  const [W, rowH, left, right] = [760, 26, 220, 700];
+  const H = 40 + rows.length * rowH;
+  const text = { fontFamily: CHART_FONT, fontSize: 11, fill: "#475569" };
+  return (
+    <svg ref={svgRef} xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${W} ${H}`} width="100%" role="img" aria-label="PD scores">
+      <rect width={W} height={H} fill="#ffffff" />
+      {[0, 25, 50, 75, 100].map(t => {
+        const tx = left + (t / 100) * (right - left);
+        return (
+          <g key={t}>
+            <line x1={tx} x2={tx} y1={10} y2={H - 24} stroke="#e2e8f0" />
+            <text x={tx} y={H - 8} textAnchor="middle" {...text}>{t}</text>
+          </g>
+        );
+      })}
+      {rows.map((pd, i) => {
+        const top = 12 + i * rowH;
+        const width = (clamp(pd.pdScore, 0, 100) / 100) * (right - left);
+        const name = pd.owner ? `${pd.name} (${pd.owner})` : pd.name;
+        return (
+          <g key={pd.id}>
+            <text x={left - 8} y={top + rowH / 2} textAnchor="end" {...text}>{name.length > 34 ? `${name.slice(0, 33)}…` : name}</text>
+            <rect x={left} y={top + 4} height={rowH - 10} width={width} rx={3} fill={colors.get(pd.id)} style={{ transition: `width ${CHART_MOTION}` }} />
+            <text x={left + width + 6} y={top + rowH / 2} {...text} fontWeight={600} fill="#1e293b">{pd.pdScore}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Download a chart as SVG, or as PNG rendered through a canvas at twice the size for sharp slides.
+function exportChart(svg, baseName, format) {
+  const markup = new XMLSerializer().serializeToString(svg);
+  if (format === "svg") return downloadFile(markup, "image/svg+xml", `${baseName}.svg`);
+  const { width, height } = svg.viewBox.baseVal;
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width * 2;
+    canvas.height = height * 2;
+    canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(blob => downloadFile(blob, "image/png", `${baseName}.png`));
+  };
+  img.onerror = () => alert("Export failed: the chart could not be rendered as PNG");
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+}
+
+// How far a manual rank override departs from the rank by score, as an arrow, a count and a bar.
+function RankShift({ shift }) {
+  return (
+    <span
+      title={shift === 0 ? "At its rank by score" : `${Math.abs(shift)} place${Math.abs(shift) === 1 ? "" : "s"} ${shift > 0 ? "above" : "below"} its rank by score`}
+      className={`inline-flex shrink-0 items-center gap-1 rounded-lg px-1.5 text-xs font-semibold ${shift > 0 ? "bg-emerald-100 text-emerald-700" : shift < 0 ? "bg-red-100 text-red-700" : "bg-slate-100 text-slate-500"}`}
+    >
+      {shift > 0 ? `▲ ${shift}` : shift < 0 ? `▼ ${-shift}` : "="}
+      <span className="h-1.5 rounded-full bg-current" style={{ width: Math.min(Math.abs(shift), 20) * 3 }} />
+    </span>
+  );
+}
+
+function ComparisonTable({ title, rows, scenarios, showPD }) {
+  return (
+    <div className="overflow-x-auto">
+      <h3 className="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-500">{title}</h3>
+      <table className="w-full text-sm">
+        <thead className="text-left text-xs text-slate-500">
+          <tr className="border-b border-slate-100">
+            <th className="p-2">{showPD ? "Epic" : "PD"}</th>
+            {showPD && <th className="p-2">PD</th>}
+            {scenarios.map((sc, i) => (
+              <th key={sc.id} className="p-2 text-right">
+                {sc.name}{i === 0 && <span className="ml-1 font-normal text-slate-400">(reference)</span>}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.id} className="border-b border-slate-100">
+              <td className="p-2">{row.name}</td>
+              {showPD && <td className="p-2 text-slate-500">{row.pd}</td>}
+              {row.cells.map((c, i) => (
+                <td key={scenarios[i].id} className="p-2 text-right tabular-nums">
+                  <span className="font-medium">#{c.rank}</span>
+                  <span className="mx-1 text-slate-400">·</span>
+                  <span className={`inline-flex rounded-lg px-1.5 text-xs font-semibold ${badgeColor(c.score)}`}>{c.score}</span>
+                  {i > 0 && (
+                    <span className="ml-2 text-xs">
+                      <span className={deltaColor(c.dRank)}>{formatDelta(c.dRank)} rk</span>
+                      <span className="mx-1 text-slate-300">/</span>
+                      <span className={deltaColor(c.dScore)}>{formatDelta(c.dScore)} pts</span>
+                    </span>
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Read-only presentation of a workspace opened from a share link: PD and epic rankings, the charts and
+ * the weights behind them. Nothing is stored unless the viewer imports it.
+ */
+function SharedView({ shared, onImport, onClose }) {
+  const { ws } = shared;
+  const scatterSvg = useRef(null);
+  const pdBarSvg = useRef(null);
+  const computed = useMemo(() => (ws ? scoreWorkspace(ws) : []), [ws]);
+  const backlog = useMemo(() => (ws ? rankedBacklog(computed, ws.rankOverrides) : []), [ws, computed]);
+  const colors = useMemo(() => pdColors(computed), [computed]);
+  const card = "rounded-2xl border border-slate-200 bg-white p-4 shadow-sm";
+
+  if (!ws) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-slate-50 p-4 text-slate-800">
+        <div className={`${card} max-w-md space-y-3 text-sm`}>
+          {shared.status === "loading"
+            ? <p>Opening shared prioritization…</p>
+            : <p className="whitespace-pre-line text-red-700">This share link could not be opened: {shared.error}</p>}
+          <button onClick={onClose} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50">Open my workspace</button>
+        </div>
+      </div>
+    );
+  }
+
+  const labels = criterionLabels(ws.criteria);
+  const sharedAt = ws.metadata?.sharedAt ? new Date(ws.metadata.sharedAt).toLocaleString() : null;
+  return (
+    <div className="min-h-screen w-full bg-slate-50 text-slate-800">
+      <header className="sticky top-0 z-10 border-b border-slate-200 bg-white/80 backdrop-blur">
+        <div className="mx-auto flex max-w-7xl items-center justify-between px-4 py-3">
+          <div className="flex items-center gap-3">
+            <div className="rounded-2xl bg-indigo-600 p-2 text-white shadow">ROI</div>
+            <h1 className="text-xl font-semibold">{ws.metadata?.name || "Shared prioritization"}</h1>
+            <span className="rounded-lg bg-slate-100 px-2 py-0.5 text-xs text-slate-600">Read‑only{sharedAt ? ` · shared ${sharedAt}` : ""}</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <button onClick={onImport} className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700">Import into my workspace</button>
+            <button onClick={onClose} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50">Open my workspace</button>
+          </div>
+        </div>
+      </header>
+
+      <main className="mx-auto grid max-w-7xl grid-cols-1 gap-6 px-4 py-6 lg:grid-cols-3">
+        <div className="space-y-6 lg:col-span-2">
+          <section className={card}>
+            <h2 className="mb-3 text-sm font-semibold text-slate-700">Product Deliverables</h2>
+            <table className="w-full text-sm">
+              <tbody>
+                {[...computed].sort((a, b) => b.pdScore - a.pdScore).map((pd, i) => (
+                  <tr key={pd.id} className="border-b border-slate-100 align-top">
+                    <td className="py-2 pr-3 text-slate-400">{i + 1}</td>
+                    <td className="py-2 pr-3"><span className={`inline-flex rounded-lg px-1.5 text-xs font-semibold ${badgeColor(pd.pdScore)}`}>{pd.pdScore}</span></td>
+                    <td className="py-2 pr-3">
+                      <div className="font-medium">{pd.name}</div>
+                      <div className="text-xs text-slate-500">{pd.owner || UNASSIGNED_OWNER} · {SCORING_MODELS[pd.scoringModel].short} · {pd.agg || "max"}</div>
+                    </td>
+                    <td className="py-2 text-xs text-slate-600">
+                      {[...pd.epics].sort((a, b) => b.score - a.score).map(e => `${e.name} (${e.score})`).join(" · ")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <section className={`${card} space-y-4`}>
+            <h2 className="text-sm font-semibold text-slate-700">Value vs. effort</h2>
+            <ValueEffortChart pds={computed} colors={colors} yMetric="score" colorBy="pd" svgRef={scatterSvg} />
+            <h2 className="border-t border-slate-100 pt-4 text-sm font-semibold text-slate-700">PD scores</h2>
+            <PdScoreChart pds={computed} colors={colors} svgRef={pdBarSvg} />
+          </section>
+
+          <section className={card}>
+            <h2 className="mb-3 text-sm font-semibold text-slate-700">Epic ranking</h2>
+            <table className="w-full text-sm">
+              <thead className="text-left text-xs text-slate-500">
+                <tr className="border-b border-slate-100">
+                  <th className="py-2 pr-3">#</th>
+                  <th className="py-2 pr-3">Epic</th>
+                  <th className="py-2 pr-3">PD</th>
+                  <th className="py-2 pr-3">Score</th>
+                  <th className="py-2">Override</th>
+                </tr>
+              </thead>
+              <tbody>
+                {backlog.map(r => (
+                  <tr key={r.id} className={`border-b border-slate-100 ${r.override ? "bg-amber-50/50" : ""}`}>
+                    <td className="py-1 pr-3 text-slate-400">{r.position}</td>
+                    <td className="py-1 pr-3">{r.name}</td>
+                    <td className="py-1 pr-3 text-slate-500">{r.pd}</td>
+                    <td className="py-1 pr-3"><span className={`inline-flex rounded-lg px-1.5 text-xs font-semibold ${badgeColor(r.score)}`}>{r.score}</span></td>
+                    <td className="py-1">
+                      {r.override && (
+                        <div className="flex items-center gap-2 text-xs text-slate-600">
+                          <RankShift shift={r.shift} />
+                          {r.override.reason}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        </div>
+
+        <aside className={`${card} h-fit space-y-3 text-sm`}>
+          <h2 className="text-sm font-semibold text-slate-700">How it was scored</h2>
+          <p className="text-xs text-slate-500">
+            {SCORING_MODELS[ws.scoringModel].label} · {NORMALIZATION_MODES[ws.normalization.mode].label} · ROI factor: {ROI_METRICS[ws.finance.roiMetric].label}
+          </p>
+          <table className="w-full text-xs">
+            <tbody>
+              {criterionKeys(ws.criteria).map(k => {
+                const m = ws.whatIf[k] ?? 1;
+                return (
+                  <tr key={k} className="border-b border-slate-100">
+                    <td className="py-1 pr-2">{labels[k]}</td>
+                    <td className="py-1 pr-2 text-right tabular-nums">{ws.weights[k]}</td>
+                    <td className="py-1 text-right text-slate-500">{m !== 1 ? `× ${m} what‑if` : ""}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </aside>
+      </main>
+    </div>
+  );
+}
+
+const SHARE_LINK_WARN_LENGTH = 8000;
+
+// The share link fragment in the address bar, if the app was opened from one.
+function shareFragment() {
+  if (typeof window === "undefined") return null;
+  const prefix = `#${SHARE_PARAM}=`;
+  return window.location.hash.startsWith(prefix) ? window.location.hash.slice(prefix.length) : null;
+}
+
+export default function PriorityScoringApp({ storage }) {
+  // A share link opens read-only; the viewer's own workspaces are not read or written unless they import it.
+  const [shared, setShared] = useState(() => (shareFragment() ? { status: "loading" } : null)); // { status, ws, error }
+
+  useEffect(() => {
+    function open() {
+      const fragment = shareFragment();
+      if (!fragment) return;
+      setShared({ status: "loading" });
+      decodeShareLink(fragment).then(ws => setShared({ status: "ready", ws }), e => setShared({ status: "error", error: e.message }));
+    }
+    open();
+    window.addEventListener("hashchange", open);
+    return () => window.removeEventListener("hashchange", open);
+  }, []);
+
+  function closeShared() {
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    setShared(null);
+  }
+
+  function importShared() {
+    const name = prompt("Import as a new workspace named", shared.ws.metadata?.name || "Shared workspace");
+    if (!name?.trim()) return;
+    addWorkspace(storage ?? defaultStorage(), shared.ws, name.trim());
+    closeShared();
+  }
+
+  if (shared) return <SharedView shared={shared} onImport={importShared} onClose={closeShared} />;
+  return <Workspaces storage={storage ?? defaultStorage()} />;
+}
+
+function uniqueWorkspaceName(list, name) {
+  let candidate = name;
+  for (let i = 2; list.some(w => sameName(w.name, candidate)); i++) candidate = `${name} (${i})`;
+  return candidate;
+}
+
+// Store a workspace file as a new workspace and make it the active one, before the registry is loaded.
+function addWorkspace(storage, ws, name) {
+  migrateToWorkspaces(storage);
+  const registry = readStored(storage, WORKSPACES_KEY) ?? defaultWorkspaces();
+  const id = crypto.randomUUID();
+  const keys = workspaceKeys(id);
+  for (const part of Object.keys(STORAGE_KEYS)) storage.setItem(keys[part], JSON.stringify(ws[part]));
+  storage.setItem(keys.schema, JSON.stringify(SCHEMA_VERSION));
+  const entry = { id, name: uniqueWorkspaceName(registry.list, name), createdAt: new Date().toISOString() };
+  storage.setItem(WORKSPACES_KEY, JSON.stringify({ activeId: id, list: [...registry.list, entry] }));
+}
+
+/**
+ * Workspace registry and switcher. Each workspace keeps its own LocalStorage keys; switching
+ * remounts PortfolioWorkspace so every store (and the undo history) starts from the new keys.
+ */
+function Workspaces({ storage }) {
+  useState(() => migrateToWorkspaces(storage)); // first render only, ahead of the registry below
+  const [workspaces, setWorkspaces] = useLocalState(WORKSPACES_KEY, defaultWorkspaces(), storage);
+  const [managing, setManaging] = useState(false);
+  const active = workspaces.list.find(w => w.id === workspaces.activeId) ?? workspaces.list[0];
+
+  const uniqueName = (name) => uniqueWorkspaceName(workspaces.list, name);
+
+  function createWorkspace(copyFrom) {
+    const source = copyFrom && workspaces.list.find(w => w.id === copyFrom);
+    const name = prompt("Workspace name", uniqueName(source ? `${source.name} copy` : "New workspace"));
+    if (!name?.trim()) return;
+    const id = crypto.randomUUID();
+    if (source) {
+      copyWorkspaceStorage(storage, source.id, id);
+    } else {
+      const keys = workspaceKeys(id);
+      storage.setItem(keys.pds, JSON.stringify([]));
+      storage.setItem(keys.schema, JSON.stringify(SCHEMA_VERSION));
+    }
+    setWorkspaces({ activeId: id, list: [...workspaces.list, { id, name: uniqueName(name.trim()), createdAt: new Date().toISOString() }] });
+  }
+
+  // Trimmed and kept unique like a new workspace's name; an empty name is refused.
+  function renameWorkspace(id, name) {
+    if (!name.trim()) return alert("A workspace needs a name.");
+    const others = workspaces.list.filter(w => w.id !== id);
+    setWorkspaces({ ...workspaces, list: workspaces.list.map(w => (w.id === id ? { ...w, name: uniqueWorkspaceName(others, name.trim()) } : w)) });
+  }
+
+  function deleteWorkspace(id) {
+    const ws = workspaces.list.find(w => w.id === id);
+    if (workspaces.list.length === 1 || !confirm(`Delete workspace "${ws.name}" with all its PDs, scenarios and baselines?`)) return;
+    const list = workspaces.list.filter(w => w.id !== id);
+    copyWorkspaceStorage(storage, id, null);
+    setWorkspaces({ activeId: id === active.id ? list[0].id : workspaces.activeId, list });
+  }
+
+  const switcher = (
+    <div className="flex items-center gap-1">
+      <select
+        value={active.id}
+        onChange={(e) => setWorkspaces({ ...workspaces, activeId: e.target.value })}
+        className="max-w-[12rem] rounded-xl border border-slate-300 bg-white px-2 py-1 text-sm"
+        title="Workspace"
+      >
+        {workspaces.list.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+      </select>
+      <button onClick={() => setManaging(true)} className="rounded-lg px-1.5 py-1 text-sm text-slate-500 hover:bg-slate-100" title="Manage workspaces">⋯</button>
+    </div>
+  );
+
+  return (
+    <>
+      <PortfolioWorkspace key={active.id} storage={storage} keys={workspaceKeys(active.id)} name={active.name} switcher={switcher} />
+      {managing && (
+        <Modal
+          title="Workspaces"
+          subtitle="Each workspace has its own PDs, weights, scenarios, baselines and change log."
+          footer={
+            <>
+              <button onClick={() => createWorkspace(null)} className="mr-auto rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700">+ New workspace</button>
+              <button onClick={() => setManaging(false)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>
+            </>
+          }
+        >
+          <ul className="divide-y divide-slate-100 p-4 text-sm">
+            {workspaces.list.map(w => (
+              <li key={w.id} className="flex items-center gap-3 py-2">
+                <input
+                  key={w.name}
+                  defaultValue={w.name}
+                  onBlur={(e) => {
+                    const typed = e.target.value;
+                    e.target.value = w.name;
+                    if (typed !== w.name) renameWorkspace(w.id, typed);
+                  }}
+                  onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                  className="flex-1 rounded-lg border border-slate-300 bg-white px-2 py-1 text-sm"
+                />
+                {w.id === active.id
+                  ? <span className="w-12 text-xs text-slate-500">active</span>
+                  : <button onClick={() => setWorkspaces({ ...workspaces, activeId: w.id })} className="w-12 text-xs text-indigo-600 hover:underline">Open</button>}
+                <button onClick={() => createWorkspace(w.id)} className="text-xs text-indigo-600 hover:underline">Duplicate</button>
+                <button
+                  onClick={() => deleteWorkspace(w.id)}
+                  disabled={workspaces.list.length === 1}
+                  className="text-xs text-red-600 hover:underline disabled:opacity-40"
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        </Modal>
+      )}
+    </>
+  );
+}
+
+function PortfolioWorkspace({ storage, keys, name, switcher }) {
+  useState(() => migrateStoredState(storage, keys)); // first render only, ahead of the stores below
+  const [weights, storeWeights] = useLocalState(keys.weights, DEFAULT_WEIGHTS, storage);
+  const [whatIf, storeWhatIf] = useLocalState(keys.whatIf, DEFAULT_WHATIF, storage);
+  const [pds, storePds] = useLocalState(keys.pds, SAMPLE_DATA, storage);
+  const [scenarios, setScenarios] = useLocalState(keys.scenarios, [], storage); // [{ id, name, whatIf }]
+  const [scoringModel, setScoringModel] = useLocalState(keys.scoringModel, "weighted", storage);
+  const [finance, setFinance] = useLocalState(keys.finance, DEFAULT_FINANCE, storage);
+  const [baselines, setBaselines] = useLocalState(keys.baselines, [], storage);
+  const [criteria, setCriteria] = useLocalState(keys.criteria, [], storage); // user-defined scoring criteria
+  const [normalization, setNormalization] = useLocalState(keys.normalization, DEFAULT_NORMALIZATION, storage);
+  const [rankOverrides, setRankOverrides] = useLocalState(keys.rankOverrides, {}, storage); // { [epicId]: { position, reason, at } }
+  const [rating, setRating] = useLocalState(keys.rating, DEFAULT_RATING, storage);
+  const [calibration, setCalibration] = useLocalState(keys.calibration, DEFAULT_CALIBRATION, storage);
   const [filter, setFilter] = useState("");
+  const [savedFilters, setSavedFilters] = useLocalState(keys.filters, [], storage); // [{ id, name, query }]
   const [sortKey, setSortKey] = useState("pdScore");
   const [sortDir, setSortDir] = useState("desc");
+  const [csvImport, setCsvImport] = useState(null); // { fileName, incoming, mode } while previewing
+  const [scenarioName, setScenarioName] = useState("");
+  const [compareIds, setCompareIds] = useState(["current"]);
+  const [comparing, setComparing] = useState(false);
+  const [plan, setPlan] = useLocalState(keys.plan, DEFAULT_PLAN, storage);
+  const [planning, setPlanning] = useState(false);
+  const [showDepOrder, setShowDepOrder] = useState(false);
+  const [showBacklog, setShowBacklog] = useState(false);
+  const [backlogDrag, setBacklogDrag] = useState(null); // { id, over } while dragging in the ranked backlog
+  const [breakdownFor, setBreakdownFor] = useState(null); // { pdId, epicId }
+  const [csvBreakdown, setCsvBreakdown] = useState(false);
+  const [showUncertainty, setShowUncertainty] = useState(false);
+  const [mcSettings, setMcSettings] = useState({ runs: 1000, topN: 5, seed: 42 });
+  const [mcResult, setMcResult] = useState(null);
+  const [rangeEpicId, setRangeEpicId] = useState(null);
+  const [cashFlowFor, setCashFlowFor] = useState(null); // { pdId, epicId }
+  const [ratingsFor, setRatingsFor] = useState(null); // { pdId, epicId }
+  const [newRater, setNewRater] = useState("");
+  const [history, setHistory] = useState({ past: [], future: [] }); // [{ label, key, at, state: the workspace parts the edit replaced }]
+  const [auditLog, setAuditLog] = useLocalState(keys.audit, [], storage);
+  const [showAudit, setShowAudit] = useState(false);
+  const [auditEpicId, setAuditEpicId] = useState("");
+  const [showBaselines, setShowBaselines] = useState(false);
+  const [baselineName, setBaselineName] = useState("");
+  const [diffBaselineId, setDiffBaselineId] = useState(null);
+  const [onlyMoved, setOnlyMoved] = useState(true);
+  const [showSync, setShowSync] = useState(false);
+  const [syncUrl, setSyncUrl] = useState(DEFAULT_SYNC_URL);
+  const [remoteList, setRemoteList] = useState(null);
+  const [shareLink, setShareLink] = useState(null); // { url, copied } while the share dialog is open
+  const [showReport, setShowReport] = useState(false);
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [reportTopN, setReportTopN] = useState(REPORT_TOP_N);
+  const [trackerImport, setTrackerImport] = useState(null); // { fileName, source, columns, rows, mapping } while mapping
+  const [trackerMappings, setTrackerMappings] = useLocalState(keys.tracker, {}, storage); // { [source]: mapping }
+  const [ahp, setAhp] = useLocalState(keys.ahp, { criteria: ["roi", "effort", "risk", "strategic", "timeCriticality", "customerImpact"], judgments: {} }, storage);
+  const [ahpStep, setAhpStep] = useState(null); // null closed, 0 criteria, 1…pairs questions, pairs + 1 result
+  const [showCriteria, setShowCriteria] = useState(false);
+  const [showCharts, setShowCharts] = useState(false);
+  const [chartView, setChartView] = useState({ y: "score", color: "pd" });
+  const scatterSvg = useRef(null);
+  const pdBarSvg = useRef(null);
+  const [newCriterion, setNewCriterion] = useState(null); // draft in the criteria editor
+
+  const snapshot = useMemo(
+    () => ({ pds, weights, whatIf, scenarios, scoringModel, finance, baselines, criteria, normalization, rankOverrides, rating, calibration }),
+    [pds, weights, whatIf, scenarios, scoringModel, finance, baselines, criteria, normalization, rankOverrides, rating, calibration],
+  );
+  const teamSync = useServerSync({ storage, keys, name, snapshot, applyRemote: (ws) => applyWorkspace(ws, "sync") });
 
   const effWeights = useMemo(() => effectiveWeights(weights, whatIf), [weights, whatIf]);
+  // Epics with aggregated ratings, calibrated estimates, derived dependency counts, financials and criteria
+  // values, ready for scoring.
+  const linkedPds = useMemo(
+    () => withCriteria(withFinancials(withDependencyCounts(withCalibration(withRatings(pds, rating), calibration)), finance, normalization), criteria),
+    [pds, rating, calibration, finance, normalization, criteria],
+  );
+  const labels = useMemo(() => criterionLabels(criteria), [criteria]);
+  const cycles = useMemo(() => findDependencyCycles(pds), [pds]);
+  const inCycle = useMemo(() => new Set(cycles.flat()), [cycles]);
+
+  // "current" stands for the live slider values so they can be compared without saving first.
+  const compareSet = useMemo(() => {
+    const all = [{ id: "current", name: "Current sliders", whatIf }, ...scenarios];
+    return compareIds.map(id => all.find(sc => sc.id === id)).filter(Boolean);
+  }, [compareIds, scenarios, whatIf]);
+
+  const comparison = useMemo(
+    () => (comparing && compareSet.length >= 2 ? compareScenarios(linkedPds, weights, compareSet, scoringModel, normalization) : null),
+    [comparing, compareSet, linkedPds, weights, scoringModel, normalization]
+  );
+
+  const ahpCriteria = useMemo(() => ahp.criteria.filter(k => k in labels), [ahp.criteria, labels]);
+  const ahpPairList = useMemo(() => ahpPairs(ahpCriteria), [ahpCriteria]);
+  const ahpResult = useMemo(() => (ahpStep === null ? null : ahpPriorities(ahpCriteria, ahp.judgments)), [ahpStep, ahpCriteria, ahp.judgments]);
+
+  const trackerPlan = useMemo(
+    () => trackerImport && planTrackerImport(pds, trackerImport.rows, trackerImport.mapping, TRACKER_SOURCES[trackerImport.source].label),
+    [pds, trackerImport],
+  );
+
+  const csvPlan = useMemo(
+    () => (csvImport ? planCSVImport(pds, csvImport.incoming, csvImport.mode) : null),
+    [csvImport, pds]
+  );
 
   // Derived: PD with computed scores
   const computed = useMemo(() => {
-    return pds.map(pd => ({
-      ...pd,
-      pdScore: aggregatePDScore(pd.epics, effWeights, pd.agg || "max"),
-      epics: pd.epics.map(e => ({ ...e, score: computeEpicScore(e, effWeights), roiComputed: computeROI(e) })),
-    }));
-  }, [pds, effWeights]);
-
-  const visible = useMemo(() => {
-    const f = filter.trim().toLowerCase();
-    const items = !f
-      ? computed
-      : computed.filter(pd =>
-          pd.name.toLowerCase().includes(f) ||
-          pd.owner?.toLowerCase().includes(f) ||
-          pd.epics.some(e => e.name.toLowerCase().includes(f))
-        );
+    return scorePortfolio(linkedPds, effWeights, scoringModel, normalization);
+  }, [linkedPds, effWeights, scoringModel, normalization]);
 
-    const sorted = [...items].sort((a, b) => {
+  // How well weighted scores use the 0–100 range, to help pick a normalization.
+  const scoreSpread = useMemo(() => {
+    const scores = computed.flatMap(pd => pd.epics.map(e => e.modelScores.weighted));
+    if (scores.length === 0) return null;
+    return { count: scores.length, min: Math.min(...scores), max: Math.max(...scores), saturated: scores.filter(v => v <= 0 || v >= 100).length };
+  }, [computed]);
+
+  // Model-specific input columns appear once any PD scores with a model that reads them.
+  const activeModels = useMemo(
+    () => new Set([scoringModel, ...pds.map(pd => pd.model).filter(m => SCORING_MODELS[m])]),
+    [pds, scoringModel]
+  );
+  const modelFieldColumns = useMemo(
+    () => MODEL_INPUT_FIELDS.filter(f => [...activeModels].some(m => SCORING_MODELS[m].fields.includes(f.key))),
+    [activeModels]
+  );
+
+  const breakdown = useMemo(() => {
+    if (!breakdownFor) return null;
+    const pd = computed.find(p => p.id === breakdownFor.pdId);
+    const epic = pd?.epics.find(e => e.id === breakdownFor.epicId);
+    return epic ? { pd, epic, explained: explainEpicScore(epic, effWeights, normalization) } : null;
+  }, [breakdownFor, computed, effWeights, normalization]);
+
+  // Newest first; epics listed by their latest logged name, including deleted ones.
+  const auditView = useMemo(() => {
+    if (!showAudit) return null;
+    const epics = new Map();
+    for (const a of auditLog) if (a.epicId) epics.set(a.epicId, `${a.epicName} (${a.pdName})`);
+    const entries = (auditEpicId ? auditLog.filter(a => a.epicId === auditEpicId) : auditLog).slice().reverse();
+    return { epics: [...epics].sort((a, b) => a[1].localeCompare(b[1])), entries };
+  }, [showAudit, auditLog, auditEpicId]);
+
+  const baselineDiff = useMemo(() => {
+    const baseline = showBaselines && baselines.find(b => b.id === diffBaselineId);
+    return baseline ? { baseline, ...diffBaseline(baseline, { pds, weights, whatIf, scoringModel, finance, criteria, normalization, rating, calibration }) } : null;
+  }, [showBaselines, baselines, diffBaselineId, pds, weights, whatIf, scoringModel, finance, criteria, normalization, rating, calibration]);
+
+  const cashFlowEpic = useMemo(() => {
+    if (!cashFlowFor) return null;
+    const pd = computed.find(p => p.id === cashFlowFor.pdId);
+    const epic = pd?.epics.find(e => e.id === cashFlowFor.epicId);
+    return epic ? { pd, epic } : null;
+  }, [cashFlowFor, computed]);
+
+  const ratingsEpic = useMemo(() => {
+    if (!ratingsFor) return null;
+    const pd = computed.find(p => p.id === ratingsFor.pdId);
+    const epic = pd?.epics.find(e => e.id === ratingsFor.epicId);
+    const typed = pds.find(p => p.id === ratingsFor.pdId)?.epics.find(e => e.id === ratingsFor.epicId);
+    return epic && typed ? { pd, epic, typed } : null;
+  }, [ratingsFor, computed, pds]);
+  const calibrationData = useMemo(() => (showCalibration ? calibrationReport(pds) : null), [showCalibration, pds]);
+  const raters = useMemo(() => [...new Set(pds.flatMap(pd => pd.epics.flatMap(e => Object.keys(e.ratings ?? {}))))].sort(), [pds]);
+  const disagreements = useMemo(
+    () => computed.flatMap(pd => pd.epics.filter(e => e.disagreement?.length > 0).map(epic => ({ pd, epic }))),
+    [computed],
+  );
+
+  const depOrder = useMemo(() => (showDepOrder ? dependencyOrder(computed) : null), [showDepOrder, computed]);
+  const chartColors = useMemo(() => pdColors(pds), [pds]); // by backlog order, so sorting keeps colors
+  const epicNames = useMemo(() => new Map(pds.flatMap(pd => pd.epics.map(e => [e.id, e.name]))), [pds]);
+
+  const roadmap = useMemo(() => (planning ? planRoadmap(computed, plan) : null), [planning, computed, plan]);
+  const owners = useMemo(() => [...new Set(pds.map(pd => pd.owner || UNASSIGNED_OWNER))].sort(), [pds]);
+
+  const query = useMemo(() => parseFilterQuery(filter, criteria), [filter, criteria]);
+  const savedFilter = savedFilters.find(f => f.query === filter.trim());
+
+  const sorted = useMemo(() => {
+    return [...computed].sort((a, b) => {
       let av, bv;
       if (sortKey === "pdScore") { av = a.pdScore; bv = b.pdScore; }
       else if (sortKey === "name") { av = a.name.toLowerCase(); bv = b.name.toLowerCase(); }
@@ -261,16 +1246,123 @@ export default function PriorityScoringApp() {
       if (av > bv) return sortDir === "asc" ? 1 : -1;
       return 0;
     });
+  }, [computed, sortDir, sortKey]);
+
+  const visible = useMemo(() => filterPortfolio(sorted, query.clauses), [sorted, query]);
+  const visibleEpicCount = useMemo(() => visible.reduce((n, pd) => n + pd.epics.length, 0), [visible]);
+  const epicCount = useMemo(() => computed.reduce((n, pd) => n + pd.epics.length, 0), [computed]);
+
+  const backlog = useMemo(() => rankedBacklog(computed, rankOverrides), [computed, rankOverrides]);
+  const backlogRows = useMemo(() => new Map(backlog.map(r => [r.id, r])), [backlog]);
+  const visibleEpicIds = useMemo(() => new Set(visible.flatMap(pd => pd.epics.map(e => e.id))), [visible]);
+
+  const workspaceSetters = {
+    pds: storePds, weights: storeWeights, whatIf: storeWhatIf, scenarios: setScenarios, scoringModel: setScoringModel,
+    finance: setFinance, baselines: setBaselines, criteria: setCriteria, normalization: setNormalization,
+    rankOverrides: setRankOverrides, rating: setRating, calibration: setCalibration,
+  };
+
+  // Set the workspace parts present in `state`, leaving the others as they are.
+  function restore(state) {
+    for (const [part, value] of Object.entries(state)) workspaceSetters[part](value);
+  }
+
+  // Replace the whole workspace with a copy from elsewhere (the sync server); audited, and it clears the
+  // undo history, whose entries were recorded against the replaced workspace.
+  function applyWorkspace(ws, source) {
+    setAuditLog(log => appendAudit(log, diffBacklog(pds, ws.pds), Date.now(), source));
+    setHistory({ past: [], future: [] });
+    restore(partsOf(ws, Object.keys(workspaceSetters)));
+  }
 
-    return sorted;
-  }, [computed, filter, sortDir, sortKey]);
+  async function openShare() {
+    try {
+      const fragment = await encodeShareLink(shareableWorkspace(snapshot, name));
+      setShareLink({ url: `${window.location.origin}${window.location.pathname}#${SHARE_PARAM}=${fragment}`, copied: false });
+    } catch (e) {
+      alert("Share failed: " + e.message);
+    }
+  }
+
+  async function copyShareLink() {
+    try {
+      await navigator.clipboard.writeText(shareLink.url);
+      setShareLink({ ...shareLink, copied: true });
+    } catch (e) {
+      alert("Copy failed: " + e.message + ". Select the link and copy it by hand.");
+    }
+  }
+
+  async function listRemoteWorkspaces() {
+    try {
+      setRemoteList(await createSyncClient(syncUrl).list());
+    } catch (e) {
+      alert("Sync failed: " + (isOffline(e) ? `could not reach ${syncUrl}` : e.message));
+    }
+  }
+
+  async function connectSync(remote) {
+    if (remote && !confirm(`Replace this workspace's contents with "${remote.name}" from the server?`)) return;
+    try {
+      await teamSync.connect(syncUrl, remote?.id);
+      setRemoteList(null);
+    } catch (e) {
+      alert("Sync failed: " + (isOffline(e) ? `could not reach ${syncUrl}` : e.message));
+    }
+  }
+
+  // Every undoable edit goes through here with all the workspace parts it replaces, so undo puts them back
+  // as one step; backlog edits are also audited.
+  function applyEdit(label, next, key = label) {
+    const at = Date.now();
+    setHistory(h => pushHistory(h, { label, key, at, state: partsOf(snapshot, Object.keys(next)) }));
+    if (next.pds) setAuditLog(log => appendAudit(log, diffBacklog(pds, next.pds), at, "edit"));
+    restore(next);
+  }
+
+  const setPds = (next, label = "Edit backlog", key) => applyEdit(label, { pds: next }, key);
+  const setWeights = (next, key) => applyEdit("Change weights", { weights: next }, key);
+  const setWhatIf = (next, key) => applyEdit("Change what‑if", { whatIf: next }, key);
+
+  function step(direction) {
+    const stepped = stepHistory(history, snapshot, direction);
+    if (!stepped) return;
+    setHistory(stepped.history);
+    if (stepped.state.pds) setAuditLog(log => appendAudit(log, diffBacklog(pds, stepped.state.pds), Date.now(), direction));
+    restore(stepped.state);
+  }
+
+  const undo = () => step("undo");
+  const redo = () => step("redo");
+
+  // Ctrl/⌘+Z undoes, Ctrl/⌘+Shift+Z or Ctrl+Y redoes; text fields keep their own native undo.
+  const shortcuts = useRef(null);
+  shortcuts.current = { undo, redo };
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("textarea, [contenteditable], input:not([type]), input[type=text], input[type=search]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) shortcuts.current.undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") shortcuts.current.redo();
+      else return;
+      e.preventDefault();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  function exportAudit() {
+    const log = auditEpicId ? auditLog.filter(a => a.epicId === auditEpicId) : auditLog;
+    downloadFile(toCSV([AUDIT_HEADERS, ...auditRows(log)]), "text/csv;charset=utf-8;", `priority_audit_${new Date().toISOString().slice(0,10)}.csv`);
+  }
 
   function addPD() {
     const id = crypto.randomUUID();
     setPds([
       ...pds,
       { id, name: "New Product Deliverable", owner: "", agg: "max", epics: [] },
-    ]);
+    ], "Add PD");
   }
 
   function addEpic(pdId) {
@@ -280,111 +1372,302 @@ export default function PriorityScoringApp() {
         ...pd,
         epics: [
           ...pd.epics,
-          {
-            id: crypto.randomUUID(),
-            name: "New Epic",
-            revenueEUR: 0,
-            opexEUR: 0,
-            capexEUR: 0,
-            autoROI: true,
-            roi: 1.0,
-            effort: 8,
-            risk: 3,
-            strategic: 3,
-            okr: 3,
-            timeCriticality: 3,
-            customerImpact: 3,
-            confidence: 0.6,
-            dependencies: 1,
-          },
+          { id: crypto.randomUUID(), ...DEFAULT_EPIC, ...Object.fromEntries(criteria.map(c => [c.key, c.default])) },
         ],
       };
-    }));
+    }), "Add epic");
   }
 
   function updatePD(pdId, patch) {
-    setPds(pds.map(pd => (pd.id === pdId ? { ...pd, ...patch } : pd)));
+    const pd = pds.find(p => p.id === pdId);
+    setPds(pds.map(p => (p.id === pdId ? { ...p, ...patch } : p)), `Edit PD “${pd?.name}”`, `pd:${pdId}:${Object.keys(patch)}`);
   }
 
   function updateEpic(pdId, epicId, patch) {
+    const epic = pds.find(pd => pd.id === pdId)?.epics.find(e => e.id === epicId);
     setPds(pds.map(pd => {
       if (pd.id !== pdId) return pd;
       return {
         ...pd,
         epics: pd.epics.map(e => (e.id === epicId ? { ...e, ...patch } : e)),
       };
+    }), `Edit “${epic?.name}”`, `epic:${epicId}:${Object.keys(patch)}`);
+  }
+
+  // Set one rater's value for a field of an epic, or clear it with null; the rater stays until removed.
+  function rateEpic(pdId, epic, rater, field, value) {
+    const { [field]: _, ...others } = epic.ratings[rater] ?? {};
+    updateEpic(pdId, epic.id, { ratings: { ...epic.ratings, [rater]: value === null ? others : { ...others, [field]: value } } });
+  }
+
+  function addRater(pdId, epic) {
+    const name = newRater.trim();
+    if (!name) return;
+    if (Object.keys(epic.ratings).some(r => sameName(r, name))) return alert(`${name} already rates this epic.`);
+    updateEpic(pdId, epic.id, { ratings: { ...epic.ratings, [raters.find(r => sameName(r, name)) ?? name]: {} } });
+    setNewRater("");
+  }
+
+  function removeRater(pdId, epic, rater) {
+    const { [rater]: _, ...others } = epic.ratings;
+    updateEpic(pdId, epic.id, { ratings: others });
+  }
+
+  // Drop links pointing at epics that no longer exist.
+  function unlinkEpics(list, ids) {
+    return list.map(pd => ({
+      ...pd,
+      epics: pd.epics.map(e => (e.dependsOn?.some(d => ids.has(d)) ? { ...e, dependsOn: e.dependsOn.filter(d => !ids.has(d)) } : e)),
     }));
   }
 
   function removePD(pdId) {
-    setPds(pds.filter(pd => pd.id !== pdId));
+    const pd = pds.find(p => p.id === pdId);
+    const gone = new Set(pd?.epics.map(e => e.id) ?? []);
+    setPds(unlinkEpics(pds.filter(p => p.id !== pdId), gone), `Delete PD “${pd?.name}”`);
   }
 
   function removeEpic(pdId, epicId) {
-    setPds(pds.map(pd => {
+    const epic = pds.find(pd => pd.id === pdId)?.epics.find(e => e.id === epicId);
+    setPds(unlinkEpics(pds.map(pd => {
       if (pd.id !== pdId) return pd;
       return { ...pd, epics: pd.epics.filter(e => e.id !== epicId) };
-    }));
+    }), new Set([epicId])), `Delete epic “${epic?.name}”`);
+  }
+
+  // Move an epic of the ranked backlog to a position. Every override needs a reason; without one nothing moves.
+  function moveBacklogEpic(id, position) {
+    const row = backlogRows.get(id);
+    if (!row || row.position === position) return;
+    const reason = prompt(`Why should “${row.name}” be #${position} instead of #${row.computedRank} by score?`, row.override?.reason ?? "");
+    if (reason === null) return;
+    if (!reason.trim()) return alert("Override not saved: a reason is required.");
+    setRankOverrides(moveInBacklog(backlog, id, position, reason.trim(), new Date().toISOString()));
+  }
+
+  function editOverrideReason(id) {
+    const row = backlogRows.get(id);
+    const reason = prompt(`Why is “${row.name}” at #${row.position}?`, row.override.reason);
+    if (reason === null) return;
+    if (!reason.trim()) return alert("A rank override needs a reason. Use × to remove the override instead.");
+    setRankOverrides({ ...rankOverrides, [id]: { ...row.override, reason: reason.trim(), at: new Date().toISOString() } });
+  }
+
+  function removeOverride(id) {
+    const { [id]: _, ...others } = rankOverrides;
+    setRankOverrides(others);
+  }
+
+  function linkEpic(pdId, epicId, dependsOnId) {
+    const epic = pds.find(pd => pd.id === pdId)?.epics.find(e => e.id === epicId);
+    if (!epic || !dependsOnId) return;
+    updateEpic(pdId, epicId, { dependsOn: [...new Set([...(epic.dependsOn || []), dependsOnId])] });
+  }
+
+  function unlinkEpic(pdId, epicId, dependsOnId) {
+    const epic = pds.find(pd => pd.id === pdId)?.epics.find(e => e.id === epicId);
+    if (!epic) return;
+    updateEpic(pdId, epicId, { dependsOn: (epic.dependsOn || []).filter(d => d !== dependsOnId) });
+  }
+
+  function freezeBaseline() {
+    const name = baselineName.trim() || `Baseline ${new Date().toLocaleDateString()}`;
+    const baseline = makeBaseline(name, { pds, weights, whatIf, scoringModel, finance, criteria, normalization, rating, calibration });
+    setBaselines([...baselines, baseline]);
+    setBaselineName("");
+    setDiffBaselineId(baseline.id);
+  }
+
+  // Criteria changes that touch epic values, weights or what-if go through applyEdit, so they undo as one step.
+  function addCriterion(c) {
+    applyEdit(`Add criterion ${c.label}`, addCriterionEdit(snapshot, c));
+    setNewCriterion(null);
+  }
+
+  function updateCriterion(key, patch) {
+    const before = criteria.find(c => c.key === key);
+    try {
+      applyEdit(`Change criterion ${patch.label ?? before.label}`, changeCriterionEdit(snapshot, key, patch));
+    } catch (e) {
+      alert(`Cannot change "${before.label}": ${e.message}`);
+    }
+  }
+
+  function removeCriterion(key) {
+    const c = criteria.find(x => x.key === key);
+    if (!confirm(`Remove the criterion "${c.label}"? Its values are deleted from every epic.`)) return;
+    applyEdit(`Remove criterion ${c.label}`, removeCriterionEdit(snapshot, key));
+  }
+
+  function removeBaseline(id) {
+    if (!confirm("Delete this baseline?")) return;
+    setBaselines(baselines.filter(b => b.id !== id));
+    if (diffBaselineId === id) setDiffBaselineId(null);
   }
 
-  function resetWeights() { setWeights(DEFAULT_WEIGHTS); }
+  function resetWeights() { setWeights({ ...weights, ...DEFAULT_WEIGHTS }); } // user-defined criteria keep theirs
   function resetWhatIf() { setWhatIf(DEFAULT_WHATIF); }
 
-  function exportCSV() {
-    const rows = [
-      [
-        "PD Name","Owner","PD Aggregation","Epic Name","ROI× (eff)","Revenue€","Opex€","Capex€","AutoROI","Effort","Risk","Strategic","OKR","TimeCriticality","CustomerImpact","Confidence","Dependencies","Epic Score","PD Score",
+  function saveScenario() {
+    const name = scenarioName.trim();
+    if (!name) return;
+    const existing = scenarios.find(sc => sameName(sc.name, name));
+    if (existing) {
+      if (!confirm(`Overwrite scenario "${existing.name}" with the current sliders?`)) return;
+      setScenarios(scenarios.map(sc => (sc.id === existing.id ? { ...sc, whatIf: { ...whatIf } } : sc)));
+    } else {
+      setScenarios([...scenarios, { id: crypto.randomUUID(), name, whatIf: { ...whatIf } }]);
+    }
+    setScenarioName("");
+  }
+
+  function updatePeriod(id, patch) {
+    setPlan({ ...plan, periods: plan.periods.map(p => (p.id === id ? { ...p, ...patch } : p)) });
+  }
+
+  function addPeriod() {
+    const last = plan.periods[plan.periods.length - 1];
+    setPlan({
+      ...plan,
+      periods: [
+        ...plan.periods,
+        {
+          id: crypto.randomUUID(),
+          name: `Period ${plan.periods.length + 1}`,
+          capacity: last?.capacity ?? 40,
+          ownerCapacity: { ...last?.ownerCapacity },
+        },
       ],
-    ];
+    });
+  }
 
-    computed.forEach(pd => {
-      const pdScore = pd.pdScore;
-      if (pd.epics.length === 0) {
-        rows.push([pd.name, pd.owner || "", pd.agg || "max", "", "", "", "", "", "", "", "", "", "", "", "", "", "", "", pdScore]);
-      } else {
-        pd.epics.forEach(e => {
-          rows.push([
-            pd.name,
-            pd.owner || "",
-            pd.agg || "max",
-            e.name,
-            e.roiComputed,
-            e.revenueEUR,
-            e.opexEUR,
-            e.capexEUR,
-            e.autoROI,
-            e.effort,
-            e.risk,
-            e.strategic,
-            e.okr,
-            e.timeCriticality,
-            e.customerImpact,
-            e.confidence,
-            e.dependencies,
-            e.score,
-            pdScore,
-          ]);
-        });
+  function removePeriod(id) {
+    setPlan({ ...plan, periods: plan.periods.filter(p => p.id !== id) });
+  }
+
+  function runSimulation() {
+    const runs = clamp(Math.round(mcSettings.runs), 1, 20000);
+    const topN = clamp(Math.round(mcSettings.topN), 1, 1000);
+    const byId = new Map(computed.flatMap(pd => pd.epics.map(e => [e.id, e.score])));
+    const rows = simulateScores(linkedPds, effWeights, scoringModel, { runs, topN, seed: mcSettings.seed, finance, normalization });
+    setMcResult({ runs, topN, rows: rows.map(r => ({ ...r, point: byId.get(r.id) })).sort((a, b) => b.pTop - a.pTop || b.p50 - a.p50) });
+  }
+
+  function setRange(pdId, epic, key, range) {
+    const ranges = { ...epic.ranges };
+    if (range) ranges[key] = range;
+    else delete ranges[key];
+    updateEpic(pdId, epic.id, { ranges });
+  }
+
+  // Give every epic without any range the default spread, so a first simulation is one click away.
+  function fillDefaultRanges() {
+    setPds(pds.map(pd => ({
+      ...pd,
+      epics: pd.epics.map(e => (Object.keys(e.ranges || {}).length > 0 ? e : {
+        ...e,
+        ranges: Object.fromEntries(UNCERTAIN_FIELDS.map(f => [f.key, defaultRange(f, e[f.key])])),
+      })),
+    })), "Fill default ranges");
+  }
+
+  function removeScenario(id) {
+    setScenarios(scenarios.filter(sc => sc.id !== id));
+    setCompareIds(compareIds.filter(c => c !== id));
+  }
+
+  function saveFilter() {
+    const text = filter.trim();
+    const name = prompt("Name this filter:", savedFilter?.name ?? "")?.trim();
+    if (!name) return;
+    const existing = savedFilters.find(f => sameName(f.name, name));
+    if (existing) {
+      if (existing.query !== text && !confirm(`Overwrite filter "${existing.name}" with ${text}?`)) return;
+      setSavedFilters(savedFilters.map(f => (f.id === existing.id ? { ...f, query: text } : f)));
+    } else {
+      setSavedFilters([...savedFilters, { id: crypto.randomUUID(), name, query: text }]);
+    }
+  }
+
+  function toggleCompare(id) {
+    setCompareIds(compareIds.includes(id) ? compareIds.filter(c => c !== id) : [...compareIds, id]);
+  }
+
+  function exportCSV() {
+    const rows = csvRows(sorted, { criteria, rankOverrides, normalization, breakdownWeights: csvBreakdown ? effWeights : null, filter: query.clauses });
+    downloadFile(toCSV(rows), "text/csv;charset=utf-8;", `priority_export_${new Date().toISOString().slice(0,10)}.csv`);
+  }
+
+  // Stakeholder report as a Markdown file, a standalone HTML file, or that HTML opened in a tab to print.
+  function exportReport(format) {
+    const report = buildReport(snapshot, { title: `Prioritization report — ${name}`, topN: reportTopN });
+    const fileName = `priority_report_${report.generatedAt.slice(0, 10)}`;
+    if (format === "md") return downloadFile(reportMarkdown(report), "text/markdown;charset=utf-8;", `${fileName}.md`);
+    if (format === "html") return downloadFile(reportHTML(report), "text/html;charset=utf-8;", `${fileName}.html`);
+    const url = URL.createObjectURL(new Blob([reportHTML(report)], { type: "text/html" }));
+    if (!window.open(url, "_blank")) alert("Export failed: the browser blocked the new tab. Download the HTML file and print it instead.");
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  function exportJSON() {
+    const workspace = {
+      schemaVersion: SCHEMA_VERSION,
+      metadata: {
+        app: "priority-scoring-app",
+        exportedAt: new Date().toISOString(),
+        pdCount: pds.length,
+        epicCount: pds.reduce((n, pd) => n + pd.epics.length, 0),
+      },
+      pds,
+      weights,
+      whatIf,
+      scenarios,
+      scoringModel,
+      finance,
+      baselines,
+      criteria,
+      normalization,
+      rankOverrides,
+      rating,
+      calibration,
+    };
+    downloadFile(JSON.stringify(workspace, null, 2), "application/json", `priority_workspace_${new Date().toISOString().slice(0,10)}.json`);
+  }
+
+  function importJSON(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const ws = readWorkspaceFile(String(reader.result));
+        applyEdit("Import JSON", partsOf(ws, Object.keys(workspaceSetters)));
+      } catch (e) {
+        alert("Import failed: " + e.message);
       }
-    });
+    };
+    reader.readAsText(file);
+  }
 
-    const csv = rows.map(r => r.map(v => `"${String(v).replaceAll('"', '""')}"`).join(",")).join("\n");
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `priority_export_${new Date().toISOString().slice(0,10)}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+  function importCSV(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const incoming = pdsFromCSV(String(reader.result), criteria);
+        setCsvImport({ fileName: file.name, incoming, mode: "merge" });
+      } catch (e) {
+        alert("Import failed: " + e.message);
+      }
+    };
+    reader.readAsText(file);
   }
 
-  function importJSON(file) {
+  function importTracker(file) {
     const reader = new FileReader();
     reader.onload = () => {
       try {
-        const obj = JSON.parse(String(reader.result));
-        if (!Array.isArray(obj)) throw new Error("Invalid JSON shape (expected an array)");
-        setPds(obj);
+        const { source, columns, rows } = parseTrackerExport(String(reader.result));
+        if (rows.length === 0) throw new Error("No rows in file");
+        const mapping = trackerMappings[source] ?? guessTrackerMapping(source, columns);
+        setTrackerImport({ fileName: file.name, source, columns, rows, mapping });
       } catch (e) {
         alert("Import failed: " + e.message);
       }
@@ -392,6 +1675,26 @@ export default function PriorityScoringApp() {
     reader.readAsText(file);
   }
 
+  function updateTrackerMapping(patch) {
+    setTrackerImport({ ...trackerImport, mapping: { ...trackerImport.mapping, ...patch } });
+  }
+
+  function mapTrackerField(field, column, transform) {
+    const { [field]: _, ...fields } = trackerImport.mapping.fields;
+    updateTrackerMapping({ fields: column ? { ...fields, [field]: { column, transform } } : fields });
+  }
+
+  function applyTrackerImport() {
+    setPds(trackerPlan.pds, `Import ${trackerImport.fileName}`);
+    setTrackerMappings({ ...trackerMappings, [trackerImport.source]: trackerImport.mapping });
+    setTrackerImport(null);
+  }
+
+  function applyCSVImport() {
+    setPds(csvPlan.pds, "Import CSV");
+    setCsvImport(null);
+  }
+
   return (
     <div className="min-h-screen w-full bg-slate-50 text-slate-800">
       <header className="sticky top-0 z-10 border-b border-slate-200 bg-white/80 backdrop-blur">
@@ -399,23 +1702,125 @@ export default function PriorityScoringApp() {
           <div className="flex items-center gap-3">
             <div className="rounded-2xl bg-indigo-600 p-2 text-white shadow">ROI</div>
             <h1 className="text-xl font-semibold">Priority Scoring — PD & Epics</h1>
+            {switcher}
           </div>
           <div className="flex items-center gap-2">
             <input
               value={filter}
               onChange={(e) => setFilter(e.target.value)}
-              placeholder="Filter PDs & Epics…"
-              className="w-64 rounded-xl border border-slate-300 bg-white px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              placeholder="Filter, e.g. owner:Apps score>=60"
+              title={query.errors.length ? query.errors.join("\n") : "Words match PD, owner or epic names. Fields: pd, owner, pdScore, model, epic, key, score, roi, autoROI, revenue, opex, capex, npv, effort, risk, confidence, status, open… with : = != > >= < <=; -term excludes"}
+              className={`w-64 rounded-xl border bg-white px-3 py-1 text-sm focus:outline-none focus:ring-2 ${query.errors.length ? "border-red-400 focus:ring-red-400" : "border-slate-300 focus:ring-indigo-500"}`}
             />
+            {savedFilters.length > 0 && (
+              <select
+                value={savedFilter?.id ?? ""}
+                onChange={(e) => setFilter(savedFilters.find(f => f.id === e.target.value)?.query ?? "")}
+                title="Saved filters"
+                className="w-32 rounded-xl border border-slate-300 bg-white px-2 py-1 text-sm"
+              >
+                <option value="">Saved filters…</option>
+                {savedFilters.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+              </select>
+            )}
+            {savedFilter ? (
+              <button
+                onClick={() => setSavedFilters(savedFilters.filter(f => f.id !== savedFilter.id))}
+                title={`Delete saved filter “${savedFilter.name}”`}
+                className="rounded-xl border border-slate-300 bg-white px-2 py-1.5 text-sm text-amber-500 shadow hover:bg-slate-50"
+              >
+                ★
+              </button>
+            ) : (
+              <button
+                onClick={saveFilter}
+                disabled={!filter.trim() || query.errors.length > 0}
+                title="Save this filter"
+                className="rounded-xl border border-slate-300 bg-white px-2 py-1.5 text-sm text-slate-500 shadow hover:bg-slate-50 disabled:opacity-40"
+              >
+                ☆
+              </button>
+            )}
+            <button
+              onClick={undo}
+              disabled={history.past.length === 0}
+              title={history.past.length ? `Undo: ${history.past[history.past.length - 1].label} (Ctrl+Z)` : "Nothing to undo"}
+              className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50 disabled:opacity-40"
+            >
+              ↶ Undo
+            </button>
+            <button
+              onClick={redo}
+              disabled={history.future.length === 0}
+              title={history.future.length ? `Redo: ${history.future[0].label} (Ctrl+Shift+Z)` : "Nothing to redo"}
+              className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50 disabled:opacity-40"
+            >
+              ↷ Redo
+            </button>
+            <button onClick={() => setShowAudit(true)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50">Change log</button>
+            <button
+              onClick={() => setShowSync(true)}
+              className="flex items-center gap-1.5 rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50"
+              title={teamSync.link ? `Synced with ${teamSync.link.url} (revision ${teamSync.link.revision})` : "Share this workspace through a sync server"}
+            >
+              <span className={`h-2 w-2 rounded-full ${!teamSync.link ? "bg-slate-300" : SYNC_STATUS[teamSync.status.state].dot}`} />
+              {teamSync.link ? SYNC_STATUS[teamSync.status.state].label : "Sync"}
+            </button>
+            <button onClick={openShare} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50" title="Read‑only link to this prioritization">Share</button>
             <button onClick={addPD} className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700">+ Add PD</button>
+            <button onClick={() => setPlanning(true)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50">Plan capacity</button>
+            <button onClick={() => setShowDepOrder(true)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50">Dependency order</button>
+            <button onClick={() => setShowBacklog(true)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50">Ranked backlog</button>
+            <button
+              onClick={() => setShowCharts(!showCharts)}
+              className={`rounded-xl border px-3 py-1.5 text-sm font-medium shadow ${showCharts ? "border-indigo-600 bg-indigo-50 text-indigo-700" : "border-slate-300 bg-white hover:bg-slate-50"}`}
+            >
+              Charts
+            </button>
+            <button onClick={() => setShowBaselines(true)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50">Baselines</button>
+            <button onClick={() => setShowUncertainty(true)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50">Uncertainty</button>
+            <button onClick={() => setShowCalibration(true)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50" title="How estimates compared with actuals on delivered epics">Calibration</button>
+            <button onClick={() => setShowReport(true)} className="rounded-xl bg-slate-800 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-black">Report</button>
             <button onClick={exportCSV} className="rounded-xl bg-slate-800 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-black">Export CSV</button>
+            <label className="flex items-center gap-1 text-xs text-slate-600" title="Add per-factor contributions of the weighted model to the CSV">
+              <input type="checkbox" checked={csvBreakdown} onChange={(e) => setCsvBreakdown(e.target.checked)} />
+              breakdown
+            </label>
+            <button onClick={exportJSON} className="rounded-xl bg-slate-800 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-black">Export JSON</button>
             <label className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50 cursor-pointer">
               Import JSON
               <input
                 type="file"
                 accept="application/json"
                 className="hidden"
-                onChange={(e) => e.target.files?.[0] && importJSON(e.target.files[0])}
+                onChange={(e) => {
+                  if (e.target.files?.[0]) importJSON(e.target.files[0]);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+            <label className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50 cursor-pointer">
+              Import CSV
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files?.[0]) importCSV(e.target.files[0]);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+            <label className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm font-medium shadow hover:bg-slate-50 cursor-pointer" title="Jira CSV/JSON or Azure DevOps CSV export">
+              Import Jira / ADO
+              <input
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files?.[0]) importTracker(e.target.files[0]);
+                  e.target.value = "";
+                }}
               />
             </label>
           </div>
@@ -425,22 +1830,42 @@ export default function PriorityScoringApp() {
       <main className="mx-auto grid max-w-7xl grid-cols-1 gap-6 px-4 py-6 lg:grid-cols-3">
         {/* Weights & What‑if */}
         <section className="lg:col-span-1 space-y-6">
+          {/* Scoring model */}
+          <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+            <h2 className="mb-3 text-sm font-semibold text-slate-700">Scoring Model</h2>
+            <select
+              value={scoringModel}
+              onChange={(e) => setScoringModel(e.target.value)}
+              className="w-full rounded-lg border border-slate-300 bg-white px-2 py-1 text-sm"
+            >
+              {MODEL_KEYS.map(key => <option key={key} value={key}>{SCORING_MODELS[key].label}</option>)}
+            </select>
+            <p className="mt-2 text-xs text-slate-500">{SCORING_MODELS[scoringModel].formula}.</p>
+            <p className="mt-1 text-xs text-slate-500">
+              Workspace default; a PD can pick its own. Weights and what‑if apply to the weighted model only. Columns a PD's model reads are highlighted in its table.
+            </p>
+          </div>
+
           {/* Weights panel */}
           <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
             <div className="mb-3 flex items-center justify-between">
               <h2 className="text-sm font-semibold text-slate-700">Scoring Weights</h2>
-              <button onClick={resetWeights} className="text-xs text-indigo-600 hover:underline">Reset</button>
+              <span className="flex gap-3">
+                <button onClick={() => setShowCriteria(true)} className="text-xs text-indigo-600 hover:underline" title="Add your own scoring criteria">Criteria…</button>
+                <button onClick={() => setAhpStep(0)} className="text-xs text-indigo-600 hover:underline" title="Derive weights from pairwise comparisons (AHP)">Compare pairwise…</button>
+                <button onClick={resetWeights} className="text-xs text-indigo-600 hover:underline">Reset</button>
+              </span>
             </div>
             <p className="mb-4 text-xs text-slate-500">ROI is the main driver by default. Positive weights increase score; negative weights decrease it. Scores are normalized to 0–100.</p>
             <div className="grid grid-cols-2 gap-3 text-sm">
-              {Object.entries(weights).map(([k, v]) => (
+              {criterionKeys(criteria).map(k => (
                 <label key={k} className="flex items-center justify-between gap-3">
-                  <span className="capitalize text-slate-600">{k.replaceAll(/([A-Z])/g, " $1")}</span>
+                  <span className="text-slate-600">{labels[k]}</span>
                   <input
                     type="number"
                     step="0.05"
-                    value={v}
-                    onChange={(e) => setWeights({ ...weights, [k]: parseFloat(e.target.value) })}
+                    value={weights[k] ?? 0}
+                    onChange={(e) => setWeights({ ...weights, [k]: parseFloat(e.target.value) }, `weights:${k}`)}
                     className="w-24 rounded-lg border border-slate-300 bg-white px-2 py-1"
                     />
                 </label>
@@ -449,11 +1874,152 @@ export default function PriorityScoringApp() {
             <div className="mt-4 rounded-xl bg-slate-50 p-3 text-xs text-slate-600">
               <p className="mb-1 font-medium">Formula (epic):</p>
               <p>
-                score = f( ROI, −Effort, −Risk, Strategic, OKR, Time Criticality, Customer Impact, Confidence, −Dependencies ) → 0–100
+                score = f( ROI, −Effort, −Risk, Strategic, OKR, Time Criticality, Customer Impact, Confidence, −Dependencies, +Unblocks
+                {criteria.map(c => `, ${c.direction === "cost" ? "−" : ""}${c.label}`).join("")} ) → 0–100
               </p>
             </div>
           </div>
 
+          {/* Finance panel */}
+          <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+            <h2 className="mb-3 text-sm font-semibold text-slate-700">Financials</h2>
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <label className="flex items-center justify-between gap-3">
+                <span className="text-slate-600">Discount rate %</span>
+                <input
+                  {...numberInputProps(-99, 1000, 0.5)}
+                  value={round2(finance.discountRate * 100)}
+                  onChange={(e) => setFinance({ ...finance, discountRate: (parseFloat(e.target.value) || 0) / 100 })}
+                />
+              </label>
+              <label className="flex items-center justify-between gap-3">
+                <span className="text-slate-600">ROI factor</span>
+                <select
+                  value={finance.roiMetric}
+                  onChange={(e) => setFinance({ ...finance, roiMetric: e.target.value })}
+                  className="w-28 rounded-lg border border-slate-300 bg-white px-1 py-1 text-sm"
+                >
+                  {Object.entries(ROI_METRICS).map(([k, m]) => <option key={k} value={k}>{m.label}</option>)}
+                </select>
+              </label>
+              {finance.roiMetric === "npv" && (
+                <label className="flex items-center justify-between gap-3">
+                  <span className="text-slate-600" title="NPV that normalizes to ≈0.76">NPV scale €</span>
+                  <input
+                    {...numberInputProps(1, 1000000000, 10000)}
+                    value={finance.npvScale}
+                    onChange={(e) => setFinance({ ...finance, npvScale: parseFloat(e.target.value) || 1 })}
+                  />
+                </label>
+              )}
+              {finance.roiMetric === "payback" && (
+                <label className="flex items-center justify-between gap-3">
+                  <span className="text-slate-600" title="Payback at or beyond this many years scores 0">Horizon (yrs)</span>
+                  <input
+                    {...numberInputProps(0.5, 30, 0.5)}
+                    value={finance.paybackHorizon}
+                    onChange={(e) => setFinance({ ...finance, paybackHorizon: parseFloat(e.target.value) || 1 })}
+                  />
+                </label>
+              )}
+            </div>
+            <p className="mt-3 text-xs text-slate-500">
+              NPV, IRR and payback use each epic's cash‑flow schedule: capex upfront, opex every year, revenue ramping up. Only “ROI× (simple)” honours a manual ROI.
+            </p>
+          </div>
+
+          {/* Normalization panel */}
+          <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+            <div className="mb-3 flex items-center justify-between">
+              <h2 className="text-sm font-semibold text-slate-700">Normalization</h2>
+              <button onClick={() => setNormalization(DEFAULT_NORMALIZATION)} className="text-xs text-indigo-600 hover:underline">Reset</button>
+            </div>
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <label className="flex items-center justify-between gap-3">
+                <span className="text-slate-600">Scores</span>
+                <select
+                  value={normalization.mode}
+                  onChange={(e) => setNormalization({ ...normalization, mode: e.target.value })}
+                  className="w-28 rounded-lg border border-slate-300 bg-white px-1 py-1 text-sm"
+                >
+                  {Object.entries(NORMALIZATION_MODES).map(([k, m]) => <option key={k} value={k}>{m.label}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center justify-between gap-3">
+                <span className="text-slate-600" title="ROI× that normalizes to ≈0.76 (simple and discounted ROI)">ROI scale ×</span>
+                <input
+                  {...numberInputProps(0.1, 100, 0.5)}
+                  value={normalization.roiScale}
+                  onChange={(e) => setNormalization({ ...normalization, roiScale: parseFloat(e.target.value) || DEFAULT_NORMALIZATION.roiScale })}
+                />
+              </label>
+              <label className="flex items-center justify-between gap-3">
+                <span className="text-slate-600" title="Effort at or above this many story points counts as maximal">Effort cap (SP)</span>
+                <input
+                  {...numberInputProps(1, 10000, 1)}
+                  value={normalization.effortCap}
+                  onChange={(e) => setNormalization({ ...normalization, effortCap: parseFloat(e.target.value) || DEFAULT_NORMALIZATION.effortCap })}
+                />
+              </label>
+              <label className="flex items-center justify-between gap-3">
+                <span className="text-slate-600" title="Dependencies (or unblocked epics) at or above this count as maximal">Dependency cap</span>
+                <input
+                  {...numberInputProps(1, 100, 1)}
+                  value={normalization.dependencyCap}
+                  onChange={(e) => setNormalization({ ...normalization, dependencyCap: parseFloat(e.target.value) || DEFAULT_NORMALIZATION.dependencyCap })}
+                />
+              </label>
+            </div>
+            <p className="mt-3 text-xs text-slate-500">
+              {NORMALIZATION_MODES[normalization.mode].description}. Applies to the weighted model.
+              {scoreSpread && ` Weighted scores now span ${scoreSpread.min}–${scoreSpread.max}; ${scoreSpread.saturated} of ${scoreSpread.count} epic(s) sit at 0 or 100.`}
+            </p>
+          </div>
+
+          {/* Ratings panel */}
+          <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+            <div className="mb-3 flex items-center justify-between">
+              <h2 className="text-sm font-semibold text-slate-700">Stakeholder ratings</h2>
+              <button onClick={() => setRating(DEFAULT_RATING)} className="text-xs text-indigo-600 hover:underline">Reset</button>
+            </div>
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <label className="flex items-center justify-between gap-3">
+                <span className="text-slate-600">Combine by</span>
+                <select
+                  value={rating.method}
+                  onChange={(e) => setRating({ ...rating, method: e.target.value })}
+                  className="w-28 rounded-lg border border-slate-300 bg-white px-1 py-1 text-sm"
+                >
+                  {Object.entries(RATING_METHODS).map(([k, m]) => <option key={k} value={k}>{m.label}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center justify-between gap-3">
+                <span className="text-slate-600" title="Flag a field when its highest and lowest rating are at least this far apart">Disagree at spread</span>
+                <input
+                  {...numberInputProps(0, 4, 1)}
+                  value={rating.disagreement}
+                  onChange={(e) => setRating({ ...rating, disagreement: clamp(parseFloat(e.target.value) || 0, 0, 4) })}
+                />
+              </label>
+            </div>
+            <p className="mt-3 text-xs text-slate-500">
+              Open an epic's <span className="font-semibold">Ratings</span> to let several people rate strategic fit, OKR, time criticality and customer impact; their {RATING_METHODS[rating.method].label.toLowerCase()} replaces the typed‑in value{RATING_METHODS[rating.method].description && ` (${RATING_METHODS[rating.method].description})`}.
+            </p>
+            {disagreements.length > 0 && (
+              <div className="mt-3">
+                <h3 className="mb-1 text-xs font-semibold uppercase tracking-wide text-orange-600">Raters disagree on</h3>
+                <ul className="space-y-1 text-sm">
+                  {disagreements.map(({ pd, epic }) => (
+                    <li key={epic.id} className="flex items-center gap-2">
+                      <button onClick={() => setRatingsFor({ pdId: pd.id, epicId: epic.id })} className="flex-1 truncate text-left text-indigo-600 hover:underline" title={pd.name}>{epic.name}</button>
+                      <span className="text-xs text-orange-600">{epic.disagreement.map(f => `${FACTOR_LABELS[f]} ${epic.ratingStats[f].spread}`).join(" · ")}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+
           {/* What‑if panel */}
           <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
             <div className="mb-3 flex items-center justify-between">
@@ -462,32 +2028,122 @@ export default function PriorityScoringApp() {
             </div>
             <p className="mb-4 text-xs text-slate-500">Drag sliders to stress‑test decisions without overwriting weights.</p>
             <div className="space-y-3">
-              {Object.entries(whatIf).map(([k, v]) => (
+              {criterionKeys(criteria).map(k => (
                 <div key={k} className="grid grid-cols-5 items-center gap-2 text-sm">
-                  <span className="col-span-2 capitalize text-slate-600">{k.replaceAll(/([A-Z])/g, " $1")}</span>
+                  <span className="col-span-2 text-slate-600">{labels[k]}</span>
                   <input
                     type="range" min={0.5} max={1.5} step={0.05}
-                    value={v}
-                    onChange={(e) => setWhatIf({ ...whatIf, [k]: parseFloat(e.target.value) })}
+                    value={whatIf[k] ?? 1}
+                    onChange={(e) => setWhatIf({ ...whatIf, [k]: parseFloat(e.target.value) }, `whatIf:${k}`)}
                     className="col-span-2"
                   />
                   <input
                     type="number" step={0.05} min={0.5} max={1.5}
-                    value={v}
-                    onChange={(e) => setWhatIf({ ...whatIf, [k]: parseFloat(e.target.value) })}
+                    value={whatIf[k] ?? 1}
+                    onChange={(e) => setWhatIf({ ...whatIf, [k]: parseFloat(e.target.value) }, `whatIf:${k}`)}
                     className="w-20 rounded-lg border border-slate-300 bg-white px-2 py-1"
                   />
                 </div>
               ))}
             </div>
+
+            <div className="mt-5 border-t border-slate-100 pt-4">
+              <h3 className="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-500">Scenarios</h3>
+              <div className="mb-3 flex gap-2">
+                <input
+                  value={scenarioName}
+                  onChange={(e) => setScenarioName(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && saveScenario()}
+                  placeholder="e.g., Risk‑averse Q3"
+                  className="min-w-0 flex-1 rounded-lg border border-slate-300 bg-white px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+                <button onClick={saveScenario} disabled={!scenarioName.trim()} className="rounded-lg bg-indigo-600 px-2 py-1 text-xs font-medium text-white hover:bg-indigo-700 disabled:opacity-50">Save sliders</button>
+              </div>
+              <ul className="space-y-1 text-sm">
+                <li className="flex items-center gap-2">
+                  <input type="checkbox" checked={compareIds.includes("current")} onChange={() => toggleCompare("current")} />
+                  <span className="flex-1 italic text-slate-500">Current sliders</span>
+                </li>
+                {scenarios.map(sc => (
+                  <li key={sc.id} className="flex items-center gap-2">
+                    <input type="checkbox" checked={compareIds.includes(sc.id)} onChange={() => toggleCompare(sc.id)} />
+                    <span className="flex-1 truncate" title={sc.name}>{sc.name}</span>
+                    <button onClick={() => setWhatIf({ ...DEFAULT_WHATIF, ...sc.whatIf })} className="text-xs text-indigo-600 hover:underline">Load</button>
+                    <button onClick={() => removeScenario(sc.id)} className="text-xs text-red-600 hover:underline">Delete</button>
+                  </li>
+                ))}
+              </ul>
+              <button
+                onClick={() => setComparing(true)}
+                disabled={compareSet.length < 2}
+                className="mt-3 w-full rounded-lg border border-slate-300 bg-white px-3 py-1.5 text-xs font-medium hover:bg-slate-50 disabled:opacity-50"
+              >
+                Compare {compareSet.length} selected (in order ticked)
+              </button>
+            </div>
           </div>
         </section>
 
         {/* PDs & Epics */}
         <section className="lg:col-span-2">
+          {filter.trim() && (
+            <div className="mb-4 flex flex-wrap items-center gap-x-3 gap-y-1 rounded-xl border border-slate-200 bg-white px-3 py-2 text-xs text-slate-600 shadow-sm">
+              <span>
+                Showing {visible.length} of {computed.length} PDs and {visibleEpicCount} of {epicCount} epics
+                {savedFilter && <> for <span className="font-semibold">{savedFilter.name}</span></>}; Export CSV writes the same.
+              </span>
+              {query.errors.length > 0 && <span className="text-red-600">Ignored: {query.errors.join("; ")}</span>}
+              <button onClick={() => setFilter("")} className="ml-auto text-indigo-600 hover:underline">Clear filter</button>
+            </div>
+          )}
+          {showCharts && (
+            <div className="mb-6 space-y-4 rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <h2 className="text-sm font-semibold text-slate-700">Value vs. effort</h2>
+                <div className="flex flex-wrap items-center gap-3 text-xs">
+                  <label className="flex items-center gap-1">
+                    Value
+                    <select value={chartView.y} onChange={(e) => setChartView({ ...chartView, y: e.target.value })} className="rounded-lg border border-slate-300 bg-white px-1 py-0.5">
+                      <option value="score">Score</option>
+                      <option value="roi">ROI×</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-1">
+                    Color
+                    <select value={chartView.color} onChange={(e) => setChartView({ ...chartView, color: e.target.value })} className="rounded-lg border border-slate-300 bg-white px-1 py-0.5">
+                      <option value="pd">by PD</option>
+                      <option value="risk">by risk</option>
+                    </select>
+                  </label>
+                  <button onClick={() => exportChart(scatterSvg.current, "value_vs_effort", "svg")} className="text-indigo-600 hover:underline">SVG</button>
+                  <button onClick={() => exportChart(scatterSvg.current, "value_vs_effort", "png")} className="text-indigo-600 hover:underline">PNG</button>
+                </div>
+              </div>
+              <ValueEffortChart pds={visible} colors={chartColors} yMetric={chartView.y} colorBy={chartView.color} svgRef={scatterSvg} />
+              <div className="flex items-center justify-between gap-3 border-t border-slate-100 pt-4">
+                <h2 className="text-sm font-semibold text-slate-700">PD scores</h2>
+                <div className="flex gap-3 text-xs">
+                  <button onClick={() => exportChart(pdBarSvg.current, "pd_scores", "svg")} className="text-indigo-600 hover:underline">SVG</button>
+                  <button onClick={() => exportChart(pdBarSvg.current, "pd_scores", "png")} className="text-indigo-600 hover:underline">PNG</button>
+                </div>
+              </div>
+              <PdScoreChart pds={visible} colors={chartColors} svgRef={pdBarSvg} />
+              <p className="text-xs text-slate-500">Charts follow the search filter and move as you drag the what‑if sliders. Hover a bubble for details.</p>
+            </div>
+          )}
+          {cycles.length > 0 && (
+            <div className="mb-4 rounded-2xl border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+              <p className="font-medium">Dependency cycle{cycles.length > 1 ? "s" : ""} detected — these epics wait on each other:</p>
+              <ul className="mt-1 list-inside list-disc">
+                {cycles.map(cycle => <li key={cycle.join()}>{cycle.map(id => epicNames.get(id)).join(" → ")} → {epicNames.get(cycle[0])}</li>)}
+              </ul>
+            </div>
+          )}
           {visible.length === 0 && (
             <div className="rounded-2xl border border-dashed border-slate-300 p-8 text-center text-slate-500">
-              No PDs yet. Click <span className="font-semibold">+ Add PD</span> to get started.
+              {computed.length > 0
+                ? "No PDs or epics match the filter."
+                : <>No PDs yet. Click <span className="font-semibold">+ Add PD</span> to get started.</>}
             </div>
           )}
 
@@ -519,6 +2175,15 @@ export default function PriorityScoringApp() {
                       <option value="average">Aggregate: Average</option>
                       <option value="sum">Aggregate: Sum (cap 100)</option>
                     </select>
+                    <select
+                      value={pd.model || ""}
+                      onChange={(e) => updatePD(pd.id, { model: e.target.value || null })}
+                      title={SCORING_MODELS[pd.scoringModel].formula}
+                      className="rounded-xl border border-slate-300 bg-white px-2 py-1 text-sm"
+                    >
+                      <option value="">Model: Workspace ({SCORING_MODELS[scoringModel].short})</option>
+                      {MODEL_KEYS.map(key => <option key={key} value={key}>Model: {SCORING_MODELS[key].label}</option>)}
+                    </select>
                   </div>
                   <div className="flex items-center gap-2">
                     <button onClick={() => addEpic(pd.id)} className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700">+ Add Epic</button>
@@ -527,41 +2192,76 @@ export default function PriorityScoringApp() {
                 </div>
 
                 <div className="overflow-x-auto">
-                  <table className="w-full min-w-[1200px] table-fixed">
+                  <table className="w-full min-w-[1500px] table-fixed">
                     <thead className="text-left text-xs uppercase tracking-wide text-slate-500">
                       <tr className="border-b border-slate-100">
                         <th className="p-3 w-64">Epic</th>
                         <th className="p-3 w-20">Score</th>
-                        <th className="p-3 w-24">ROI×</th>
-                        <th className="p-3 w-28">Revenue€</th>
-                        <th className="p-3 w-24">Opex€</th>
-                        <th className="p-3 w-24">Capex€</th>
+                        <th className={`p-3 w-24 ${modelHeader(pd, "roi")}`}>ROI×</th>
+                        <th className={`p-3 w-28 ${modelHeader(pd, "roi")}`}>Revenue€</th>
+                        <th className={`p-3 w-24 ${modelHeader(pd, "roi")}`}>Opex€</th>
+                        <th className={`p-3 w-24 ${modelHeader(pd, "roi")}`}>Capex€</th>
                         <th className="p-3 w-16">Auto</th>
-                        <th className="p-3 w-20">Effort</th>
-                        <th className="p-3 w-20">Risk</th>
-                        <th className="p-3 w-24">Strategic</th>
-                        <th className="p-3 w-20">OKR</th>
-                        <th className="p-3 w-28">Time‑Crit</th>
-                        <th className="p-3 w-28">Customer</th>
-                        <th className="p-3 w-28">Confidence</th>
-                        <th className="p-3 w-24">Deps</th>
+                        <th className={`p-3 w-36 ${finance.roiMetric !== "roi" ? modelHeader(pd, "roi") : ""}`}>Cash flow</th>
+                        <th className={`p-3 w-20 ${modelHeader(pd, "effort")}`}>Effort</th>
+                        <th className={`p-3 w-20 ${modelHeader(pd, "risk")}`}>Risk</th>
+                        <th className={`p-3 w-24 ${modelHeader(pd, "strategic")}`}>Strategic</th>
+                        <th className={`p-3 w-20 ${modelHeader(pd, "okr")}`}>OKR</th>
+                        <th className={`p-3 w-28 ${modelHeader(pd, "timeCriticality")}`}>Time‑Crit</th>
+                        <th className={`p-3 w-28 ${modelHeader(pd, "customerImpact")}`}>Customer</th>
+                        <th className={`p-3 w-28 ${modelHeader(pd, "confidence")}`}>Confidence</th>
+                        <th className={`p-3 w-56 ${modelHeader(pd, "dependencies")}`}>Dependencies</th>
+                        {criteria.map(c => (
+                          <th key={c.key} className={`p-3 w-28 ${pd.scoringModel === "weighted" ? "text-indigo-600" : ""}`} title={`${CRITERION_SCALES[c.scale].label}, ${c.direction}`}>{c.label}</th>
+                        ))}
+                        {modelFieldColumns.map(f => (
+                          <th key={f.key} className={`p-3 w-28 ${modelHeader(pd, f.key)}`}>{f.label}</th>
+                        ))}
+                        <th className="p-3 w-36" title="Scores under every model, for comparison">Models</th>
                         <th className="p-3 w-24">Actions</th>
                       </tr>
                     </thead>
                     <tbody className="text-sm">
                       {pd.epics.map(epic => (
-                        <tr key={epic.id} className="border-b border-slate-100 hover:bg-slate-50">
+                        <tr key={epic.id} className={`border-b border-slate-100 hover:bg-slate-50 ${isOpenEpic(epic) ? "" : "bg-slate-50/60 text-slate-500"}`}>
                           <td className="p-3 align-top">
                             <input
                               value={epic.name}
                               onChange={(e) => updateEpic(pd.id, epic.id, { name: e.target.value })}
                               className="w-full rounded-lg border border-slate-300 bg-white px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500"
                             />
+                            {epic.externalKey && <span className="mt-1 block text-xs text-slate-400" title="Tracker issue key">{epic.externalKey}</span>}
+                            <select
+                              value={epic.status}
+                              onChange={(e) => updateEpic(pd.id, epic.id, { status: e.target.value })}
+                              title={isOpenEpic(epic) ? "Lifecycle status" : "Closed: no longer counts towards the PD score, ranked backlog or roadmap"}
+                              className="mt-1 rounded-lg border border-slate-300 bg-white px-1 py-0.5 text-xs"
+                            >
+                              {Object.entries(EPIC_STATUSES).map(([k, st]) => <option key={k} value={k}>{st.label}</option>)}
+                            </select>
+                            {epic.status === "delivered" && (
+                              <div className="mt-1 flex gap-1" title="Actuals for the calibration report">
+                                <input
+                                  {...numberInputProps(0, 100000, 1, "Actual SP")}
+                                  value={epic.actualEffort ?? ""}
+                                  onChange={(e) => updateEpic(pd.id, epic.id, { actualEffort: e.target.value === "" ? null : parseFloat(e.target.value) })}
+                                />
+                                <input
+                                  {...numberInputProps(0, 1000000000, 1000, "Actual €/yr")}
+                                  value={epic.actualRevenueEUR ?? ""}
+                                  onChange={(e) => updateEpic(pd.id, epic.id, { actualRevenueEUR: e.target.value === "" ? null : parseFloat(e.target.value) })}
+                                />
+                              </div>
+                            )}
                           </td>
                           <td className="p-3 align-top">
-                            <span className={`inline-flex items-center rounded-lg px-2 py-1 text-xs font-semibold ${badgeColor(epic.score)}`}>
+                            <button
+                              onClick={() => setBreakdownFor({ pdId: pd.id, epicId: epic.id })}
+                              title="Why this score?"
+                              className={`inline-flex items-center rounded-lg px-2 py-1 text-xs font-semibold hover:ring-2 hover:ring-indigo-400 ${badgeColor(epic.score)}`}
+                            >
                               {epic.score}
-                            </span>
+                            </button>
                           </td>
                           <td className="p-3 align-top">
                             <div className="flex items-center gap-2">
@@ -576,9 +2276,14 @@ export default function PriorityScoringApp() {
                           <td className="p-3 align-top">
                             <input
                               {...numberInputProps(0, 1000000000, 1000, "€")}
-                              value={epic.revenueEUR}
+                              value={epic.estimates?.revenueEUR?.value ?? epic.revenueEUR}
                               onChange={(e) => updateEpic(pd.id, epic.id, { revenueEUR: parseFloat(e.target.value) })}
                             />
+                            {epic.estimates?.revenueEUR && (
+                              <span className="mt-1 block text-xs text-amber-700" title="Calibrated by the owner's delivered revenue vs. estimates">
+                                ×{round2(epic.estimates.revenueEUR.factor)} → {formatEUR(epic.revenueEUR)}
+                              </span>
+                            )}
                           </td>
                           <td className="p-3 align-top">
                             <input
@@ -601,12 +2306,30 @@ export default function PriorityScoringApp() {
                               onChange={(e) => updateEpic(pd.id, epic.id, { autoROI: e.target.checked })}
                             />
                           </td>
+                          <td className="p-3 align-top">
+                            <button
+                              onClick={() => setCashFlowFor({ pdId: pd.id, epicId: epic.id })}
+                              className="w-full rounded-lg border border-slate-200 px-2 py-1 text-left text-xs hover:bg-slate-50"
+                              title="Edit the multi-year cash-flow schedule"
+                            >
+                              <span className={epic.fin.npv < 0 ? "text-red-600" : "text-slate-700"}>NPV {formatEUR(epic.fin.npv)}</span>
+                              <br />
+                              <span className="text-slate-500">
+                                IRR {formatPct(epic.fin.irr)} · {epic.fin.payback === null ? "no payback" : `${round2(epic.fin.payback)}y`}
+                              </span>
+                            </button>
+                          </td>
                           <td className="p-3 align-top">
                             <input
                               {...numberInputProps(0, 100, 1, "SP")}
-                              value={epic.effort}
+                              value={epic.estimates?.effort?.value ?? epic.effort}
                               onChange={(e) => updateEpic(pd.id, epic.id, { effort: parseInt(e.target.value || "0", 10) })}
                             />
+                            {epic.estimates?.effort && (
+                              <span className="mt-1 block text-xs text-amber-700" title="Calibrated by the owner's delivered effort vs. estimates">
+                                ×{round2(epic.estimates.effort.factor)} → {epic.effort} SP
+                              </span>
+                            )}
                           </td>
                           <td className="p-3 align-top">
                             <div className="flex items-center gap-2">
@@ -618,34 +2341,28 @@ export default function PriorityScoringApp() {
                               <span className={`text-xs ${riskColor(epic.risk)}`}>●</span>
                             </div>
                           </td>
-                          <td className="p-3 align-top">
-                            <input
-                              {...numberInputProps(1, 5, 1, "1-5")}
-                              value={epic.strategic}
-                              onChange={(e) => updateEpic(pd.id, epic.id, { strategic: parseInt(e.target.value || "1", 10) })}
-                            />
-                          </td>
-                          <td className="p-3 align-top">
-                            <input
-                              {...numberInputProps(1, 5, 1, "1-5")}
-                              value={epic.okr}
-                              onChange={(e) => updateEpic(pd.id, epic.id, { okr: parseInt(e.target.value || "1", 10) })}
-                            />
-                          </td>
-                          <td className="p-3 align-top">
-                            <input
-                              {...numberInputProps(1, 5, 1, "1-5")}
-                              value={epic.timeCriticality}
-                              onChange={(e) => updateEpic(pd.id, epic.id, { timeCriticality: parseInt(e.target.value || "1", 10) })}
-                            />
-                          </td>
-                          <td className="p-3 align-top">
-                            <input
-                              {...numberInputProps(1, 5, 1, "1-5")}
-                              value={epic.customerImpact}
-                              onChange={(e) => updateEpic(pd.id, epic.id, { customerImpact: parseInt(e.target.value || "1", 10) })}
-                            />
-                          </td>
+                          {RATED_FIELDS.map(field => {
+                            const stats = epic.ratingStats?.[field];
+                            return (
+                              <td key={field} className="p-3 align-top">
+                                <input
+                                  {...numberInputProps(1, 5, 1, "1-5")}
+                                  value={epic[field]}
+                                  onChange={(e) => updateEpic(pd.id, epic.id, { [field]: parseInt(e.target.value || "1", 10) })}
+                                  disabled={!!stats}
+                                />
+                                {stats && (
+                                  <button
+                                    onClick={() => setRatingsFor({ pdId: pd.id, epicId: epic.id })}
+                                    title={`${RATING_METHODS[rating.method].label} of ${stats.count} rating(s), spread ${stats.spread}`}
+                                    className={`mt-1 block text-xs hover:underline ${epic.disagreement.includes(field) ? "font-semibold text-orange-600" : "text-slate-500"}`}
+                                  >
+                                    {epic.disagreement.includes(field) ? "⚠ " : ""}{stats.count} rater{stats.count === 1 ? "" : "s"} · spread {stats.spread}
+                                  </button>
+                                )}
+                              </td>
+                            );
+                          })}
                           <td className="p-3 align-top">
                             <input
                               {...numberInputProps(0, 1, 0.05, "0-1")}
@@ -654,14 +2371,93 @@ export default function PriorityScoringApp() {
                             />
                           </td>
                           <td className="p-3 align-top">
-                            <input
-                              {...numberInputProps(0, 5, 1, "0-5")}
-                              value={epic.dependencies}
-                              onChange={(e) => updateEpic(pd.id, epic.id, { dependencies: parseInt(e.target.value || "0", 10) })}
-                            />
+                            <div className="space-y-1">
+                              <label className="flex items-center gap-2 text-xs text-slate-500" title="Dependencies outside this backlog">
+                                <input
+                                  {...numberInputProps(0, 5, 1, "0-5")}
+                                  value={epic.externalDependencies}
+                                  onChange={(e) => updateEpic(pd.id, epic.id, { externalDependencies: parseInt(e.target.value || "0", 10) })}
+                                />
+                                external
+                              </label>
+                              <div className="flex flex-wrap gap-1">
+                                {(epic.dependsOn || []).filter(id => epicNames.has(id)).map(id => (
+                                  <span key={id} className={`inline-flex items-center gap-1 rounded-lg px-1.5 py-0.5 text-xs ${inCycle.has(id) && inCycle.has(epic.id) ? "bg-red-100 text-red-700" : "bg-slate-100 text-slate-700"}`}>
+                                    {epicNames.get(id)}
+                                    <button onClick={() => unlinkEpic(pd.id, epic.id, id)} className="text-slate-400 hover:text-red-600" title="Remove link">×</button>
+                                  </span>
+                                ))}
+                              </div>
+                              <select
+                                value=""
+                                onChange={(e) => linkEpic(pd.id, epic.id, e.target.value)}
+                                className="w-full rounded-lg border border-slate-300 bg-white px-1 py-0.5 text-xs"
+                              >
+                                <option value="">+ depends on…</option>
+                                {computed.map(other => (
+                                  <optgroup key={other.id} label={other.name}>
+                                    {other.epics
+                                      .filter(o => o.id !== epic.id && !(epic.dependsOn || []).includes(o.id))
+                                      .map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+                                  </optgroup>
+                                ))}
+                              </select>
+                              {epic.depDownstream > 0 && <p className="text-xs text-emerald-700">unblocks {epic.depDownstream}</p>}
+                            </div>
+                          </td>
+                          {criteria.map(c => {
+                            const [min, max] = CRITERION_SCALES[c.scale].range(c);
+                            return (
+                              <td key={c.key} className="p-3 align-top">
+                                <input
+                                  {...numberInputProps(min, c.scale === "numeric" ? undefined : max, CRITERION_SCALES[c.scale].step, c.scale === "numeric" ? `0-${c.max}` : CRITERION_SCALES[c.scale].label)}
+                                  value={criterionValue(epic, c)}
+                                  onChange={(e) => updateEpic(pd.id, epic.id, { [c.key]: e.target.value === "" ? c.default : parseFloat(e.target.value) })}
+                                />
+                              </td>
+                            );
+                          })}
+                          {modelFieldColumns.map(f => (
+                            <td key={f.key} className="p-3 align-top">
+                              {f.options ? (
+                                <select
+                                  value={epic[f.key]}
+                                  onChange={(e) => updateEpic(pd.id, epic.id, { [f.key]: parseFloat(e.target.value) })}
+                                  className="w-24 rounded-lg border border-slate-300 bg-white px-1 py-1 text-sm"
+                                >
+                                  {f.options.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+                                </select>
+                              ) : (
+                                <input
+                                  {...numberInputProps(...f.props)}
+                                  value={epic[f.key]}
+                                  onChange={(e) => updateEpic(pd.id, epic.id, { [f.key]: f.parse(e.target.value) })}
+                                />
+                              )}
+                            </td>
+                          ))}
+                          <td className="p-3 align-top">
+                            <div className="flex flex-wrap gap-1">
+                              {MODEL_KEYS.map(key => (
+                                <span
+                                  key={key}
+                                  title={SCORING_MODELS[key].label}
+                                  className={`inline-flex items-center gap-1 rounded-lg px-1.5 py-0.5 text-xs ${key === pd.scoringModel ? "ring-2 ring-indigo-500" : ""} ${badgeColor(epic.modelScores[key])}`}
+                                >
+                                  {SCORING_MODELS[key].short} {epic.modelScores[key]}
+                                </span>
+                              ))}
+                            </div>
                           </td>
                           <td className="p-3 align-top">
-                            <div className="flex gap-2">
+                            <div className="flex flex-wrap gap-2">
+                              <button
+                                onClick={() => setRatingsFor({ pdId: pd.id, epicId: epic.id })}
+                                title="Collect strategic, OKR, time criticality and customer impact ratings from several people"
+                                className="rounded-lg border border-slate-300 bg-white px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50"
+                              >
+                                Ratings
+                              </button>
                               <button
                                 onClick={() => updateEpic(pd.id, epic.id, { revenueEUR: 0, opexEUR: 0, capexEUR: 0 })}
                                 className="rounded-lg bg-slate-200 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-300"
@@ -679,7 +2475,7 @@ export default function PriorityScoringApp() {
                         </tr>
                       ))}
                       <tr>
-                        <td colSpan={16} className="p-3">
+                        <td colSpan={18 + criteria.length + modelFieldColumns.length} className="p-3">
                           <button onClick={() => addEpic(pd.id)} className="rounded-lg border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">+ Add Epic</button>
                         </td>
                       </tr>
@@ -697,12 +2493,1479 @@ export default function PriorityScoringApp() {
           <p className="mb-1 font-medium text-slate-700">Tips</p>
           <ul className="list-inside list-disc space-y-1">
             <li>Use <span className="font-semibold">Auto‑ROI</span> to compute ROI× = Revenue € / (Opex € + Capex €). Switch off to enter ROI manually.</li>
-            <li>"What‑if" multipliers scale weights temporarily so you can say things like “If risk matters 30% more, what changes?”</li>
+            <li>Click an epic's score to see how each factor contributed to it.</li>
+            <li>Need a factor the app doesn't have, like “Regulatory” or “Sales requests”? Add it under <span className="font-semibold">Criteria…</span> in the weights panel; it is scored, exported and compared like the built‑in ones.</li>
+            <li>Scores bunched together or stuck at 0/100? Under <span className="font-semibold">Normalization</span>, rank epics relative to each other (min–max, percentile or z‑score) or adjust the effort cap and ROI scale to your backlog.</li>
+            <li>Unsure how to set the weights? <span className="font-semibold">Compare pairwise…</span> asks one “which matters more?” question per pair of criteria and derives the weights; a consistency ratio above 0.1 means some answers contradict each other.</li>
+            <li><span className="font-semibold">Import Jira / ADO</span> reads Jira CSV/JSON and Azure DevOps CSV exports; map columns once, and re‑importing a newer export updates epics by issue key instead of duplicating them.</li>
+            <li>Freeze a <span className="font-semibold">Baseline</span> at each planning round; diffing it later shows which epics moved and which input or weight change moved them.</li>
+            <li>Undo/Redo (Ctrl+Z / Ctrl+Shift+Z outside text fields) steps back through backlog, weight and what‑if edits; the Change log lists every field edit per epic and exports it as CSV.</li>
+            <li>Click an epic's <span className="font-semibold">Cash flow</span> cell to spread revenue over several years with a ramp‑up; pick NPV, IRR, payback or discounted ROI as the ROI factor under Financials.</li>
+            <li>When several stakeholders weigh in, collect their scores under an epic's <span className="font-semibold">Ratings</span> instead of typing one number; epics where raters are far apart are flagged so you know where to talk it through.</li>
+            <li>Set an epic's status to Delivered or Dropped once it is done so it stops competing with open work (filter with <code>status:inProgress</code> or <code>open:false</code>); record what it really took and earned, and <span className="font-semibold">Calibration</span> shows per owner how far estimates were off and can correct new ones by that factor.</li>
+            <li>The <span className="font-semibold">Ranked backlog</span> lists every epic across PDs by score; drag one to where it really belongs and note why. Overrides stay pinned as scores change, and the marker shows how far each one departs from its rank by score.</li>
+            <li>The filter box takes a query: <code>owner:Apps score&gt;=60 risk&lt;=2 roi&gt;1.5 autoROI:false "checkout"</code> keeps the matching epics and their PDs; ☆ saves it for later, and Export CSV exports just what is shown.</li>
+            <li><span className="font-semibold">Share</span> makes a read‑only link for execs instead of a CSV pasted into slides; the link itself holds the data, so send a fresh one after changes.</li>
+            <li>The <span className="font-semibold">Report</span> button writes the prioritization review for you: ranked PDs, top epics and why they scored, totals and risk call‑outs, as Markdown for a wiki or a page ready to print to PDF.</li>
+            <li>Open <span className="font-semibold">Charts</span> next to the what‑if sliders to watch epics move between quick wins, big bets, fill‑ins and money pits; export a chart as SVG or PNG for your deck.</li>
+            <li>"What‑if" multipliers scale weights temporarily so you can say things like “If risk matters 30% more, what changes?” Save slider sets as named scenarios and compare their rankings side by side.</li>
             <li>Aggregation controls whether a PD is driven by its strongest epic (Max), balanced (Average), or cumulative (Sum, capped at 100 for readability).</li>
-            <li>Export to CSV for stakeholder decks; Import JSON to restore a saved backlog.</li>
+            <li>Export to CSV for stakeholder decks; edit it in a spreadsheet and Import CSV to merge it back. Export/Import JSON saves and restores the whole workspace (PDs, weights, what‑if); files from older versions are upgraded on import.</li>
           </ul>
         </div>
       </footer>
+
+      {showCriteria && (() => {
+        const draft = newCriterion && {
+          key: newCriterion.key,
+          label: newCriterion.label.trim(),
+          scale: newCriterion.scale,
+          ...(newCriterion.scale === "numeric" ? { max: newCriterion.max } : {}),
+          direction: newCriterion.direction,
+          default: newCriterion.default,
+        };
+        const problems = draft ? criterionProblems(draft, [...criteria, draft]) : [];
+        const updateDraft = (patch) => setNewCriterion(d => {
+          const next = { ...d, ...patch };
+          return "label" in patch && !d.keyEdited ? { ...next, key: criterionKeyFor(next.label) } : next;
+        });
+        const cell = "py-1 pr-2";
+        const select = "rounded-lg border border-slate-300 bg-white px-1 py-1 text-xs";
+        // Text and number fields commit on blur (or Enter), so half-typed values are never validated.
+        // The field shows the stored value again until the criterion re-renders (keyed by that value).
+        const commitProps = (value, commit) => ({
+          defaultValue: value,
+          onBlur: (e) => {
+            if (e.target.value === String(value)) return;
+            const typed = e.target.value;
+            e.target.value = String(value);
+            commit(typed);
+          },
+          onKeyDown: (e) => e.key === "Enter" && e.target.blur(),
+        });
+        return (
+          <Modal
+            wide
+            title="Scoring criteria"
+            subtitle="The weighted model scores every criterion below. Add your own; each gets a table column, a weight, a what‑if slider and a CSV column."
+            footer={<button onClick={() => { setShowCriteria(false); setNewCriterion(null); }} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>}
+          >
+            <div className="space-y-4 p-4 text-sm">
+              <table className="w-full text-xs">
+                <thead className="text-left text-slate-500">
+                  <tr className="border-b border-slate-100">
+                    <th className={cell}>Label</th>
+                    <th className={cell}>Key</th>
+                    <th className={cell}>Scale</th>
+                    <th className={cell}>Direction</th>
+                    <th className={cell}>Weight</th>
+                    <th className={cell}>Default</th>
+                    <th className="py-1"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.keys(DEFAULT_WEIGHTS).map(k => (
+                    <tr key={k} className="border-b border-slate-100 text-slate-500">
+                      <td className={cell}>{FACTOR_LABELS[k]}</td>
+                      <td className={`${cell} font-mono`}>{k}</td>
+                      <td className={cell}>{FACTOR_SCALES[k]}</td>
+                      <td className={cell}>{DEFAULT_WEIGHTS[k] < 0 ? "cost" : "benefit"}</td>
+                      <td className={cell}>{weights[k]}</td>
+                      <td className={cell}>{DEFAULT_EPIC[k] ?? "derived"}</td>
+                      <td className="py-1">built‑in</td>
+                    </tr>
+                  ))}
+                  {criteria.map(c => {
+                    const sign = c.direction === "cost" ? -1 : 1;
+                    return (
+                      <tr key={c.key} className="border-b border-slate-100">
+                        <td className={cell}>
+                          <input key={c.label} {...commitProps(c.label, v => updateCriterion(c.key, { label: v.trim() }))} className="w-36 rounded-lg border border-slate-300 px-2 py-1" />
+                        </td>
+                        <td className={`${cell} font-mono`}>{c.key}</td>
+                        <td className={cell}>
+                          <span className="flex items-center gap-1">
+                            <select value={c.scale} onChange={(e) => updateCriterion(c.key, { scale: e.target.value, max: e.target.value === "numeric" ? c.max ?? 10 : undefined })} className={select}>
+                              {Object.entries(CRITERION_SCALES).map(([k, sc]) => <option key={k} value={k}>{sc.label}</option>)}
+                            </select>
+                            {c.scale === "numeric" && (
+                              <input key={c.max} type="number" min={0} {...commitProps(c.max, v => updateCriterion(c.key, { max: parseFloat(v) }))} className="w-16 rounded-lg border border-slate-300 px-1 py-1" title="Value that counts as the maximum (normalized to 1)" />
+                            )}
+                          </span>
+                        </td>
+                        <td className={cell}>
+                          <select value={c.direction} onChange={(e) => updateCriterion(c.key, { direction: e.target.value })} className={select}>
+                            {Object.entries(CRITERION_DIRECTIONS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                          </select>
+                        </td>
+                        <td className={cell}>
+                          <input
+                            type="number" min={0} step={0.05}
+                            value={Math.abs(weights[c.key] ?? 0)}
+                            onChange={(e) => setWeights({ ...weights, [c.key]: sign * Math.abs(parseFloat(e.target.value) || 0) }, `weights:${c.key}`)}
+                            className="w-20 rounded-lg border border-slate-300 px-2 py-1"
+                          />
+                        </td>
+                        <td className={cell}>
+                          <input key={c.default} type="number" {...commitProps(c.default, v => updateCriterion(c.key, { default: parseFloat(v) }))} className="w-16 rounded-lg border border-slate-300 px-1 py-1" title="Value for new epics" />
+                        </td>
+                        <td className="py-1">
+                          <button onClick={() => removeCriterion(c.key)} className="text-red-600 hover:underline">Remove</button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {draft ? (
+                <div className="space-y-2 rounded-xl border border-slate-200 p-3 text-xs">
+                  <div className="flex flex-wrap items-end gap-3">
+                    <label className="flex flex-col gap-1">
+                      Label
+                      <input value={newCriterion.label} onChange={(e) => updateDraft({ label: e.target.value })} placeholder="e.g., Regulatory" className="w-40 rounded-lg border border-slate-300 px-2 py-1" autoFocus />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      Key
+                      <input value={newCriterion.key} onChange={(e) => updateDraft({ key: e.target.value, keyEdited: true })} className="w-32 rounded-lg border border-slate-300 px-2 py-1 font-mono" />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      Scale
+                      <select
+                        value={newCriterion.scale}
+                        onChange={(e) => updateDraft({ scale: e.target.value, default: CRITERION_SCALES[e.target.value].range(newCriterion)[0] })}
+                        className={select}
+                      >
+                        {Object.entries(CRITERION_SCALES).map(([k, sc]) => <option key={k} value={k}>{sc.label}</option>)}
+                      </select>
+                    </label>
+                    {newCriterion.scale === "numeric" && (
+                      <label className="flex flex-col gap-1">
+                        Max
+                        <input type="number" min={0} value={newCriterion.max} onChange={(e) => updateDraft({ max: parseFloat(e.target.value) })} className="w-20 rounded-lg border border-slate-300 px-2 py-1" />
+                      </label>
+                    )}
+                    <label className="flex flex-col gap-1">
+                      Direction
+                      <select value={newCriterion.direction} onChange={(e) => updateDraft({ direction: e.target.value })} className={select}>
+                        {Object.entries(CRITERION_DIRECTIONS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                      </select>
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      Weight
+                      <input type="number" min={0} step={0.05} value={newCriterion.weight} onChange={(e) => updateDraft({ weight: parseFloat(e.target.value) || 0 })} className="w-20 rounded-lg border border-slate-300 px-2 py-1" />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      Default
+                      <input type="number" value={newCriterion.default} onChange={(e) => updateDraft({ default: parseFloat(e.target.value) })} className="w-20 rounded-lg border border-slate-300 px-2 py-1" />
+                    </label>
+                  </div>
+                  {problems.length > 0 && newCriterion.label.trim() !== "" && <p className="text-red-600">{problems.join("; ")}</p>}
+                  <div className="flex gap-2">
+                    <button onClick={() => addCriterion({ ...draft, weight: newCriterion.weight })} disabled={problems.length > 0} className="rounded-lg bg-indigo-600 px-2 py-1 font-medium text-white hover:bg-indigo-700 disabled:opacity-50">Add criterion</button>
+                    <button onClick={() => setNewCriterion(null)} className="text-slate-500 hover:underline">Cancel</button>
+                  </div>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setNewCriterion({ label: "", key: "", keyEdited: false, scale: "1-5", max: 10, direction: "benefit", weight: 0.1, default: 3 })}
+                  className="text-xs text-indigo-600 hover:underline"
+                >
+                  + Add criterion
+                </button>
+              )}
+              <p className="text-xs text-slate-500">
+                1–5 and 0–1 criteria are normalized like the built‑in ratings; a number is divided by its max (values above it count as the max).
+                Cost criteria subtract from the score. Epics added later start at the default.
+              </p>
+            </div>
+          </Modal>
+        );
+      })()}
+
+      {ahpResult && (() => {
+        const pairCount = ahpPairList.length;
+        const [a, b] = ahpPairList[ahpStep - 1] ?? [];
+        const current = a && ahpJudgment(ahp.judgments, a, b);
+        const answer = (v) => {
+          setAhp({ ...ahp, judgments: { ...ahp.judgments, [`${a}|${b}`]: v, [`${b}|${a}`]: undefined } });
+          setAhpStep(ahpStep + 1);
+        };
+        const proposed = weightsFromPriorities(ahpResult.priorities, weights, criteria);
+        const navButton = "rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50 disabled:opacity-40";
+        return (
+          <Modal
+            title="Derive weights from pairwise comparisons"
+            subtitle={ahpStep === 0 ? "Pick the criteria to compare; the others keep their weight." : ahpStep <= pairCount ? `Question ${ahpStep} of ${pairCount}` : "Result (Analytic Hierarchy Process)"}
+            footer={
+              <>
+                <button onClick={() => setAhpStep(null)} className="mr-auto text-xs text-slate-500 hover:underline">Close</button>
+                <button onClick={() => setAhpStep(ahpStep - 1)} disabled={ahpStep === 0} className={navButton}>Back</button>
+                {ahpStep <= pairCount ? (
+                  <button onClick={() => setAhpStep(ahpStep + 1)} disabled={ahpCriteria.length < 2} className={navButton}>
+                    {ahpStep === 0 ? "Start" : "Next"}
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => { setWeights(proposed, "ahp"); setAhpStep(null); }}
+                    className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700"
+                  >
+                    Apply weights
+                  </button>
+                )}
+              </>
+            }
+          >
+            <div className="space-y-4 p-4 text-sm">
+              {ahpStep === 0 && (
+                <div className="grid grid-cols-2 gap-2">
+                  {Object.entries(labels).map(([k, label]) => (
+                    <label key={k} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={ahpCriteria.includes(k)}
+                        onChange={(e) => setAhp({
+                          ...ahp,
+                          criteria: e.target.checked ? Object.keys(labels).filter(c => c === k || ahpCriteria.includes(c)) : ahpCriteria.filter(c => c !== k),
+                        })}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                  <p className="col-span-2 text-xs text-slate-500">{ahpPairList.length} question(s). Answers are kept, so you can come back and revise them.</p>
+                </div>
+              )}
+              {a && (
+                <div className="space-y-3 text-center">
+                  <p className="font-medium">Which matters more when prioritizing — and by how much?</p>
+                  <div className="flex items-center justify-center gap-1">
+                    <span className="w-32 text-right font-semibold">{labels[a]}</span>
+                    {[...AHP_INTENSITIES.slice(1).reverse().map(([v]) => v), 1, ...AHP_INTENSITIES.slice(1).map(([v]) => 1 / v)].map(v => (
+                      <button
+                        key={v}
+                        onClick={() => answer(v)}
+                        title={describeJudgment(a, b, v, labels)}
+                        className={`h-7 w-7 rounded-lg border text-xs ${Math.abs(current - v) < 1e-9 ? "border-indigo-600 bg-indigo-600 text-white" : "border-slate-300 bg-white hover:bg-slate-50"}`}
+                      >
+                        {v >= 1 ? v : Math.round(1 / v)}
+                      </button>
+                    ))}
+                    <span className="w-32 text-left font-semibold">{labels[b]}</span>
+                  </div>
+                  <p className="text-xs text-slate-500">{describeJudgment(a, b, current, labels)}</p>
+                </div>
+              )}
+              {ahpStep > pairCount && (
+                <>
+                  <p className={`rounded-xl p-2 text-xs ${ahpResult.consistent ? "bg-emerald-50 text-emerald-800" : "bg-red-50 text-red-700"}`}>
+                    Consistency ratio {round2(ahpResult.cr)} {ahpResult.consistent ? `≤ ${AHP_MAX_CR}: the answers hang together.` : `> ${AHP_MAX_CR}: some answers contradict each other — revisit the ones below.`}
+                  </p>
+                  {ahpResult.flagged.map(f => (
+                    <div key={`${f.a}|${f.b}`} className="flex items-center justify-between gap-2 text-xs">
+                      <span>
+                        You said “{describeJudgment(f.a, f.b, f.given, labels)}”; your other answers suggest “{describeJudgment(f.a, f.b, f.suggested, labels)}”.
+                      </span>
+                      <button
+                        onClick={() => setAhpStep(1 + ahpPairList.findIndex(([x, y]) => (x === f.a && y === f.b) || (x === f.b && y === f.a)))}
+                        className="shrink-0 text-indigo-600 hover:underline"
+                      >
+                        Revisit
+                      </button>
+                    </div>
+                  ))}
+                  <table className="w-full text-xs">
+                    <thead className="text-left text-slate-500">
+                      <tr className="border-b border-slate-100">
+                        <th className="py-1">Criterion</th>
+                        <th className="py-1 text-right">Priority</th>
+                        <th className="py-1 text-right">Weight now</th>
+                        <th className="py-1 text-right">New weight</th>
+                      </tr>
+                    </thead>
+                    <tbody className="tabular-nums">
+                      {ahpCriteria.map(k => (
+                        <tr key={k} className="border-b border-slate-100">
+                          <td className="py-1">{labels[k]}</td>
+                          <td className="py-1 text-right">{formatPct(ahpResult.priorities[k])}</td>
+                          <td className="py-1 text-right text-slate-500">{weights[k]}</td>
+                          <td className="py-1 text-right font-medium">{proposed[k]}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className="text-xs text-slate-500">Effort, risk and dependencies stay penalties (negative). The compared weights keep their current total size, so scores stay on the same scale.</p>
+                </>
+              )}
+            </div>
+          </Modal>
+        );
+      })()}
+
+      {trackerImport && trackerPlan && (() => {
+        const { mapping, columns, rows } = trackerImport;
+        const sample = (column) => rows.find(r => r[column])?.[column];
+        const columnSelect = (value, onChange) => (
+          <select value={value} onChange={(e) => onChange(e.target.value)} className="w-full rounded-lg border border-slate-300 bg-white px-1 py-0.5 text-xs">
+            <option value="">—</option>
+            {columns.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+        );
+        const row = (label, select, column, extra = null) => (
+          <tr key={label} className="border-b border-slate-100">
+            <td className="py-1 pr-2 text-slate-600">{label}</td>
+            <td className="py-1 pr-2">{select}</td>
+            <td className="py-1 pr-2">{extra}</td>
+            <td className="max-w-[12rem] truncate py-1 text-slate-400">{column && sample(column)}</td>
+          </tr>
+        );
+        return (
+          <Modal
+            title={`Import from ${TRACKER_SOURCES[trackerImport.source].label} — ${trackerImport.fileName}`}
+            subtitle={`${rows.length} row(s), ${columns.length} column(s). Epics are matched by key on re-import; the mapping is remembered for this source.`}
+            wide
+            footer={
+              <>
+                <button onClick={() => setTrackerImport(null)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Cancel</button>
+                <button
+                  onClick={applyTrackerImport}
+                  disabled={trackerPlan.changes.length === 0}
+                  className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Apply {trackerPlan.changes.length} change(s)
+                </button>
+              </>
+            }
+          >
+            <div className="grid grid-cols-1 gap-4 p-4 lg:grid-cols-2">
+              <div className="space-y-3">
+                <table className="w-full text-xs">
+                  <thead className="text-left text-slate-500">
+                    <tr className="border-b border-slate-100">
+                      <th className="py-1 pr-2">Epic field</th>
+                      <th className="py-1 pr-2">Source column</th>
+                      <th className="py-1 pr-2">Read as</th>
+                      <th className="py-1">Example</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {row("Key *", columnSelect(mapping.externalKey, v => updateTrackerMapping({ externalKey: v })), mapping.externalKey)}
+                    {row("Name *", columnSelect(mapping.name, v => updateTrackerMapping({ name: v })), mapping.name)}
+                    {row("PD (group by)", columnSelect(mapping.pd, v => updateTrackerMapping({ pd: v })), mapping.pd)}
+                    {row("PD owner", columnSelect(mapping.owner, v => updateTrackerMapping({ owner: v })), mapping.owner)}
+                    {TRACKER_FIELDS.map(({ field, label }) => {
+                      const bound = mapping.fields[field];
+                      return row(
+                        label,
+                        columnSelect(bound?.column ?? "", v => mapTrackerField(field, v, bound?.transform ?? "number")),
+                        bound?.column,
+                        bound && (
+                          <select
+                            value={bound.transform}
+                            onChange={(e) => mapTrackerField(field, bound.column, e.target.value)}
+                            className="rounded-lg border border-slate-300 bg-white px-1 py-0.5 text-xs"
+                          >
+                            {Object.entries(TRACKER_TRANSFORMS).map(([k, t]) => <option key={k} value={k}>{t.label}</option>)}
+                          </select>
+                        ),
+                      );
+                    })}
+                  </tbody>
+                </table>
+                <label className="flex items-center gap-2 text-xs text-slate-600">
+                  <span>Rows without a PD go to</span>
+                  <select
+                    value={mapping.defaultPdId}
+                    onChange={(e) => updateTrackerMapping({ defaultPdId: e.target.value })}
+                    className="rounded-lg border border-slate-300 bg-white px-1 py-0.5 text-xs"
+                  >
+                    <option value="">a new “Imported from {TRACKER_SOURCES[trackerImport.source].label}” PD</option>
+                    {pds.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center gap-2 text-xs text-slate-600">
+                  <input type="checkbox" checked={mapping.skipParents} onChange={(e) => updateTrackerMapping({ skipParents: e.target.checked })} />
+                  Skip rows that other rows name as their PD (e.g. the Jira epics themselves)
+                </label>
+              </div>
+              <div>
+                {trackerPlan.changes.length === 0 ? (
+                  <p className="text-sm text-slate-500">No changes — the backlog already matches this file.</p>
+                ) : (
+                  <ul className="space-y-1 font-mono text-xs">
+                    {trackerPlan.changes.map((c, i) => (
+                      <li key={i} className={c.type.startsWith("add") ? "text-emerald-700" : "text-slate-700"}>{describeChange(c)}</li>
+                    ))}
+                  </ul>
+                )}
+                {trackerPlan.warnings.length > 0 && (
+                  <ul className="mt-3 space-y-1 text-xs text-orange-600">
+                    {trackerPlan.warnings.slice(0, 20).map((w, i) => <li key={i}>! {w}</li>)}
+                    {trackerPlan.warnings.length > 20 && <li>…and {trackerPlan.warnings.length - 20} more</li>}
+                  </ul>
+                )}
+              </div>
+            </div>
+          </Modal>
+        );
+      })()}
+
+      {csvImport && csvPlan && (
+        <Modal
+          title={`Import CSV — ${csvImport.fileName}`}
+          subtitle={`${csvImport.incoming.length} PD(s), ${csvImport.incoming.reduce((n, pd) => n + pd.epics.length, 0)} epic(s) in file.`}
+          footer={
+            <>
+              <button onClick={() => setCsvImport(null)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Cancel</button>
+              <button
+                onClick={applyCSVImport}
+                disabled={csvPlan.changes.length === 0}
+                className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Apply {csvPlan.changes.length} change(s)
+              </button>
+            </>
+          }
+        >
+          <div className="flex gap-4 px-4 py-3 text-sm">
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                checked={csvImport.mode === "merge"}
+                onChange={() => setCsvImport({ ...csvImport, mode: "merge" })}
+              />
+              Merge by name (update matches, add new, keep the rest)
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                checked={csvImport.mode === "replace"}
+                onChange={() => setCsvImport({ ...csvImport, mode: "replace" })}
+              />
+              Replace backlog
+            </label>
+          </div>
+          <div className="px-4 pb-3">
+            {csvPlan.changes.length === 0 ? (
+              <p className="text-sm text-slate-500">No changes — the backlog already matches this file.</p>
+            ) : (
+              <ul className="space-y-1 font-mono text-xs">
+                {csvPlan.changes.map((c, i) => (
+                  <li
+                    key={i}
+                    className={c.type.startsWith("add") ? "text-emerald-700" : c.type.startsWith("remove") ? "text-red-600" : c.type === "unresolved" ? "text-orange-600" : "text-slate-700"}
+                  >
+                    {describeChange(c)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </Modal>
+      )}
+
+      {planning && roadmap && (
+        <Modal
+          wide
+          title="Capacity planner"
+          subtitle={`Selects epics per period to maximize total ${plan.objective === "roi" ? "ROI×" : "score"} within capacity (effort in story points).`}
+          footer={<button onClick={() => setPlanning(false)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>}
+        >
+          <div className="space-y-4 p-4 text-sm">
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-2">
+                <span className="text-slate-600">Maximize</span>
+                <select
+                  value={plan.objective}
+                  onChange={(e) => setPlan({ ...plan, objective: e.target.value })}
+                  className="rounded-lg border border-slate-300 bg-white px-2 py-1"
+                >
+                  <option value="score">Total epic score</option>
+                  <option value="roi">Total ROI×</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={plan.perOwner} onChange={(e) => setPlan({ ...plan, perOwner: e.target.checked })} />
+                Capacity per PD owner
+              </label>
+              <button onClick={addPeriod} className="rounded-lg border border-slate-300 bg-white px-2 py-1 text-xs hover:bg-slate-50">+ Add period</button>
+            </div>
+
+            <table className="w-full">
+              <thead className="text-left text-xs text-slate-500">
+                <tr className="border-b border-slate-100">
+                  <th className="p-2">Period</th>
+                  {plan.perOwner ? owners.map(o => <th key={o} className="p-2">{o}</th>) : <th className="p-2">Capacity (SP)</th>}
+                  <th className="p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.periods.map(period => (
+                  <tr key={period.id} className="border-b border-slate-100">
+                    <td className="p-2">
+                      <input
+                        value={period.name}
+                        onChange={(e) => updatePeriod(period.id, { name: e.target.value })}
+                        className="w-40 rounded-lg border border-slate-300 bg-white px-2 py-1"
+                      />
+                    </td>
+                    {plan.perOwner ? owners.map(o => (
+                      <td key={o} className="p-2">
+                        <input
+                          {...numberInputProps(0, MAX_PERIOD_CAPACITY, 1, "SP")}
+                          value={period.ownerCapacity?.[o] ?? 0}
+                          onChange={(e) => updatePeriod(period.id, { ownerCapacity: { ...period.ownerCapacity, [o]: clamp(parseInt(e.target.value, 10), 0, MAX_PERIOD_CAPACITY) } })}
+                        />
+                      </td>
+                    )) : (
+                      <td className="p-2">
+                        <input
+                          {...numberInputProps(0, MAX_PERIOD_CAPACITY, 1, "SP")}
+                          value={period.capacity}
+                          onChange={(e) => updatePeriod(period.id, { capacity: clamp(parseInt(e.target.value, 10), 0, MAX_PERIOD_CAPACITY) })}
+                        />
+                      </td>
+                    )}
+                    <td className="p-2 text-right">
+                      <button onClick={() => removePeriod(period.id)} className="text-xs text-red-600 hover:underline">Remove</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {roadmap.periods.map(period => (
+              <div key={period.id} className="rounded-xl border border-slate-200">
+                <div className="flex items-center justify-between border-b border-slate-100 px-3 py-2">
+                  <span className="font-semibold">{period.name}</span>
+                  <span className="text-xs text-slate-500">
+                    {period.used} / {period.capacity} SP · value {formatPlanValue(period.value, plan.objective)}
+                  </span>
+                </div>
+                <table className="w-full">
+                  <thead className="text-left text-xs text-slate-500">
+                    <tr>
+                      <th className="px-3 py-1">#</th>
+                      <th className="px-3 py-1">Epic</th>
+                      <th className="px-3 py-1">PD / Owner</th>
+                      <th className="px-3 py-1 text-right">Effort</th>
+                      <th className="px-3 py-1 text-right">Value</th>
+                      <th className="px-3 py-1 text-right" title="Value lost if this epic were dropped and the period re-optimized">Marginal</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {period.epics.map((e, i) => (
+                      <tr key={e.id} className="border-t border-slate-100">
+                        <td className="px-3 py-1 text-slate-400">{i + 1}</td>
+                        <td className="px-3 py-1">
+                          {e.name}
+                          {e.waitsOn.length > 0 && <span className="ml-2 text-xs text-orange-600">⚠ waits on {e.waitsOn.join(", ")}</span>}
+                        </td>
+                        <td className="px-3 py-1 text-slate-500">{e.pd} · {e.owner}</td>
+                        <td className="px-3 py-1 text-right tabular-nums">{e.effort}</td>
+                        <td className="px-3 py-1 text-right tabular-nums">{formatPlanValue(e.value, plan.objective)}</td>
+                        <td className="px-3 py-1 text-right tabular-nums text-red-600">−{formatPlanValue(e.marginal, plan.objective)}</td>
+                      </tr>
+                    ))}
+                    {period.epics.length === 0 && (
+                      <tr><td colSpan={6} className="px-3 py-2 text-slate-400">Nothing fits.</td></tr>
+                    )}
+                  </tbody>
+                </table>
+                {period.next && (
+                  <div className="border-t border-dashed border-red-300 px-3 py-2 text-xs text-slate-600">
+                    Cut line — next best: <span className="font-medium">{period.next.name}</span> ({formatPlanValue(period.next.value, plan.objective)}, {period.next.effort} SP), needs +{period.next.needs} SP
+                  </div>
+                )}
+              </div>
+            ))}
+
+            <div className="rounded-xl border border-red-200 bg-red-50/40">
+              <div className="flex items-center justify-between border-b border-red-100 px-3 py-2">
+                <span className="font-semibold text-red-700">Cut ({roadmap.cut.length})</span>
+                <span className="text-xs text-red-700">value left out {formatPlanValue(roadmap.lostValue, plan.objective)}</span>
+              </div>
+              <ul className="divide-y divide-red-100">
+                {roadmap.cut.map(e => (
+                  <li key={e.id} className="flex justify-between px-3 py-1">
+                    <span>{e.name} <span className="text-slate-500">· {e.pd}</span></span>
+                    <span className="tabular-nums text-slate-600">{e.effort} SP · {formatPlanValue(e.value, plan.objective)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </Modal>
+      )}
+
+      {showSync && (
+        <Modal
+          title="Team sync"
+          subtitle="Share this workspace through a self-hosted sync server (npm run sync-server). Edits sync automatically; offline edits are queued."
+          footer={<button onClick={() => setShowSync(false)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>}
+        >
+          <div className="space-y-3 p-4 text-sm">
+            {teamSync.link ? (
+              <>
+                <dl className="grid grid-cols-[8rem_1fr] gap-1 text-xs">
+                  <dt className="text-slate-500">Server</dt><dd>{teamSync.link.url}</dd>
+                  <dt className="text-slate-500">Revision</dt><dd>{teamSync.link.revision}</dd>
+                  <dt className="text-slate-500">Last synced</dt><dd>{teamSync.link.syncedAt ? new Date(teamSync.link.syncedAt).toLocaleString() : "—"}</dd>
+                  <dt className="text-slate-500">Status</dt>
+                  <dd>
+                    {SYNC_STATUS[teamSync.status.state].label}
+                    {teamSync.link.queuedAt && ` — changes queued since ${new Date(teamSync.link.queuedAt).toLocaleString()}`}
+                    {teamSync.status.message && <span className="block text-slate-500">{teamSync.status.message}</span>}
+                  </dd>
+                </dl>
+                <div className="flex gap-2">
+                  <button onClick={teamSync.sync} className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700">Sync now</button>
+                  <button
+                    onClick={() => { if (confirm("Stop syncing this workspace? Local data stays as it is.")) teamSync.disconnect(); }}
+                    className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50"
+                  >
+                    Unlink
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="flex gap-2">
+                  <input
+                    value={syncUrl}
+                    onChange={(e) => setSyncUrl(e.target.value)}
+                    placeholder={DEFAULT_SYNC_URL}
+                    className="flex-1 rounded-lg border border-slate-300 bg-white px-2 py-1 text-sm"
+                  />
+                  <button onClick={listRemoteWorkspaces} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Browse</button>
+                  <button onClick={() => connectSync(null)} className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700">Publish this workspace</button>
+                </div>
+                {remoteList && (remoteList.length === 0 ? (
+                  <p className="text-slate-500">The server has no workspaces yet.</p>
+                ) : (
+                  <ul className="divide-y divide-slate-100 rounded-xl border border-slate-200">
+                    {remoteList.map(r => (
+                      <li key={r.id} className="flex items-center justify-between px-3 py-2">
+                        <span>
+                          <span className="font-medium">{r.name}</span>
+                          <span className="ml-2 text-xs text-slate-500">revision {r.revision} · {new Date(r.updatedAt).toLocaleString()}</span>
+                        </span>
+                        <button onClick={() => connectSync(r)} className="text-xs text-indigo-600 hover:underline">Link here</button>
+                      </li>
+                    ))}
+                  </ul>
+                ))}
+              </>
+            )}
+          </div>
+        </Modal>
+      )}
+
+      {teamSync.conflict && (
+        <Modal
+          title="Sync conflicts"
+          subtitle={`Someone else changed the same fields (server revision ${teamSync.conflict.revision}). Pick a version for each; everything else was merged.`}
+          wide
+          footer={
+            <>
+              <button onClick={() => teamSync.setConflict(null)} className="mr-auto text-xs text-slate-500 hover:underline">Decide later</button>
+              {["mine", "theirs"].map(side => (
+                <button
+                  key={side}
+                  onClick={() => teamSync.setConflict({ ...teamSync.conflict, choices: teamSync.conflict.conflicts.map(() => side) })}
+                  className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50"
+                >
+                  All {side}
+                </button>
+              ))}
+              <button onClick={teamSync.resolveConflict} className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700">Apply & sync</button>
+            </>
+          }
+        >
+          <table className="w-full text-xs">
+            <thead className="text-left text-slate-500">
+              <tr className="border-b border-slate-100">
+                <th className="p-2">Change</th>
+                <th className="p-2">Mine</th>
+                <th className="p-2">Theirs</th>
+              </tr>
+            </thead>
+            <tbody>
+              {teamSync.conflict.conflicts.map((c, i) => (
+                <tr key={i} className="border-b border-slate-100 align-top">
+                  <td className="p-2">{c.label}</td>
+                  {["mine", "theirs"].map(side => (
+                    <td key={side} className="max-w-[18rem] break-words p-2">
+                      <label className="flex items-start gap-1">
+                        <input
+                          type="radio"
+                          checked={teamSync.conflict.choices[i] === side}
+                          onChange={() => teamSync.setConflict({
+                            ...teamSync.conflict,
+                            choices: teamSync.conflict.choices.map((ch, j) => (j === i ? side : ch)),
+                          })}
+                        />
+                        <span>{c[side] === null || c[side] === undefined ? <em className="text-slate-400">deleted</em> : c[side]?.id ? c[side].name : formatAuditValue(c[side])}</span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Modal>
+      )}
+
+      {showBaselines && (
+        <Modal
+          title="Baselines"
+          subtitle="Freeze the current ranking (inputs, weights, scores) and diff the live backlog against it later."
+          wide
+          footer={<button onClick={() => setShowBaselines(false)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>}
+        >
+          <div className="space-y-4 p-4 text-sm">
+            <div className="flex gap-2">
+              <input
+                value={baselineName}
+                onChange={(e) => setBaselineName(e.target.value)}
+                onKeyDown={(e) => { if (e.key === "Enter") freezeBaseline(); }}
+                placeholder="Baseline name, e.g. 2026 Q3 planning"
+                className="flex-1 rounded-lg border border-slate-300 bg-white px-2 py-1 text-sm"
+              />
+              <button onClick={freezeBaseline} className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700">Freeze current</button>
+            </div>
+            {baselines.length === 0 ? (
+              <p className="text-slate-500">No baselines yet.</p>
+            ) : (
+              <ul className="divide-y divide-slate-100 rounded-xl border border-slate-200">
+                {[...baselines].reverse().map(b => (
+                  <li key={b.id} className={`flex items-center justify-between gap-2 px-3 py-2 ${b.id === diffBaselineId ? "bg-indigo-50" : ""}`}>
+                    <span>
+                      <span className="font-medium">{b.name}</span>
+                      <span className="ml-2 text-xs text-slate-500">{new Date(b.createdAt).toLocaleString()} · {b.ranks.epics.length} epics</span>
+                    </span>
+                    <span className="flex gap-3">
+                      <button onClick={() => setDiffBaselineId(b.id)} className="text-xs text-indigo-600 hover:underline">Diff with live</button>
+                      <button onClick={() => removeBaseline(b.id)} className="text-xs text-red-600 hover:underline">Delete</button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {baselineDiff && (
+              <div className="space-y-3">
+                <div className="flex flex-wrap items-center gap-3 text-xs">
+                  <span className="font-semibold text-slate-700">Live vs. “{baselineDiff.baseline.name}”:</span>
+                  <span className="text-emerald-700">▲ {baselineDiff.summary.up} up</span>
+                  <span className="text-red-600">▼ {baselineDiff.summary.down} down</span>
+                  <span>+ {baselineDiff.summary.added} new</span>
+                  <span>− {baselineDiff.summary.removed} removed</span>
+                  <label className="ml-auto flex items-center gap-1 text-slate-600">
+                    <input type="checkbox" checked={onlyMoved} onChange={(e) => setOnlyMoved(e.target.checked)} />
+                    hide unchanged
+                  </label>
+                </div>
+                {baselineDiff.settings.length > 0 && (
+                  <p className="rounded-xl bg-slate-50 p-2 text-xs text-slate-600">Settings changed: {baselineDiff.settings.join(" · ")}</p>
+                )}
+                <table className="w-full text-xs">
+                  <thead className="text-left text-slate-500">
+                    <tr className="border-b border-slate-100">
+                      <th className="py-1 pr-2">Epic</th>
+                      <th className="py-1 pr-2 text-right">Baseline</th>
+                      <th className="py-1 pr-2 text-right">Now</th>
+                      <th className="py-1 pr-2 text-right">Δ</th>
+                      <th className="py-1">Why the score moved</th>
+                    </tr>
+                  </thead>
+                  <tbody className="tabular-nums">
+                    {baselineDiff.epics
+                      .filter(e => !onlyMoved || e.status !== "same" || e.dScore !== 0)
+                      .map(e => (
+                        <tr key={e.id} className="border-b border-slate-100 align-top">
+                          <td className="py-1 pr-2">
+                            {e.name}<span className="text-slate-400"> · {e.pd}</span>
+                            {e.status === "new" && <span className="ml-1 rounded bg-emerald-50 px-1 text-emerald-700">new</span>}
+                            {e.status === "removed" && <span className="ml-1 rounded bg-red-50 px-1 text-red-600">removed</span>}
+                          </td>
+                          <td className="py-1 pr-2 text-right">{e.before ? `#${e.before.rank} · ${e.before.score}` : "—"}</td>
+                          <td className="py-1 pr-2 text-right">{e.after ? `#${e.after.rank} · ${e.after.score}` : "—"}</td>
+                          <td className="whitespace-nowrap py-1 pr-2 text-right">
+                            {e.dRank !== null && (
+                              <>
+                                <span className={deltaColor(e.dRank)}>{formatDelta(e.dRank)} rk</span>
+                                <span className="mx-1 text-slate-300">/</span>
+                                <span className={deltaColor(e.dScore)}>{formatDelta(e.dScore)} pts</span>
+                              </>
+                            )}
+                          </td>
+                          <td className="py-1">
+                            {e.drivers.map((d, i) => (
+                              <span key={i} className="mb-1 mr-1 inline-block rounded bg-slate-100 px-1">
+                                <span className={deltaColor(d.delta)}>{formatDelta(d.delta)}</span> {d.label}
+                              </span>
+                            ))}
+                          </td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </Modal>
+      )}
+
+      {auditView && (
+        <Modal
+          title="Change log"
+          subtitle={`${auditLog.length} backlog change${auditLog.length === 1 ? "" : "s"} recorded in this browser (last ${AUDIT_LIMIT} kept).`}
+          wide
+          footer={
+            <>
+              <button
+                onClick={() => { if (confirm("Clear the whole change log?")) setAuditLog([]); }}
+                className="mr-auto text-xs text-red-600 hover:underline"
+              >
+                Clear log
+              </button>
+              <button onClick={exportAudit} className="rounded-xl bg-slate-800 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-black">Export CSV</button>
+              <button onClick={() => setShowAudit(false)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>
+            </>
+          }
+        >
+          <div className="space-y-3 p-4 text-sm">
+            <select
+              value={auditEpicId}
+              onChange={(e) => setAuditEpicId(e.target.value)}
+              className="w-full rounded-lg border border-slate-300 bg-white px-2 py-1 text-sm"
+            >
+              <option value="">All PDs & epics</option>
+              {auditView.epics.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            {auditView.entries.length === 0 ? (
+              <p className="text-slate-500">No changes recorded yet.</p>
+            ) : (
+              <table className="w-full text-xs">
+                <thead className="text-left text-slate-500">
+                  <tr className="border-b border-slate-100">
+                    <th className="py-1 pr-2">When</th>
+                    <th className="py-1 pr-2">PD / Epic</th>
+                    <th className="py-1 pr-2">Change</th>
+                    <th className="py-1 pr-2">Old</th>
+                    <th className="py-1">New</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {auditView.entries.map((a, i) => (
+                    <tr key={i} className="border-b border-slate-100 align-top">
+                      <td className="whitespace-nowrap py-1 pr-2 text-slate-500">
+                        {new Date(a.at).toLocaleString()}
+                        {a.source !== "edit" && <span className="ml-1 rounded bg-slate-100 px-1">{a.source}</span>}
+                      </td>
+                      <td className="py-1 pr-2">{a.epicName ?? <span className="font-medium">{a.pdName}</span>}{a.epicName && <span className="text-slate-400"> · {a.pdName}</span>}</td>
+                      <td className="py-1 pr-2">{a.kind === "changed" ? a.field : <span className={a.kind === "removed" ? "text-red-600" : "text-emerald-700"}>{a.kind}</span>}</td>
+                      <td className="max-w-[16rem] break-words py-1 pr-2 text-slate-500">{a.kind === "changed" && formatAuditValue(a.from)}</td>
+                      <td className="max-w-[16rem] break-words py-1">{a.kind === "changed" && formatAuditValue(a.to)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </Modal>
+      )}
+
+      {ratingsEpic && (
+        <Modal
+          title={`Ratings — ${ratingsEpic.epic.name}`}
+          subtitle={`Each rater scores 1–5. The ${RATING_METHODS[rating.method].label.toLowerCase()} of the ratings replaces the typed‑in value; a spread of ${rating.disagreement} or more is flagged.`}
+          footer={<button onClick={() => { setRatingsFor(null); setNewRater(""); }} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>}
+        >
+          {(() => {
+            const { pd, epic, typed } = ratingsEpic;
+            return (
+              <div className="space-y-4 p-4 text-sm">
+                <table className="w-full text-xs">
+                  <thead className="text-left text-slate-500">
+                    <tr className="border-b border-slate-100">
+                      <th className="py-1">Rater</th>
+                      {RATED_FIELDS.map(f => <th key={f} className="py-1">{FACTOR_LABELS[f]}</th>)}
+                      <th className="py-1" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(typed.ratings).map(([rater, values]) => (
+                      <tr key={rater} className="border-b border-slate-100">
+                        <td className="py-1 pr-2 font-medium text-slate-700">{rater}</td>
+                        {RATED_FIELDS.map(f => (
+                          <td key={f} className="py-1 pr-2">
+                            <select
+                              value={values[f] ?? ""}
+                              onChange={(e) => rateEpic(pd.id, typed, rater, f, e.target.value === "" ? null : parseInt(e.target.value, 10))}
+                              className="rounded-lg border border-slate-300 bg-white px-1 py-1 text-xs"
+                            >
+                              <option value="">—</option>
+                              {[1, 2, 3, 4, 5].map(v => <option key={v} value={v}>{v}</option>)}
+                            </select>
+                          </td>
+                        ))}
+                        <td className="py-1 text-right">
+                          <button onClick={() => removeRater(pd.id, typed, rater)} className="text-red-600 hover:underline">Remove</button>
+                        </td>
+                      </tr>
+                    ))}
+                    {Object.keys(typed.ratings).length === 0 && (
+                      <tr><td colSpan={RATED_FIELDS.length + 2} className="py-2 text-slate-500">No ratings yet; the typed‑in values are used.</td></tr>
+                    )}
+                  </tbody>
+                  <tfoot>
+                    <tr className="font-semibold text-slate-700">
+                      <td className="py-1">Used for scoring</td>
+                      {RATED_FIELDS.map(f => {
+                        const stats = ratingStats(typed.ratings, f, rating.method);
+                        return (
+                          <td key={f} className={`py-1 ${epic.disagreement?.includes(f) ? "text-orange-600" : ""}`}>
+                            {stats ? <>{stats.value} <span className="font-normal">(spread {stats.spread})</span></> : <span className="font-normal text-slate-500">{typed[f]} typed</span>}
+                          </td>
+                        );
+                      })}
+                      <td />
+                    </tr>
+                  </tfoot>
+                </table>
+                <div className="flex gap-2">
+                  <input
+                    value={newRater}
+                    onChange={(e) => setNewRater(e.target.value)}
+                    onKeyDown={(e) => e.key === "Enter" && addRater(pd.id, typed)}
+                    list="psa-raters"
+                    placeholder="Rater, e.g. Head of Sales"
+                    className="min-w-0 flex-1 rounded-lg border border-slate-300 bg-white px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                  <datalist id="psa-raters">
+                    {raters.filter(r => !(r in typed.ratings)).map(r => <option key={r} value={r} />)}
+                  </datalist>
+                  <button onClick={() => addRater(pd.id, typed)} disabled={!newRater.trim()} className="rounded-lg bg-indigo-600 px-3 py-1 text-xs font-medium text-white hover:bg-indigo-700 disabled:opacity-50">Add rater</button>
+                </div>
+              </div>
+            );
+          })()}
+        </Modal>
+      )}
+
+      {cashFlowEpic && (
+        <Modal
+          title={`Cash flow — ${cashFlowEpic.epic.name}`}
+          subtitle={`Discount rate ${formatPct(finance.discountRate)} · revenue ${formatEUR(cashFlowEpic.epic.revenueEUR || 0)}/yr at full ramp · opex ${formatEUR(cashFlowEpic.epic.opexEUR || 0)}/yr · capex ${formatEUR(cashFlowEpic.epic.capexEUR || 0)} upfront`}
+          footer={<button onClick={() => setCashFlowFor(null)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>}
+        >
+          {(() => {
+            const { pd, epic } = cashFlowEpic;
+            const ramp = epic.cashFlow?.ramp ?? [1];
+            const setRamp = (next) => updateEpic(pd.id, epic.id, { cashFlow: { ...epic.cashFlow, ramp: next } });
+            let cumulative = 0;
+            return (
+              <div className="space-y-4 p-4 text-sm">
+                <div className="flex items-center gap-3">
+                  <span className="text-slate-600">Years</span>
+                  <input
+                    {...numberInputProps(1, MAX_CASHFLOW_YEARS, 1)}
+                    value={ramp.length}
+                    onChange={(e) => {
+                      const years = clamp(parseInt(e.target.value || "1", 10), 1, MAX_CASHFLOW_YEARS);
+                      setRamp(Array.from({ length: years }, (_, i) => ramp[i] ?? ramp[ramp.length - 1] ?? 1));
+                    }}
+                  />
+                </div>
+                <table className="w-full text-xs">
+                  <thead className="text-left text-slate-500">
+                    <tr className="border-b border-slate-100">
+                      <th className="py-1">Year</th>
+                      <th className="py-1">Ramp‑up %</th>
+                      <th className="py-1 text-right">Net cash</th>
+                      <th className="py-1 text-right">Discounted</th>
+                      <th className="py-1 text-right">Cumulative</th>
+                    </tr>
+                  </thead>
+                  <tbody className="tabular-nums">
+                    {epic.fin.flows.map((cf, t) => {
+                      cumulative += cf;
+                      return (
+                        <tr key={t} className="border-b border-slate-100">
+                          <td className="py-1">{t === 0 ? "0 (capex)" : t}</td>
+                          <td className="py-1">
+                            {t > 0 && (
+                              <input
+                                {...numberInputProps(0, 1000, 5)}
+                                value={round2(ramp[t - 1] * 100)}
+                                onChange={(e) => setRamp(ramp.map((v, i) => (i === t - 1 ? (parseFloat(e.target.value) || 0) / 100 : v)))}
+                              />
+                            )}
+                          </td>
+                          <td className={`py-1 text-right ${cf < 0 ? "text-red-600" : ""}`}>{formatEUR(cf)}</td>
+                          <td className="py-1 text-right">{formatEUR(cf / Math.pow(1 + finance.discountRate, t))}</td>
+                          <td className={`py-1 text-right ${cumulative < 0 ? "text-red-600" : "text-emerald-700"}`}>{formatEUR(cumulative)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                <div className="grid grid-cols-4 gap-3 text-center">
+                  {[
+                    ["NPV", formatEUR(epic.fin.npv)],
+                    ["IRR", formatPct(epic.fin.irr)],
+                    ["Payback", epic.fin.payback === null ? "never" : `${round2(epic.fin.payback)} yrs`],
+                    ["Discounted ROI×", round2(epic.fin.discountedRoi)],
+                  ].map(([label, value]) => (
+                    <div key={label} className="rounded-xl bg-slate-50 p-2">
+                      <div className="text-xs text-slate-500">{label}</div>
+                      <div className="font-semibold">{value}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })()}
+        </Modal>
+      )}
+
+      {showUncertainty && (
+        <Modal
+          wide
+          title="Uncertainty analysis (Monte Carlo)"
+          subtitle="Ranged estimates are drawn from a triangular min / likely / max distribution; the epic's current value is the likely one. Unranged fields stay fixed."
+          footer={
+            <>
+              <button onClick={fillDefaultRanges} className="mr-auto rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50" title="±30% on amounts and effort, ±1 on ratings, for epics without ranges">Fill default ranges</button>
+              <button onClick={() => setShowUncertainty(false)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>
+              <button onClick={runSimulation} className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700">Run simulation</button>
+            </>
+          }
+        >
+          <div className="space-y-4 p-4 text-sm">
+            <div className="flex flex-wrap gap-4">
+              {[["runs", "Runs", 100], ["topN", "Top N", 1], ["seed", "Seed", 1]].map(([k, label, step]) => (
+                <label key={k} className="flex items-center gap-2">
+                  <span className="text-slate-600">{label}</span>
+                  <input
+                    {...numberInputProps(1, 20000, step)}
+                    value={mcSettings[k]}
+                    onChange={(e) => setMcSettings({ ...mcSettings, [k]: parseInt(e.target.value || "1", 10) })}
+                  />
+                </label>
+              ))}
+            </div>
+
+            <table className="w-full">
+              <thead className="text-left text-xs text-slate-500">
+                <tr className="border-b border-slate-100">
+                  <th className="p-2">Epic</th>
+                  <th className="p-2 text-right">Point</th>
+                  <th className="p-2 text-right">P10</th>
+                  <th className="p-2 text-right">P50</th>
+                  <th className="p-2 text-right">P90</th>
+                  <th className="p-2 w-40">P10–P90</th>
+                  <th className="p-2 text-right">{mcResult ? `P(top ${mcResult.topN})` : "P(top N)"}</th>
+                  <th className="p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {(mcResult?.rows ?? computed.flatMap(pd => pd.epics.map(e => ({ id: e.id, name: e.name, pd: pd.name, point: e.score })))).map(row => {
+                  const pd = computed.find(p => p.epics.some(e => e.id === row.id));
+                  const epic = pd?.epics.find(e => e.id === row.id);
+                  if (!epic) return null;
+                  const ranged = Object.keys(epic.ranges || {}).length;
+                  const [verdict, verdictColor] = row.pTop !== undefined ? stabilityLabel(row.pTop) : ["", ""];
+                  return (
+                    <React.Fragment key={row.id}>
+                      <tr className="border-b border-slate-100">
+                        <td className="p-2">{row.name} <span className="text-xs text-slate-400">· {row.pd}</span></td>
+                        <td className="p-2 text-right tabular-nums">{row.point}</td>
+                        <td className="p-2 text-right tabular-nums">{row.p10 !== undefined ? Math.round(row.p10) : "—"}</td>
+                        <td className="p-2 text-right tabular-nums">{row.p50 !== undefined ? Math.round(row.p50) : "—"}</td>
+                        <td className="p-2 text-right tabular-nums">{row.p90 !== undefined ? Math.round(row.p90) : "—"}</td>
+                        <td className="p-2">
+                          {row.p10 !== undefined && (
+                            <div className="relative h-3 rounded bg-slate-100">
+                              <div className="absolute inset-y-0 rounded bg-indigo-300" style={{ left: `${row.p10}%`, width: `${Math.max(row.p90 - row.p10, 1)}%` }} />
+                              <div className="absolute inset-y-0 w-0.5 bg-indigo-700" style={{ left: `${row.p50}%` }} />
+                            </div>
+                          )}
+                        </td>
+                        <td className="p-2 text-right tabular-nums">
+                          {row.pTop !== undefined ? `${Math.round(row.pTop * 100)}%` : "—"}
+                          {verdict && <span className={`ml-2 text-xs ${verdictColor}`}>{verdict}</span>}
+                        </td>
+                        <td className="p-2 text-right">
+                          <button onClick={() => setRangeEpicId(rangeEpicId === row.id ? null : row.id)} className="text-xs text-indigo-600 hover:underline">
+                            Ranges ({ranged})
+                          </button>
+                        </td>
+                      </tr>
+                      {rangeEpicId === row.id && (
+                        <tr className="border-b border-slate-100 bg-slate-50">
+                          <td colSpan={8} className="p-3">
+                            <div className="grid grid-cols-1 gap-2 md:grid-cols-3">
+                              {UNCERTAIN_FIELDS.map(f => {
+                                const r = epic.ranges?.[f.key];
+                                return (
+                                  <div key={f.key} className="flex items-center gap-1 text-xs">
+                                    <span className="w-20 text-slate-600">{f.label}</span>
+                                    <input
+                                      {...numberInputProps(0, undefined, "any", "min")}
+                                      value={r?.min ?? ""}
+                                      onChange={(e) => setRange(pd.id, epic, f.key, e.target.value === "" ? null : { min: parseFloat(e.target.value), max: r?.max ?? Number(epic[f.key]) })}
+                                    />
+                                    <span className="px-1 text-slate-400" title="Likely (current value)">{round2(Number(epic[f.key]) || 0)}</span>
+                                    <input
+                                      {...numberInputProps(0, undefined, "any", "max")}
+                                      value={r?.max ?? ""}
+                                      onChange={(e) => setRange(pd.id, epic, f.key, e.target.value === "" ? null : { min: r?.min ?? Number(epic[f.key]), max: parseFloat(e.target.value) })}
+                                    />
+                                  </div>
+                                );
+                              })}
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+            {mcResult && (
+              <p className="text-xs text-slate-500">
+                {mcResult.runs} runs. “Robust in/out”: in the top {mcResult.topN} in ≥80% / ≤20% of runs; anything between flips on estimation error.
+              </p>
+            )}
+          </div>
+        </Modal>
+      )}
+
+      {breakdown && (
+        <Modal
+          title={`Why ${breakdown.epic.score}? — ${breakdown.epic.name}`}
+          subtitle={`${breakdown.pd.name} · scored with ${SCORING_MODELS[breakdown.pd.scoringModel].label}`}
+          footer={<button onClick={() => setBreakdownFor(null)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>}
+        >
+          <div className="space-y-4 p-4 text-sm">
+            {breakdown.pd.scoringModel !== "weighted" && (
+              <div className="rounded-xl bg-slate-50 p-3 text-xs text-slate-600">
+                <p className="mb-1 font-medium">{SCORING_MODELS[breakdown.pd.scoringModel].label}: {SCORING_MODELS[breakdown.pd.scoringModel].formula}</p>
+                <p>
+                  {SCORING_MODELS[breakdown.pd.scoringModel].explain(breakdown.epic).map(([label, v]) => `${label} ${round2(v)}`).join(" ")}
+                  {" "}= {round2(SCORING_MODELS[breakdown.pd.scoringModel].raw(breakdown.epic))} → {breakdown.epic.score}
+                </p>
+                <p className="mt-1">The weighted model (score {breakdown.epic.modelScores.weighted}) is broken down below for reference.</p>
+              </div>
+            )}
+            <ScoreWaterfall explained={breakdown.explained} />
+            <table className="w-full text-xs">
+              <thead className="text-left text-slate-500">
+                <tr className="border-b border-slate-100">
+                  <th className="py-1">Factor</th>
+                  <th className="py-1 text-right">Input</th>
+                  <th className="py-1 text-right">Normalized</th>
+                  <th className="py-1 text-right" title="Stored weight × what‑if multiplier">Weight</th>
+                  <th className="py-1 text-right">Contribution</th>
+                  <th className="py-1 text-right">Points</th>
+                </tr>
+              </thead>
+              <tbody className="tabular-nums">
+                {breakdown.explained.factors.map(f => (
+                  <tr key={f.key} className="border-b border-slate-100">
+                    <td className="py-1">{f.label}</td>
+                    <td className="py-1 text-right">{round2(Number(f.input) || 0)}</td>
+                    <td className="py-1 text-right">{f.norm.toFixed(3)}</td>
+                    <td className="py-1 text-right">
+                      {round2(weights[f.key] ?? 0)}
+                      {(whatIf[f.key] ?? 1) !== 1 && <span className="text-slate-400"> × {whatIf[f.key]} = {round2(f.weight)}</span>}
+                    </td>
+                    <td className={`py-1 text-right ${deltaColor(Math.sign(f.contribution))}`}>{f.contribution.toFixed(3)}</td>
+                    <td className={`py-1 text-right ${deltaColor(Math.sign(f.contribution))}`}>{formatDelta(round2(f.contribution * 50))}</td>
+                  </tr>
+                ))}
+                <tr className="font-medium">
+                  <td className="py-1" colSpan={4}>Raw sum → (raw + 1) × 50</td>
+                  <td className="py-1 text-right">{breakdown.explained.raw.toFixed(3)}</td>
+                  <td className="py-1 text-right">{round2(breakdown.explained.unclamped)}</td>
+                </tr>
+                <tr className="text-slate-500">
+                  <td className="py-1" colSpan={5}>Cut off by the 0–100 clamp</td>
+                  <td className="py-1 text-right">{round2(breakdown.explained.clampCut)}</td>
+                </tr>
+                {normalization.mode !== "absolute" && (
+                  <tr className="font-medium">
+                    <td className="py-1" colSpan={5}>{NORMALIZATION_MODES[normalization.mode].label} across the portfolio: {NORMALIZATION_MODES[normalization.mode].description}</td>
+                    <td className="py-1 text-right">{breakdown.epic.modelScores.weighted}</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </Modal>
+      )}
+
+      {showDepOrder && depOrder && (
+        <Modal
+          title="Dependency order"
+          subtitle="Every epic comes after the epics it depends on; among unblocked epics the higher score goes first."
+          footer={<button onClick={() => setShowDepOrder(false)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>}
+        >
+          <table className="w-full text-sm">
+            <thead className="text-left text-xs text-slate-500">
+              <tr className="border-b border-slate-100">
+                <th className="px-4 py-2">#</th>
+                <th className="px-4 py-2">Epic</th>
+                <th className="px-4 py-2">PD</th>
+                <th className="px-4 py-2">Score</th>
+                <th className="px-4 py-2">After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {depOrder.order.map((row, i) => (
+                <tr key={row.id} className="border-b border-slate-100">
+                  <td className="px-4 py-1 text-slate-400">{i + 1}</td>
+                  <td className="px-4 py-1">{row.name}</td>
+                  <td className="px-4 py-1 text-slate-500">{row.pd}</td>
+                  <td className="px-4 py-1"><span className={`inline-flex rounded-lg px-1.5 text-xs font-semibold ${badgeColor(row.score)}`}>{row.score}</span></td>
+                  <td className="px-4 py-1 text-xs text-slate-500">{row.dependsOn.join(", ")}</td>
+                </tr>
+              ))}
+              {depOrder.blocked.map(row => (
+                <tr key={row.id} className="border-b border-slate-100 bg-red-50 text-red-700">
+                  <td className="px-4 py-1">—</td>
+                  <td className="px-4 py-1">{row.name}</td>
+                  <td className="px-4 py-1">{row.pd}</td>
+                  <td className="px-4 py-1">{row.score}</td>
+                  <td className="px-4 py-1 text-xs">blocked by a cycle: {row.dependsOn.join(", ")}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Modal>
+      )}
+
+      {showReport && (
+        <Modal
+          title="Stakeholder report"
+          subtitle="Ranked PDs, the top epics with what drives their scores, financial totals, the weights and what‑if multipliers in use, and risk call‑outs."
+          footer={
+            <>
+              <button onClick={() => exportReport("print")} className="mr-auto rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Open for printing</button>
+              <button onClick={() => exportReport("md")} className="rounded-xl bg-slate-800 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-black">Markdown</button>
+              <button onClick={() => exportReport("html")} className="rounded-xl bg-slate-800 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-black">HTML</button>
+              <button onClick={() => setShowReport(false)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>
+            </>
+          }
+        >
+          <div className="space-y-2 p-4 text-sm">
+            <label className="flex items-center gap-2">
+              Top epics
+              <input
+                {...numberInputProps(1, 100, 1)}
+                value={reportTopN}
+                onChange={(e) => setReportTopN(clamp(parseInt(e.target.value || "1", 10), 1, 100))}
+              />
+            </label>
+            <p className="text-xs text-slate-500">
+              Epics follow the ranked backlog, manual overrides included, and scores use the current what‑if sliders.
+              Risk call‑outs flag top epics with risk ≥ 4, confidence under 50%, three or more external dependencies,
+              dependencies ranked below them, raters who disagree, a negative NPV or a large manual override, plus any
+              dependency cycle. Delivered and dropped epics are left out.
+            </p>
+          </div>
+        </Modal>
+      )}
+
+      {calibrationData && (
+        <Modal
+          wide
+          title="Estimate calibration"
+          subtitle="Delivered epics' actuals against what was estimated, per owner. A factor of 1.25 means actuals came in 25% above the estimates; switch a correction on to scale the estimates of open epics by it."
+          footer={<button onClick={() => setShowCalibration(false)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>}
+        >
+          <div className="space-y-6 p-4 text-sm">
+            {calibrationData.map(field => {
+              const format = field.key === "effort" ? (v => `${round2(v)} SP`) : formatEUR;
+              const factorCell = (factor) => (
+                <td className={`py-1 text-right ${factor !== null && Math.abs(factor - 1) >= 0.2 ? "font-semibold text-amber-700" : ""}`}>
+                  {factor === null ? "—" : `×${round2(factor)} (${factor >= 1 ? "+" : "−"}${Math.round(Math.abs(factor - 1) * 100)}%)`}
+                </td>
+              );
+              return (
+                <div key={field.key}>
+                  <div className="mb-2 flex items-center justify-between gap-3">
+                    <h3 className="text-sm font-semibold text-slate-700">{field.label}</h3>
+                    <label className="flex items-center gap-2 text-xs text-slate-600">
+                      <input
+                        type="checkbox"
+                        checked={calibration[field.key]}
+                        onChange={(e) => setCalibration({ ...calibration, [field.key]: e.target.checked })}
+                        disabled={field.all.factor === null && !calibration[field.key]}
+                      />
+                      Correct open epics' estimates (owner's factor, else everyone's)
+                    </label>
+                  </div>
+                  {field.rows.length === 0 ? (
+                    <p className="text-xs text-slate-500">No delivered epic has its actual recorded yet. Set an epic's status to Delivered and fill in the actuals below its name.</p>
+                  ) : (
+                    <>
+                      <table className="w-full text-xs">
+                        <thead className="text-left text-slate-500">
+                          <tr className="border-b border-slate-100">
+                            <th className="py-1">Owner</th>
+                            <th className="py-1 text-right">Delivered epics</th>
+                            <th className="py-1 text-right">Estimated</th>
+                            <th className="py-1 text-right">Actual</th>
+                            <th className="py-1 text-right">Factor</th>
+                          </tr>
+                        </thead>
+                        <tbody className="tabular-nums">
+                          {field.owners.map(o => (
+                            <tr key={o.owner} className="border-b border-slate-100">
+                              <td className="py-1">{o.owner || UNASSIGNED_OWNER}</td>
+                              <td className="py-1 text-right">{o.epics}</td>
+                              <td className="py-1 text-right">{format(o.estimate)}</td>
+                              <td className="py-1 text-right">{format(o.actual)}</td>
+                              {factorCell(o.factor)}
+                            </tr>
+                          ))}
+                          <tr className="font-semibold">
+                            <td className="py-1">All owners</td>
+                            <td className="py-1 text-right">{field.all.epics}</td>
+                            <td className="py-1 text-right">{format(field.all.estimate)}</td>
+                            <td className="py-1 text-right">{format(field.all.actual)}</td>
+                            {factorCell(field.all.factor)}
+                          </tr>
+                        </tbody>
+                      </table>
+                      <details className="mt-2 text-xs">
+                        <summary className="cursor-pointer text-slate-500">Epics behind these numbers</summary>
+                        <ul className="mt-1 space-y-0.5">
+                          {field.rows.map(r => (
+                            <li key={r.id} className="flex gap-2">
+                              <span className="flex-1 truncate">{r.name} <span className="text-slate-400">· {r.pd}</span></span>
+                              <span className="tabular-nums">{format(r.estimate)} → {format(r.actual)}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </details>
+                    </>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </Modal>
+      )}
+
+      {shareLink && (
+        <Modal
+          title="Share a read‑only link"
+          subtitle="The link opens this workspace's PDs, epics, weights and what‑if multipliers as they are now, without touching the viewer's own data. Later edits are not included."
+          footer={
+            <>
+              <a href={shareLink.url} target="_blank" rel="noreferrer" className="mr-auto px-1 py-1.5 text-sm text-indigo-600 hover:underline">Preview</a>
+              <button onClick={copyShareLink} className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white shadow hover:bg-indigo-700">{shareLink.copied ? "Copied ✓" : "Copy link"}</button>
+              <button onClick={() => setShareLink(null)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>
+            </>
+          }
+        >
+          <div className="space-y-2 p-4 text-sm">
+            <textarea
+              readOnly
+              value={shareLink.url}
+              onFocus={(e) => e.target.select()}
+              rows={4}
+              className="w-full break-all rounded-xl border border-slate-300 bg-slate-50 px-3 py-2 font-mono text-xs"
+            />
+            <p className="text-xs text-slate-500">
+              The data travels inside the link (after the #), so it never reaches a server. {shareLink.url.length.toLocaleString()} characters
+              {shareLink.url.length > SHARE_LINK_WARN_LENGTH ? " — long links can get cut off by some mail and chat tools; send an exported JSON file if it does not open." : "."}
+            </p>
+          </div>
+        </Modal>
+      )}
+
+      {showBacklog && (
+        <Modal
+          wide
+          title="Ranked backlog"
+          subtitle="Every epic across PDs by score. Drag a row to override its rank; each override needs a reason and stays pinned at its position."
+          footer={
+            <>
+              <button
+                onClick={() => { if (confirm(`Remove all ${backlog.filter(r => r.override).length} rank overrides?`)) setRankOverrides({}); }}
+                disabled={!backlog.some(r => r.override)}
+                className="mr-auto rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50 disabled:opacity-40"
+              >
+                Clear overrides
+              </button>
+              <button onClick={() => setShowBacklog(false)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>
+            </>
+          }
+        >
+          <table className="w-full text-sm">
+            <thead className="text-left text-xs text-slate-500">
+              <tr className="border-b border-slate-100">
+                <th className="px-4 py-2">#</th>
+                <th className="px-4 py-2">Epic</th>
+                <th className="px-4 py-2">PD</th>
+                <th className="px-4 py-2">Owner</th>
+                <th className="px-4 py-2">Score</th>
+                <th className="px-4 py-2" title="Position by score alone">By score</th>
+                <th className="px-4 py-2">Override</th>
+              </tr>
+            </thead>
+            <tbody>
+              {backlog.filter(r => visibleEpicIds.has(r.id)).map(r => (
+                <tr
+                  key={r.id}
+                  draggable
+                  onDragStart={(e) => { e.dataTransfer.effectAllowed = "move"; e.dataTransfer.setData("text/plain", r.id); setBacklogDrag({ id: r.id, over: null }); }}
+                  onDragOver={(e) => { if (!backlogDrag) return; e.preventDefault(); if (backlogDrag.over !== r.position) setBacklogDrag({ ...backlogDrag, over: r.position }); }}
+                  onDrop={(e) => { e.preventDefault(); const id = backlogDrag?.id; setBacklogDrag(null); if (id) moveBacklogEpic(id, r.position); }}
+                  onDragEnd={() => setBacklogDrag(null)}
+                  className={`cursor-grab border-b border-slate-100 ${backlogDrag?.id === r.id ? "opacity-40" : ""} ${backlogDrag?.over === r.position && backlogDrag.id !== r.id ? "bg-indigo-50" : r.override ? "bg-amber-50/50" : ""}`}
+                >
+                  <td className="px-4 py-1 text-slate-400"><span className="mr-2 text-slate-300">⠿</span>{r.position}</td>
+                  <td className="px-4 py-1">{r.name}</td>
+                  <td className="px-4 py-1 text-slate-500">{r.pd}</td>
+                  <td className="px-4 py-1 text-slate-500">{r.owner || UNASSIGNED_OWNER}</td>
+                  <td className="px-4 py-1"><span className={`inline-flex rounded-lg px-1.5 text-xs font-semibold ${badgeColor(r.score)}`}>{r.score}</span></td>
+                  <td className="px-4 py-1 text-slate-400">{r.computedRank}</td>
+                  <td className="px-4 py-1">
+                    {r.override && (
+                      <div className="flex items-center gap-2">
+                        <RankShift shift={r.shift} />
+                        <button onClick={() => editOverrideReason(r.id)} title={`Set ${new Date(r.override.at).toLocaleString()} — click to edit the reason`} className="truncate text-left text-xs text-slate-600 hover:underline">{r.override.reason}</button>
+                        <button onClick={() => removeOverride(r.id)} title="Remove override" className="ml-auto text-slate-400 hover:text-red-600">×</button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {backlog.length === 0 && <p className="p-4 text-sm text-slate-500">No epics yet.</p>}
+        </Modal>
+      )}
+
+      {comparing && comparison && (
+        <Modal
+          wide
+          title="Scenario comparison"
+          subtitle="Ranks and scores per scenario; deltas are against the first (reference) scenario."
+          footer={<button onClick={() => setComparing(false)} className="rounded-xl border border-slate-300 bg-white px-3 py-1.5 text-sm hover:bg-slate-50">Close</button>}
+        >
+          <div className="space-y-6 p-4">
+            <ComparisonTable title="Product Deliverables" rows={comparison.pds} scenarios={compareSet} />
+            <ComparisonTable title="Epics" rows={comparison.epics} scenarios={compareSet} showPD />
+          </div>
+        </Modal>
+      )}
     </div>
   );
 }
\ No newline at end of file
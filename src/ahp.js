@@ -0,0 +1,89 @@
+/**
+ * Weights from pairwise comparisons (Analytic Hierarchy Process, Saaty's 1–9 scale): priorities from the
+ * comparison matrix, its consistency ratio and the answers that contradict the rest.
+ */
+import { DEFAULT_WEIGHTS, FACTOR_LABELS } from "./engine.js";
+
+export const AHP_INTENSITIES = [
+  [1, "equally"],
+  [2, "equally to moderately"],
+  [3, "moderately"],
+  [4, "moderately to strongly"],
+  [5, "strongly"],
+  [6, "strongly to very strongly"],
+  [7, "very strongly"],
+  [8, "very to extremely"],
+  [9, "extremely"],
+];
+const AHP_RANDOM_INDEX = [0, 0, 0, 0.58, 0.9, 1.12, 1.24, 1.32, 1.41, 1.45, 1.49]; // by number of criteria
+export const AHP_MAX_CR = 0.1;
+
+export function ahpPairs(criteria) {
+  return criteria.flatMap((a, i) => criteria.slice(i + 1).map(b => [a, b]));
+}
+
+// Judgment for a pair: > 1 means a matters that many times more than b, < 1 that b does. Missing means equal.
+export function ahpJudgment(judgments, a, b) {
+  if (judgments[`${a}|${b}`]) return judgments[`${a}|${b}`];
+  if (judgments[`${b}|${a}`]) return 1 / judgments[`${b}|${a}`];
+  return 1;
+}
+
+/**
+ * Priorities from the principal eigenvector of the reciprocal comparison matrix (power iteration),
+ * with the consistency ratio CR = ((λmax − n) / (n − 1)) / RI. Above AHP_MAX_CR the answers contradict
+ * each other; `flagged` lists the judgments furthest from what the priorities imply, worst first,
+ * with the Saaty value that would fit.
+ */
+export function ahpPriorities(criteria, judgments) {
+  const n = criteria.length;
+  const m = criteria.map(a => criteria.map(b => (a === b ? 1 : ahpJudgment(judgments, a, b))));
+  let w = Array(n).fill(1 / n);
+  for (let iter = 0; iter < 100; iter++) {
+    const next = m.map(row => row.reduce((sum, v, j) => sum + v * w[j], 0));
+    const total = next.reduce((a, b) => a + b, 0);
+    const normalized = next.map(v => v / total);
+    const delta = normalized.reduce((d, v, i) => Math.max(d, Math.abs(v - w[i])), 0);
+    w = normalized;
+    if (delta < 1e-10) break;
+  }
+  const lambdaMax = n === 0 ? 0 : m.reduce((sum, row, i) => sum + row.reduce((s, v, j) => s + v * w[j], 0) / w[i], 0) / n;
+  const ci = n > 2 ? (lambdaMax - n) / (n - 1) : 0;
+  const cr = n > 2 ? ci / AHP_RANDOM_INDEX[Math.min(n, AHP_RANDOM_INDEX.length - 1)] : 0;
+  const nearestSaaty = (ratio) => {
+    const options = AHP_INTENSITIES.flatMap(([v]) => [v, 1 / v]);
+    return options.reduce((best, v) => (Math.abs(Math.log(v / ratio)) < Math.abs(Math.log(best / ratio)) ? v : best), 1);
+  };
+  const flagged = cr > AHP_MAX_CR
+    ? ahpPairs(criteria)
+      .map(([a, b]) => {
+        const [i, j] = [criteria.indexOf(a), criteria.indexOf(b)];
+        const given = m[i][j];
+        return { a, b, given, suggested: nearestSaaty(w[i] / w[j]), deviation: Math.abs(Math.log(given * w[j] / w[i])) };
+      })
+      .filter(f => f.suggested !== f.given)
+      .sort((x, y) => y.deviation - x.deviation)
+      .slice(0, 3)
+    : [];
+  return { priorities: Object.fromEntries(criteria.map((c, i) => [c, w[i]])), lambdaMax, ci, cr, consistent: cr <= AHP_MAX_CR, flagged };
+}
+
+export function describeJudgment(a, b, v, labels = FACTOR_LABELS) {
+  if (v === 1) return `${labels[a]} and ${labels[b]} matter equally`;
+  const [more, less, n] = v > 1 ? [a, b, v] : [b, a, Math.round(1 / v)];
+  return `${labels[more]} matters ${AHP_INTENSITIES.find(([x]) => x === n)?.[1] ?? `${n}×`} more than ${labels[less]}`;
+}
+
+/**
+ * Turn AHP priorities into weights. Penalties (effort, risk, dependencies, cost criteria) keep their
+ * negative sign, and the compared weights keep their current total size so scores stay on the same
+ * scale; criteria left out of the comparison keep their weight.
+ */
+export function weightsFromPriorities(priorities, current, criteria = []) {
+  const keys = Object.keys(priorities);
+  const size = keys.reduce((sum, k) => sum + Math.abs(current[k] ?? 0), 0) || 1;
+  const isCost = (k) => (k in DEFAULT_WEIGHTS ? DEFAULT_WEIGHTS[k] < 0 : criteria.some(c => c.key === k && c.direction === "cost"));
+  const next = { ...current };
+  for (const k of keys) next[k] = Math.round((isCost(k) ? -1 : 1) * priorities[k] * size * 1000) / 1000;
+  return next;
+}
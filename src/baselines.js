@@ -0,0 +1,183 @@
+/**
+ * Rankings compared across what-if scenarios, and prioritization baselines: frozen inputs and ranks that
+ * the live backlog is diffed against, with each score movement split into what drove it.
+ */
+import {
+  DEFAULT_CALIBRATION, DEFAULT_EPIC, DEFAULT_FINANCE, DEFAULT_NORMALIZATION, DEFAULT_RATING, DEFAULT_WEIGHTS, DEFAULT_WHATIF,
+  RATING_METHODS, SCORING_MODELS, effectiveWeights, epicLookup, isOpenEpic, sameValue, scorePortfolio, withCalibration, withCriteria,
+  withDependencyCounts, withFinancials, withRanks, withRatings,
+} from "./engine.js";
+import { formatAuditValue } from "./history.js";
+
+// Delivered and dropped epics are left out of the ranking, as in the ranked backlog.
+function scenarioRanking(pds, weights, whatIf, model, normalization) {
+  const scored = scorePortfolio(pds, effectiveWeights(weights, whatIf), model, normalization);
+  const pdRows = scored.map(pd => ({ id: pd.id, name: pd.name, owner: pd.owner, score: pd.pdScore }));
+  const epicRows = scored.flatMap(pd => pd.epics.filter(isOpenEpic).map(e => ({ id: e.id, name: e.name, pd: pd.name, score: e.score })));
+  return { pds: withRanks(pdRows), epics: withRanks(epicRows) };
+}
+
+/**
+ * Rank PDs and epics under each scenario. The first scenario is the reference:
+ * rows come in its order and each cell carries dRank (positive = moved up) and dScore against it.
+ */
+export function compareScenarios(pds, weights, scenarios, model, normalization) {
+  const rankings = scenarios.map(sc => scenarioRanking(pds, weights, sc.whatIf, model, normalization));
+  const build = (level) => {
+    const [base, ...rest] = rankings.map(r => new Map(r[level].map(row => [row.id, row])));
+    return rankings[0][level].map(row => ({
+      ...row,
+      cells: [base, ...rest].map(m => {
+        const cell = m.get(row.id);
+        return { score: cell.score, rank: cell.rank, dScore: cell.score - row.score, dRank: row.rank - cell.rank };
+      }),
+    }));
+  };
+  return { pds: build("pds"), epics: build("epics") };
+}
+
+/**
+ * Rank the live backlog (or a baseline's frozen inputs) from raw workspace parts:
+ * { pds, weights, whatIf, scoringModel, finance, criteria, normalization, rating, calibration }.
+ */
+export function rankWorkspace(state) {
+  const normalization = state.normalization ?? DEFAULT_NORMALIZATION;
+  const rated = withCalibration(withRatings(state.pds, state.rating), state.calibration);
+  const pds = withCriteria(withFinancials(withDependencyCounts(rated), state.finance, normalization), state.criteria);
+  return scenarioRanking(pds, state.weights, state.whatIf, state.scoringModel, normalization);
+}
+
+// Freeze the inputs and resulting ranking so later diffs survive changes to the scoring code.
+export function makeBaseline(name, state) {
+  const { pds, weights, whatIf, scoringModel, finance, criteria, normalization, rating, calibration } = state;
+  const ranking = rankWorkspace(state);
+  return {
+    id: crypto.randomUUID(),
+    name,
+    createdAt: new Date().toISOString(),
+    inputs: { pds, weights, whatIf, scoringModel, finance, criteria, normalization, rating, calibration },
+    ranks: {
+      pds: ranking.pds.map(({ id, name, score, rank }) => ({ id, name, score, rank })),
+      epics: ranking.epics.map(({ id, name, pd, score, rank }) => ({ id, name, pd, score, rank })),
+    },
+  };
+}
+
+// Epic fields that never move a score.
+const BASELINE_IGNORED_FIELDS = new Set(["id", "name", "ranges"]);
+
+/**
+ * Diff the live backlog against a baseline. Every epic gets its status (moved/same/new/removed),
+ * rank and score then and now, and for epics in both the score movement split into drivers by
+ * swapping live values into the baseline one at a time, in a fixed order:
+ *   1. scoring code changes since the baseline was frozen (recomputed vs. frozen score),
+ *   2. workspace settings — scoring model, finance, normalization, calibration and rating settings, criteria, each weight and what-if multiplier,
+ *   3. the epic's own inputs, field by field (and its PD's scoring model),
+ *   4. whatever remains: other epics' changes (dependencies, relative scaling of RICE/WSJF/ICE).
+ * The drivers add up to the score delta; their split depends on that order.
+ */
+export function diffBaseline(baseline, live) {
+  // Defaults fill anything added to the app after the baseline was frozen.
+  const base = {
+    ...baseline.inputs,
+    weights: { ...DEFAULT_WEIGHTS, ...baseline.inputs.weights },
+    whatIf: { ...DEFAULT_WHATIF, ...baseline.inputs.whatIf },
+    finance: { ...DEFAULT_FINANCE, ...baseline.inputs.finance },
+    criteria: baseline.inputs.criteria ?? [],
+    normalization: { ...DEFAULT_NORMALIZATION, ...baseline.inputs.normalization },
+    rating: { ...DEFAULT_RATING, ...baseline.inputs.rating },
+    calibration: { ...DEFAULT_CALIBRATION, ...baseline.inputs.calibration },
+    pds: baseline.inputs.pds.map(pd => ({ ...pd, epics: pd.epics.map(e => ({ ...DEFAULT_EPIC, ...e })) })),
+  };
+  const scoresOf = (state) => new Map(rankWorkspace(state).epics.map(e => [e.id, e.score]));
+  const frozen = new Map(baseline.ranks.epics.map(e => [e.id, e]));
+  const liveRanking = rankWorkspace(live);
+  const liveEpics = new Map(liveRanking.epics.map(e => [e.id, e]));
+
+  // Workspace-level steps, shared by every epic.
+  const settingSteps = [];
+  let cursor = base;
+  const step = (label, patch) => {
+    cursor = { ...cursor, ...patch };
+    settingSteps.push({ label, scores: scoresOf(cursor) });
+  };
+  if (base.scoringModel !== live.scoringModel) {
+    step(`model ${SCORING_MODELS[base.scoringModel]?.short ?? base.scoringModel} → ${SCORING_MODELS[live.scoringModel]?.short}`, { scoringModel: live.scoringModel });
+  }
+  for (const k of Object.keys(live.finance)) {
+    if (!sameValue(base.finance[k], live.finance[k])) step(`finance ${k} ${formatAuditValue(base.finance[k])} → ${formatAuditValue(live.finance[k])}`, { finance: { ...cursor.finance, [k]: live.finance[k] } });
+  }
+  for (const k of Object.keys(live.normalization)) {
+    if (!sameValue(base.normalization[k], live.normalization[k])) step(`normalization ${k} ${formatAuditValue(base.normalization[k])} → ${formatAuditValue(live.normalization[k])}`, { normalization: { ...cursor.normalization, [k]: live.normalization[k] } });
+  }
+  for (const k of Object.keys(live.calibration)) {
+    if (base.calibration[k] !== live.calibration[k]) step(`${k} calibration ${base.calibration[k] ? "on" : "off"} → ${live.calibration[k] ? "on" : "off"}`, { calibration: { ...cursor.calibration, [k]: live.calibration[k] } });
+  }
+  if (base.rating.method !== live.rating.method) step(`ratings ${RATING_METHODS[base.rating.method]?.label ?? base.rating.method} → ${RATING_METHODS[live.rating.method].label}`, { rating: { ...cursor.rating, method: live.rating.method } });
+  if (!sameValue(base.criteria, live.criteria)) step("criteria changed", { criteria: live.criteria });
+  for (const part of ["weights", "whatIf"]) {
+    for (const k of Object.keys(live[part])) {
+      if (base[part][k] !== live[part][k]) step(`${part === "weights" ? "weight" : "what‑if"} ${k} ${formatAuditValue(base[part][k])} → ${formatAuditValue(live[part][k])}`, { [part]: { ...cursor[part], [k]: live[part][k] } });
+    }
+  }
+  const settled = cursor;
+  const recomputed = scoresOf(base);
+
+  const baseLookup = epicLookup(base.pds);
+  const liveLookup = epicLookup(live.pds);
+  const epics = [];
+  for (const now of liveRanking.epics) {
+    const then = frozen.get(now.id);
+    if (!then) {
+      epics.push({ id: now.id, name: now.name, pd: now.pd, status: "new", before: null, after: now, dRank: null, dScore: null, drivers: [] });
+      continue;
+    }
+    const drivers = [];
+    let prev = then.score;
+    const attribute = (label, score) => {
+      if (score === undefined) return; // closed at this step (an older baseline may rank closed epics)
+      if (score !== prev) drivers.push({ label, delta: score - prev });
+      prev = score;
+    };
+    attribute("scoring formula changed", recomputed.get(now.id) ?? then.score);
+    settingSteps.forEach(s => attribute(s.label, s.scores.get(now.id)));
+
+    const owner = baseLookup.get(now.id);
+    const current = liveLookup.get(now.id);
+    if (owner && current) {
+      let pdsCursor = settled.pds;
+      const swap = (patchPd, label) => {
+        pdsCursor = pdsCursor.map(pd => (pd.epics.some(e => e.id === now.id) ? patchPd(pd) : pd));
+        attribute(label, scoresOf({ ...settled, pds: pdsCursor }).get(now.id));
+      };
+      if (owner.pd.model !== current.pd.model) {
+        swap(pd => ({ ...pd, model: current.pd.model }), `PD model ${owner.pd.model ?? "default"} → ${current.pd.model ?? "default"}`);
+      }
+      for (const field of Object.keys(current.epic)) {
+        if (BASELINE_IGNORED_FIELDS.has(field) || sameValue(owner.epic[field], current.epic[field])) continue;
+        swap(
+          pd => ({ ...pd, epics: pd.epics.map(e => (e.id === now.id ? { ...e, [field]: current.epic[field] } : e)) }),
+          `${field} ${formatAuditValue(owner.epic[field])} → ${formatAuditValue(current.epic[field])}`,
+        );
+      }
+    }
+    attribute("other epics changed", now.score);
+    epics.push({
+      id: now.id, name: now.name, pd: now.pd,
+      status: then.rank === now.rank ? "same" : "moved",
+      before: then, after: now,
+      dRank: then.rank - now.rank,
+      dScore: now.score - then.score,
+      drivers,
+    });
+  }
+  for (const then of baseline.ranks.epics) {
+    if (!liveEpics.has(then.id)) epics.push({ id: then.id, name: then.name, pd: then.pd, status: "removed", before: then, after: null, dRank: null, dScore: null, drivers: [] });
+  }
+  const count = (status, pred = () => true) => epics.filter(e => e.status === status && pred(e)).length;
+  return {
+    epics,
+    settings: settingSteps.map(s => s.label),
+    summary: { up: count("moved", e => e.dRank > 0), down: count("moved", e => e.dRank < 0), added: count("new"), removed: count("removed") },
+  };
+}
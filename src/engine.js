@@ -0,0 +1,1534 @@
+/**
+ * Scoring engine — everything that turns a workspace into scores, with no UI or browser dependencies:
+ * weights and what-if multipliers, financials, custom criteria, normalization, the scoring models,
+ * dependency links, the ranked backlog, CSV building and parsing, and the workspace file schema.
+ * The app (App.jsx) and the command line (bin/psa.js) both build on it.
+ */
+
+// Weights
+export const DEFAULT_WEIGHTS = {
+  roi: 0.4,          // main driver
+  effort: -0.2,
+  risk: -0.1,
+  strategic: 0.12,
+  okr: 0.08,         // NEW: explicit OKR alignment weight
+  timeCriticality: 0.1,
+  customerImpact: 0.1,
+  confidence: 0.05,
+  dependencies: -0.1, // penalty per upstream epic (linked, transitive) + external dependency
+  unblocks: 0,         // optional bonus per downstream epic this one unblocks
+};
+
+// What‑if multipliers (1.0 = neutral). These scale the weights at runtime only.
+export const DEFAULT_WHATIF = {
+  roi: 1.0,
+  effort: 1.0,
+  risk: 1.0,
+  strategic: 1.0,
+  okr: 1.0,
+  timeCriticality: 1.0,
+  customerImpact: 1.0,
+  confidence: 1.0,
+  dependencies: 1.0,
+  unblocks: 1.0,
+};
+
+// Field defaults for a new epic (also fills fields missing from imported rows).
+export const DEFAULT_EPIC = {
+  name: "New Epic",
+  revenueEUR: 0,
+  opexEUR: 0,
+  capexEUR: 0,
+  autoROI: true,
+  roi: 1.0,
+  effort: 8,
+  risk: 3,
+  strategic: 3,
+  okr: 3,
+  timeCriticality: 3,
+  customerImpact: 3,
+  confidence: 0.6,
+  externalDependencies: 1, // 0—5, dependencies outside this backlog; 1 like the dependency count it replaced
+  dependsOn: [],           // ids of epics (any PD) that must be delivered first
+  ranges: {},              // { field: { min, max } } for uncertainty analysis; the field value is the most likely
+  cashFlow: { ramp: [1] }, // share of the annual revenue reached in each year (capex upfront, opex every year)
+  reach: 0,                // RICE: people/events per quarter
+  impact: 1,               // RICE: 0.25 minimal … 3 massive
+  ease: 5,                 // ICE: 1—10
+  riskReduction: 1,        // WSJF: risk reduction / opportunity enablement 1—5
+  externalKey: "",         // issue key in Jira / Azure DevOps; tracker re-imports update by it
+  ratings: {},             // { [rater]: { strategic, okr, timeCriticality, customerImpact } } 1—5 each; see withRatings
+  status: "idea",          // EPIC_STATUSES key
+  actualEffort: null,      // story points spent, recorded once delivered
+  actualRevenueEUR: null,  // yearly revenue realized after delivery
+};
+
+// Epic lifecycle. Closed epics are still scored but no longer count towards their PD's score, the ranked
+// backlog or the roadmap.
+export const EPIC_STATUSES = {
+  idea: { label: "Idea" },
+  committed: { label: "Committed" },
+  inProgress: { label: "In progress" },
+  delivered: { label: "Delivered", closed: true },
+  dropped: { label: "Dropped", closed: true },
+};
+
+export function isOpenEpic(epic) {
+  return !EPIC_STATUSES[epic.status]?.closed;
+}
+
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, Number.isFinite(n) ? n : min));
+}
+
+// Deep equality for plain JSON data.
+export const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// PD, epic, rater and workspace names match ignoring case and surrounding spaces.
+export const sameName = (a, b) => (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+
+export function effectiveWeights(weights, whatIf) {
+  const out = { ...weights };
+  for (const k of Object.keys(out)) {
+    const m = whatIf[k] ?? 1;
+    out[k] = out[k] * m;
+  }
+  return out;
+}
+
+export const MAX_CASHFLOW_YEARS = 15;
+
+export const DEFAULT_FINANCE = {
+  discountRate: 0.08,   // per year
+  roiMetric: "roi",     // which metric feeds the ROI factor, see ROI_METRICS
+  npvScale: 250000,     // € of NPV that normalizes to tanh(1) ≈ 0.76
+  paybackHorizon: 5,    // years; paying back at or after this normalizes to 0
+};
+
+// How the weighted model maps raw sums to 0–100 (see NORMALIZATION_MODES) and the reference ranges
+// its open-ended factors are normalized against.
+export const DEFAULT_NORMALIZATION = {
+  mode: "absolute",
+  roiScale: 2.5,     // ROI× (simple or discounted) that normalizes to tanh(1) ≈ 0.76
+  effortCap: 40,     // story points that count as maximal effort
+  dependencyCap: 5,  // dependencies (or unblocked epics) that count as maximal
+};
+
+// Whether open epics' estimates are multiplied by their owner's correction factor (see withCalibration).
+export const DEFAULT_CALIBRATION = {
+  effort: false,
+  revenueEUR: false,
+};
+
+export const DEFAULT_RATING = {
+  method: "mean",   // RATING_METHODS key
+  disagreement: 2,  // spread (highest minus lowest rating) from which raters count as disagreeing
+};
+
+// Metrics that can feed the weighted model's ROI factor, each with its 0..1 normalization.
+export const ROI_METRICS = {
+  roi: { label: "ROI× (simple)", norm: (v, f, n) => Math.tanh(v / n.roiScale) },
+  discountedRoi: { label: "Discounted ROI×", norm: (v, f, n) => Math.tanh(v / n.roiScale) },
+  npv: { label: "NPV €", norm: (v, f) => Math.tanh(v / Math.max(f.npvScale, 1)) },
+  irr: { label: "IRR", norm: (v) => (v === null ? 0 : Math.tanh(v / 0.5)) },
+  payback: { label: "Payback (years)", norm: (v, f) => (v === null ? 0 : clamp(1 - v / Math.max(f.paybackHorizon, 0.1), 0, 1)) },
+};
+
+/**
+ * Yearly net cash flows: capex at t=0, then for each year of the ramp-up
+ * revenue × ramp share minus the full annual opex.
+ */
+function cashFlows(epic) {
+  const ramp = Array.isArray(epic.cashFlow?.ramp) && epic.cashFlow.ramp.length > 0 ? epic.cashFlow.ramp : [1];
+  const revenue = Math.max(Number(epic.revenueEUR) || 0, 0);
+  const opex = Number(epic.opexEUR) || 0;
+  return [-(Number(epic.capexEUR) || 0), ...ramp.map(share => revenue * (Number(share) || 0) - opex)];
+}
+
+function npvAt(flows, rate) {
+  return flows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + rate, t), 0);
+}
+
+// Rate where NPV = 0, by bisection; null without both an outflow and an inflow, or no root in (-99%, 1000%).
+export function irr(flows) {
+  if (!flows.some(cf => cf < 0) || !flows.some(cf => cf > 0)) return null;
+  let lo = -0.99;
+  let hi = 10;
+  let fLo = npvAt(flows, lo);
+  if (fLo * npvAt(flows, hi) > 0) return null;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npvAt(flows, mid);
+    if (Math.abs(fMid) < 1e-6) return mid;
+    if (fLo * fMid < 0) hi = mid;
+    else { lo = mid; fLo = fMid; }
+  }
+  return (lo + hi) / 2;
+}
+
+// Years until cumulative (undiscounted) cash turns non-negative, interpolated within the year; null if never.
+function paybackYears(flows) {
+  let cum = flows[0];
+  if (cum >= 0) return 0;
+  for (let t = 1; t < flows.length; t++) {
+    const next = cum + flows[t];
+    if (next >= 0) return t - 1 + (flows[t] > 0 ? -cum / flows[t] : 0);
+    cum = next;
+  }
+  return null;
+}
+
+export function computeFinancials(epic, discountRate) {
+  const flows = cashFlows(epic);
+  const ramp = flows.length - 1;
+  const disc = (t) => Math.pow(1 + discountRate, t);
+  const revenue = Math.max(Number(epic.revenueEUR) || 0, 0);
+  let pvRevenue = 0;
+  let pvCost = Number(epic.capexEUR) || 0;
+  for (let t = 1; t <= ramp; t++) {
+    pvRevenue += (revenue * (Number(epic.cashFlow?.ramp?.[t - 1] ?? 1) || 0)) / disc(t);
+    pvCost += (Number(epic.opexEUR) || 0) / disc(t);
+  }
+  return {
+    flows,
+    npv: npvAt(flows, discountRate),
+    irr: irr(flows),
+    payback: paybackYears(flows),
+    discountedRoi: pvRevenue / Math.max(pvCost, 1),
+  };
+}
+
+/**
+ * Annotate epics with `fin` (NPV, IRR, payback, discounted ROI) and `roiFactor`, the metric value and
+ * normalization the weighted model's ROI factor uses under the workspace finance and normalization settings.
+ */
+export function withFinancials(pds, finance, normalization = DEFAULT_NORMALIZATION) {
+  const metric = ROI_METRICS[finance.roiMetric] ? finance.roiMetric : "roi";
+  return pds.map(pd => ({
+    ...pd,
+    epics: pd.epics.map(e => {
+      const fin = computeFinancials(e, Number(finance.discountRate) || 0);
+      const value = metric === "roi" ? computeROI(e) : fin[metric];
+      return { ...e, fin, roiFactor: { metric, value, norm: ROI_METRICS[metric].norm(value, finance, normalization) } };
+    }),
+  }));
+}
+
+export function computeROI(epic) {
+  if (epic.autoROI) {
+    const denom = Math.max((Number(epic.opexEUR) || 0) + (Number(epic.capexEUR) || 0), 1);
+    const numer = Math.max(Number(epic.revenueEUR) || 0, 0);
+    return numer / denom; // ROI multiple
+  }
+  return Number(epic.roi) || 0;
+}
+
+// Display names of the weighted model's factors (keys match DEFAULT_WEIGHTS).
+export const FACTOR_LABELS = {
+  roi: "ROI",
+  effort: "Effort",
+  risk: "Risk",
+  strategic: "Strategic",
+  okr: "OKR",
+  timeCriticality: "Time criticality",
+  customerImpact: "Customer impact",
+  confidence: "Confidence",
+  dependencies: "Dependencies",
+  unblocks: "Unblocks",
+};
+
+// How the built-in factors read their input, for the criteria editor.
+export const FACTOR_SCALES = {
+  roi: "ROI× or finance metric",
+  effort: "0–40 story points",
+  risk: "1–5",
+  strategic: "1–5",
+  okr: "1–5",
+  timeCriticality: "1–5",
+  customerImpact: "1–5",
+  confidence: "0–1",
+  dependencies: "0–5 upstream epics",
+  unblocks: "0–5 downstream epics",
+};
+
+/**
+ * Scales of user-defined criteria: input range and normalization to 0..1. A workspace criterion is
+ * { key, label, scale, max, direction: "benefit" | "cost", default }; its weight lives in weights[key]
+ * like the built-in factors' (negative for costs) and its value in epic[key].
+ */
+export const CRITERION_SCALES = {
+  "1-5": { label: "1–5", range: () => [1, 5], step: 1, norm: v => (v - 1) / 4 },
+  "0-1": { label: "0–1", range: () => [0, 1], step: 0.05, norm: v => v },
+  numeric: { label: "Number, 0–max", range: () => [0, Infinity], step: 1, norm: (v, c) => v / c.max },
+};
+
+export const CRITERION_DIRECTIONS = { benefit: "Benefit (more is better)", cost: "Cost (more is worse)" };
+
+// Epic properties a criterion key must not shadow: stored fields plus what scoring annotates.
+const RESERVED_CRITERION_KEYS = new Set([
+  ...Object.keys(DEFAULT_EPIC), ...Object.keys(DEFAULT_WEIGHTS),
+  "id", "score", "modelScores", "roiComputed", "roiFactor", "fin", "criteriaFactors", "depUpstream", "depDownstream", "dependsOnNames",
+  "ratingStats", "disagreement", "estimates",
+]);
+
+export function criterionValue(epic, c) {
+  const v = Number(epic[c.key] ?? c.default);
+  return Number.isFinite(v) ? v : c.default;
+}
+
+export function criterionLabels(criteria) {
+  return { ...FACTOR_LABELS, ...Object.fromEntries(criteria.map(c => [c.key, c.label])) };
+}
+
+// Built-in factor keys followed by the workspace's own, in scoring order.
+export function criterionKeys(criteria) {
+  return [...Object.keys(DEFAULT_WEIGHTS), ...criteria.map(c => c.key)];
+}
+
+// "Sales requests" → "salesRequests"
+export function criterionKeyFor(label) {
+  const words = label.normalize("NFKD").replace(/[^A-Za-z0-9 ]/g, " ").trim().split(/\s+/).filter(Boolean);
+  const key = words.map((w, i) => (i === 0 ? w.toLowerCase() : w[0].toUpperCase() + w.slice(1).toLowerCase())).join("");
+  return /^[a-z]/.test(key) ? key.slice(0, 32) : `c${key}`.slice(0, 32);
+}
+
+/**
+ * Problems with criterion `c` among the workspace's `criteria` (which may include it): a list of
+ * messages, empty when it is usable. Labels double as CSV column names, so they must be unique too.
+ */
+export function criterionProblems(c, criteria) {
+  const problems = [];
+  const others = criteria.filter(o => o !== c);
+  if (typeof c.key !== "string" || !/^[a-z][A-Za-z0-9]{0,31}$/.test(c.key)) problems.push("key must be a camelCase identifier (letters and digits, starting lower-case)");
+  else if (RESERVED_CRITERION_KEYS.has(c.key)) problems.push(`key "${c.key}" is taken by a built-in field`);
+  else if (others.some(o => o.key === c.key)) problems.push(`key "${c.key}" is used twice`);
+  const taken = [...CSV_HEADERS, ...Object.values(FACTOR_LABELS), ...others.map(o => o.label)].map(l => l.toLowerCase());
+  if (typeof c.label !== "string" || c.label.trim() === "") problems.push("label is empty");
+  else if (taken.includes(c.label.trim().toLowerCase())) problems.push(`label "${c.label}" is already a column name`);
+  const scale = CRITERION_SCALES[c.scale];
+  if (!scale) problems.push(`scale must be one of ${Object.keys(CRITERION_SCALES).join(", ")}`);
+  if (c.scale === "numeric" && !(typeof c.max === "number" && c.max > 0)) problems.push("max must be a positive number");
+  if (!CRITERION_DIRECTIONS[c.direction]) problems.push("direction must be benefit or cost");
+  if (typeof c.default !== "number" || !Number.isFinite(c.default)) problems.push("default must be a number");
+  else if (scale) {
+    const [min, max] = scale.range(c);
+    if (c.default < min || c.default > max) problems.push(`default must be ${formatRange([min, max])}`);
+  }
+  return problems;
+}
+
+/**
+ * Criterion edits as the workspace parts they replace, so each applies (and undoes) as one step.
+ * Adding gives every epic the default value and the criterion a weight (negative for costs).
+ */
+export function addCriterionEdit(parts, { weight, ...c }) {
+  return {
+    criteria: [...parts.criteria, c],
+    pds: parts.pds.map(pd => ({ ...pd, epics: pd.epics.map(e => ({ ...e, [c.key]: e[c.key] ?? c.default })) })),
+    weights: { ...parts.weights, [c.key]: (c.direction === "cost" ? -1 : 1) * Math.abs(weight) },
+  };
+}
+
+// A new scale clamps the epics' values and the default into its range; a new direction flips the weight.
+// Throws when the changed criterion is not usable (see criterionProblems).
+export function changeCriterionEdit(parts, key, patch) {
+  const before = parts.criteria.find(c => c.key === key);
+  const draft = { ...before, ...patch };
+  const [min, max] = CRITERION_SCALES[draft.scale].range(draft);
+  const next = { ...draft, default: clamp(draft.default, min, max) };
+  const criteria = parts.criteria.map(c => (c.key === key ? next : c));
+  const problems = criterionProblems(next, criteria);
+  if (problems.length > 0) throw new Error(problems.join("; "));
+  const edit = { criteria };
+  if (next.scale !== before.scale) {
+    edit.pds = parts.pds.map(pd => ({ ...pd, epics: pd.epics.map(e => (key in e ? { ...e, [key]: clamp(Number(e[key]) || 0, min, max) } : e)) }));
+  }
+  if (next.direction !== before.direction) edit.weights = { ...parts.weights, [key]: -(parts.weights[key] ?? 0) };
+  return edit;
+}
+
+// Removing deletes the criterion's epic values, weight and what-if multipliers, scenarios' included.
+export function removeCriterionEdit(parts, key) {
+  const { [key]: _weight, ...weights } = parts.weights;
+  const { [key]: _multiplier, ...whatIf } = parts.whatIf;
+  return {
+    criteria: parts.criteria.filter(c => c.key !== key),
+    pds: parts.pds.map(pd => ({ ...pd, epics: pd.epics.map(({ [key]: _, ...e }) => e) })),
+    weights,
+    whatIf,
+    scenarios: parts.scenarios.map(({ whatIf: { [key]: _, ...rest }, ...sc }) => ({ ...sc, whatIf: rest })),
+  };
+}
+
+/**
+ * Annotate epics with `criteriaFactors`: the workspace's user-defined criteria as weighted-model
+ * factors (input and 0..1 normalized value). Epics without a value count as the criterion's default.
+ */
+export function withCriteria(pds, criteria) {
+  if (!criteria?.length) return pds;
+  return pds.map(pd => ({
+    ...pd,
+    epics: pd.epics.map(e => ({
+      ...e,
+      criteriaFactors: criteria.map(c => {
+        const input = criterionValue(e, c);
+        return { key: c.key, label: c.label, input, norm: clamp(CRITERION_SCALES[c.scale].norm(input, c), 0, 1) };
+      }),
+    })),
+  }));
+}
+
+// Epic inputs that several stakeholders can rate; the columns of the ratings editor, in table order.
+export const RATED_FIELDS = ["strategic", "okr", "timeCriticality", "customerImpact"];
+
+const median = (sorted) => {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// How the raters' values for one field become the epic's value. `aggregate` gets them sorted ascending.
+export const RATING_METHODS = {
+  mean: { label: "Mean", aggregate: values => values.reduce((s, v) => s + v, 0) / values.length },
+  median: { label: "Median", aggregate: median },
+  trimmed: {
+    label: "Trimmed mean",
+    description: "the mean without the highest and the lowest rating (from 3 raters on)",
+    aggregate: values => RATING_METHODS.mean.aggregate(values.length >= 3 ? values.slice(1, -1) : values),
+  },
+};
+
+/**
+ * One field's ratings across the raters of an epic: { value (aggregated, 2 decimals), spread (highest
+ * minus lowest), count }, or null when nobody rated it.
+ */
+export function ratingStats(ratings, field, method = DEFAULT_RATING.method) {
+  const values = Object.values(ratings ?? {}).map(r => r?.[field]).filter(Number.isFinite).sort((a, b) => a - b);
+  if (values.length === 0) return null;
+  const aggregate = (RATING_METHODS[method] ?? RATING_METHODS.mean).aggregate;
+  return { value: Math.round(aggregate(values) * 100) / 100, spread: values[values.length - 1] - values[0], count: values.length };
+}
+
+/**
+ * Replace the rated inputs of epics with ratings by the raters' aggregate, before anything scores them.
+ * Such epics get `ratingStats` ({ [field]: ratingStats plus `typed`, the value entered in the table }) and
+ * `disagreement`, the fields whose spread reaches the workspace threshold.
+ */
+export function withRatings(pds, rating = DEFAULT_RATING) {
+  return pds.map(pd => ({
+    ...pd,
+    epics: pd.epics.map(e => {
+      if (!e.ratings || Object.keys(e.ratings).length === 0) return e;
+      const stats = Object.fromEntries(RATED_FIELDS
+        .map(f => [f, ratingStats(e.ratings, f, rating.method)])
+        .filter(([, st]) => st)
+        .map(([f, st]) => [f, { ...st, typed: e[f] }]));
+      return {
+        ...e,
+        ...Object.fromEntries(Object.entries(stats).map(([f, st]) => [f, st.value])),
+        ratingStats: stats,
+        disagreement: Object.keys(stats).filter(f => stats[f].spread >= rating.disagreement),
+      };
+    }),
+  }));
+}
+
+// Estimates that delivered epics' actuals are compared with, each with the field holding the actual.
+export const CALIBRATED_FIELDS = [
+  { key: "effort", actual: "actualEffort", label: "Effort (SP)" },
+  { key: "revenueEUR", actual: "actualRevenueEUR", label: "Revenue€ / yr" },
+];
+
+/**
+ * Estimates against actuals for each CALIBRATED_FIELDS entry, from the delivered epics that have the actual
+ * recorded: `rows` per epic, `owners` totals per PD owner and `all` over every owner. A total's factor is
+ * actual ÷ estimate (null when nothing was estimated), e.g. 1.25 when work took a quarter longer than planned.
+ */
+export function calibrationReport(pds) {
+  const delivered = pds.flatMap(pd => pd.epics.filter(e => e.status === "delivered").map(epic => ({ pd, epic })));
+  const totals = (rows) => {
+    const estimate = rows.reduce((s, r) => s + r.estimate, 0);
+    const actual = rows.reduce((s, r) => s + r.actual, 0);
+    return { epics: rows.length, estimate, actual, factor: estimate > 0 ? actual / estimate : null };
+  };
+  return CALIBRATED_FIELDS.map(field => {
+    const rows = delivered
+      .filter(({ epic }) => Number.isFinite(epic[field.actual]))
+      .map(({ pd, epic }) => ({ id: epic.id, name: epic.name, pd: pd.name, owner: pd.owner || "", estimate: num(epic[field.key]), actual: epic[field.actual] }));
+    const owners = [...new Set(rows.map(r => r.owner))].sort().map(owner => ({ owner, ...totals(rows.filter(r => r.owner === owner)) }));
+    return { ...field, rows, owners, all: totals(rows) };
+  });
+}
+
+/**
+ * Correct open epics' estimates by the calibration factor of their PD's owner (or of all owners when the
+ * owner has no delivered history) for the fields switched on in `calibration`. Corrected epics keep the
+ * typed values in `estimates` ({ [field]: { value, factor } }).
+ */
+export function withCalibration(pds, calibration = DEFAULT_CALIBRATION) {
+  const fields = calibrationReport(pds).filter(f => calibration[f.key]);
+  if (fields.length === 0) return pds;
+  return pds.map(pd => ({
+    ...pd,
+    epics: pd.epics.map(e => {
+      if (!isOpenEpic(e)) return e;
+      const corrections = fields
+        .map(f => [f.key, f.owners.find(o => o.owner === (pd.owner || ""))?.factor ?? f.all.factor])
+        .filter(([, factor]) => factor !== null);
+      if (corrections.length === 0) return e;
+      const out = { ...e, estimates: {} };
+      for (const [key, factor] of corrections) {
+        out.estimates[key] = { value: e[key], factor };
+        out[key] = key === "effort" ? Math.round(num(e[key]) * factor * 10) / 10 : Math.round(num(e[key]) * factor);
+      }
+      return out;
+    }),
+  }));
+}
+
+// What the dependencies factor counts: upstream epics from the link graph (see withDependencyCounts) plus external ones.
+export function dependencyCount(epic) {
+  return (Number(epic.externalDependencies) || 0) + (epic.depUpstream || 0);
+}
+
+/**
+ * Weighted-model score with its working: per factor the input, normalized value, weight and
+ * signed contribution to the raw sum; then the 0–100 scaling and how much the clamp cut off.
+ * User-defined criteria come from the epic's criteriaFactors (see withCriteria). The score here is
+ * the absolute one; portfolio-relative modes rescale `raw` across all epics (see normalizeRaws).
+ */
+export function explainEpicScore(epic, weights, normalization = DEFAULT_NORMALIZATION) {
+  // Normalize inputs into a 0..1 range where helpful
+  // ROI: the metric chosen in the finance settings (withFinancials), else ROI× with a smooth cap
+  const roiVal = epic.roiFactor ? epic.roiFactor.value : computeROI(epic);
+  const roiNorm = epic.roiFactor ? epic.roiFactor.norm : Math.tanh(roiVal / normalization.roiScale);
+
+  // effort: 0..effort cap (40 by default) -> 0..1, higher is worse
+  const effortNorm = Math.min(Number(epic.effort) / normalization.effortCap, 1);
+
+  // risk 1..5 -> 0..1
+  const riskNorm = clamp((Number(epic.risk) - 1) / 4, 0, 1);
+
+  // 1..5 -> 0..1
+  const stratNorm = clamp((Number(epic.strategic) - 1) / 4, 0, 1);
+  const okrNorm = clamp((Number(epic.okr) - 1) / 4, 0, 1);
+  const tcNorm = clamp((Number(epic.timeCriticality) - 1) / 4, 0, 1);
+  const ciNorm = clamp((Number(epic.customerImpact) - 1) / 4, 0, 1);
+
+  const confNorm = clamp(Number(epic.confidence), 0, 1);
+
+  const depCount = dependencyCount(epic);
+  const depNorm = clamp(depCount / normalization.dependencyCap, 0, 1);
+  const unblockNorm = clamp((epic.depDownstream || 0) / normalization.dependencyCap, 0, 1);
+
+  const factors = [
+    ["roi", roiVal, roiNorm],
+    ["effort", epic.effort, effortNorm],
+    ["risk", epic.risk, riskNorm],
+    ["strategic", epic.strategic, stratNorm],
+    ["okr", epic.okr, okrNorm],
+    ["timeCriticality", epic.timeCriticality, tcNorm],
+    ["customerImpact", epic.customerImpact, ciNorm],
+    ["confidence", epic.confidence, confNorm],
+    ["dependencies", depCount, depNorm],
+    ["unblocks", epic.depDownstream || 0, unblockNorm],
+  ].map(([key, input, norm]) => ({ key, label: FACTOR_LABELS[key], input, norm }))
+    .concat(epic.criteriaFactors ?? [])
+    .map(f => {
+      const weight = weights[f.key] ?? 0;
+      return { ...f, weight, contribution: weight * f.norm };
+    });
+
+  const raw = factors.reduce((sum, f) => sum + f.contribution, 0);
+
+  // Scale to 0..100
+  const unclamped = (raw + 1) * 50;
+  const scaled = clamp(unclamped, 0, 100);
+  return { factors, raw, unclamped, clampCut: Number.isFinite(unclamped) ? unclamped - scaled : 0, score: Math.round(scaled) };
+}
+
+export function computeEpicScore(epic, weights, normalization) {
+  return explainEpicScore(epic, weights, normalization).score;
+}
+
+// Ways to turn the weighted model's raw sums into 0–100 scores; all but "absolute" depend on the whole portfolio.
+export const NORMALIZATION_MODES = {
+  absolute: { label: "Absolute", description: "(raw + 1) × 50, clamped to 0–100; an epic's score ignores the rest of the backlog" },
+  minmax: { label: "Min–max", description: "lowest raw sum in the portfolio scores 0, highest 100" },
+  percentile: { label: "Percentile rank", description: "share of the other epics with a lower raw sum (ties count half)" },
+  zscore: { label: "Z‑score", description: "50 ± 50/3 per standard deviation from the portfolio mean, so ±3σ spans 0–100" },
+};
+
+export function normalizeRaws(raws, mode) {
+  const n = raws.length;
+  switch (mode) {
+    case "minmax": {
+      const lo = Math.min(...raws);
+      const hi = Math.max(...raws);
+      return raws.map(r => (hi > lo ? Math.round(((r - lo) / (hi - lo)) * 100) : 50));
+    }
+    case "percentile":
+      return raws.map(r => {
+        if (n < 2) return 50;
+        const below = raws.filter(o => o < r).length;
+        const ties = raws.filter(o => o === r).length - 1;
+        return Math.round(((below + ties / 2) / (n - 1)) * 100);
+      });
+    case "zscore": {
+      const mean = raws.reduce((a, b) => a + b, 0) / n;
+      const sd = Math.sqrt(raws.reduce((a, r) => a + (r - mean) ** 2, 0) / n);
+      return raws.map(r => (sd > 0 ? Math.round(clamp(50 + ((r - mean) / sd) * (50 / 3), 0, 100)) : 50));
+    }
+    default:
+      return raws.map(r => Math.round(clamp((r + 1) * 50, 0, 100)));
+  }
+}
+
+export function aggregateScores(scores, agg = "max") {
+  if (!scores || scores.length === 0) return 0;
+  if (agg === "average") return Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+  if (agg === "sum") return Math.round(Math.min(scores.reduce((a, b) => a + b, 0), 100));
+  return Math.max(...scores); // default max
+}
+
+// Share of the portfolio's best raw value, 0..100. For models whose raw scale is open-ended.
+function relativeToMax(raws) {
+  const max = Math.max(0, ...raws.filter(Number.isFinite));
+  return raws.map(r => (max > 0 && Number.isFinite(r) ? Math.round(clamp(r / max, 0, 1) * 100) : 0));
+}
+
+const num = (v, fallback = 0) => (Number.isFinite(Number(v)) ? Number(v) : fallback);
+
+/**
+ * Scoring models. Each declares the epic fields it reads (for the table and CSV), a raw formula,
+ * and how a whole portfolio of raw values maps to 0–100. Only the weighted model uses weights/what-if
+ * and the normalization settings.
+ */
+export const SCORING_MODELS = {
+  weighted: {
+    label: "Weighted (ROI‑first)",
+    short: "Wtd",
+    formula: "Σ weight × normalized factor, scaled to 0–100",
+    fields: ["roi", "effort", "risk", "strategic", "okr", "timeCriticality", "customerImpact", "confidence", "dependencies"],
+    raw: (e, weights, normalization) => explainEpicScore(e, weights, normalization).raw,
+    normalize: (raws, normalization) => normalizeRaws(raws, normalization.mode),
+  },
+  rice: {
+    label: "RICE",
+    short: "RICE",
+    formula: "Reach × Impact × Confidence ÷ Effort, relative to the best epic",
+    fields: ["reach", "impact", "confidence", "effort"],
+    raw: e => (num(e.reach) * num(e.impact, 1) * clamp(num(e.confidence), 0, 1)) / Math.max(num(e.effort), 1),
+    explain: e => [["Reach", num(e.reach)], ["× Impact", num(e.impact, 1)], ["× Confidence", clamp(num(e.confidence), 0, 1)], ["÷ Effort", Math.max(num(e.effort), 1)]],
+    normalize: relativeToMax,
+  },
+  wsjf: {
+    label: "WSJF (SAFe)",
+    short: "WSJF",
+    formula: "Cost of Delay (Business value + Time criticality + Risk reduction) ÷ Job size, relative to the best epic",
+    fields: ["customerImpact", "timeCriticality", "riskReduction", "effort"],
+    raw: e => (num(e.customerImpact, 1) + num(e.timeCriticality, 1) + num(e.riskReduction, 1)) / Math.max(num(e.effort), 1),
+    explain: e => [["Business value", num(e.customerImpact, 1)], ["+ Time criticality", num(e.timeCriticality, 1)], ["+ Risk reduction", num(e.riskReduction, 1)], ["÷ Job size", Math.max(num(e.effort), 1)]],
+    normalize: relativeToMax,
+  },
+  ice: {
+    label: "ICE",
+    short: "ICE",
+    formula: "Impact × Confidence × Ease on 1–10 scales; 1000 = 100",
+    fields: ["customerImpact", "confidence", "ease"],
+    raw: e => (num(e.customerImpact, 1) * 2) * (clamp(num(e.confidence), 0, 1) * 10) * clamp(num(e.ease, 1), 1, 10),
+    explain: e => [["Impact (1–10)", num(e.customerImpact, 1) * 2], ["× Confidence (1–10)", clamp(num(e.confidence), 0, 1) * 10], ["× Ease", clamp(num(e.ease, 1), 1, 10)]],
+    normalize: raws => raws.map(r => Math.round(clamp(r / 10, 0, 100))),
+  },
+};
+
+export const MODEL_KEYS = Object.keys(SCORING_MODELS);
+
+// Epic inputs only some models read; the table shows them when a model in use needs them.
+export const MODEL_INPUT_FIELDS = [
+  { key: "reach", label: "Reach", props: [0, 1000000000, 100, "per qtr"], parse: v => parseFloat(v || "0") },
+  { key: "impact", label: "Impact", options: [[0.25, "0.25 minimal"], [0.5, "0.5 low"], [1, "1 medium"], [2, "2 high"], [3, "3 massive"]] },
+  { key: "ease", label: "Ease", props: [1, 10, 1, "1-10"], parse: v => parseInt(v || "1", 10) },
+  { key: "riskReduction", label: "RR|OE", props: [1, 5, 1, "1-5"], parse: v => parseInt(v || "1", 10) },
+];
+
+/**
+ * Score every epic under every model, then pick each PD's model (its own or the workspace default)
+ * for `score` and the PD aggregate over its open epics. Epics get `modelScores`, `score` and `roiComputed`;
+ * PDs get `pdScore`. Open and closed epics are normalized separately, so delivered work never rescales
+ * the scores of what is still to do.
+ */
+export function scorePortfolio(pds, weights, defaultModel = "weighted", normalization = DEFAULT_NORMALIZATION) {
+  const epics = pds.flatMap(pd => pd.epics);
+  const groups = [epics.filter(isOpenEpic), epics.filter(e => !isOpenEpic(e))];
+  const byModel = Object.fromEntries(MODEL_KEYS.map(key => {
+    const model = SCORING_MODELS[key];
+    return [key, new Map(groups.flatMap(group => {
+      const scores = model.normalize(group.map(e => model.raw(e, weights, normalization)), normalization);
+      return group.map((e, i) => [e.id, scores[i]]);
+    }))];
+  }));
+  return pds.map(pd => {
+    const model = SCORING_MODELS[pd.model] ? pd.model : defaultModel;
+    const scored = pd.epics.map(e => {
+      const modelScores = Object.fromEntries(MODEL_KEYS.map(key => [key, byModel[key].get(e.id)]));
+      return { ...e, modelScores, score: modelScores[model], roiComputed: computeROI(e) };
+    });
+    return { ...pd, scoringModel: model, epics: scored, pdScore: aggregateScores(scored.filter(isOpenEpic).map(e => e.score), pd.agg || "max") };
+  });
+}
+
+export function epicLookup(pds) {
+  const byId = new Map();
+  pds.forEach(pd => pd.epics.forEach(e => byId.set(e.id, { epic: e, pd })));
+  return byId;
+}
+
+// Adjacency of the dependency graph: id -> ids it depends on. Dangling and self links are dropped.
+function dependencyEdges(pds) {
+  const byId = epicLookup(pds);
+  const edges = new Map();
+  byId.forEach(({ epic }, id) => {
+    edges.set(id, [...new Set(epic.dependsOn || [])].filter(d => d !== id && byId.has(d)));
+  });
+  return edges;
+}
+
+function reachableCount(start, edges) {
+  const seen = new Set();
+  const stack = [...(edges.get(start) || [])];
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === start || seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(edges.get(id) || []));
+  }
+  return seen.size;
+}
+
+/**
+ * Annotate every epic with depUpstream (epics it transitively waits on) and depDownstream
+ * (epics it transitively unblocks). computeEpicScore reads both.
+ */
+export function withDependencyCounts(pds) {
+  const up = dependencyEdges(pds);
+  const down = new Map([...up.keys()].map(id => [id, []]));
+  up.forEach((deps, id) => deps.forEach(d => down.get(d).push(id)));
+  return pds.map(pd => ({
+    ...pd,
+    epics: pd.epics.map(e => ({ ...e, depUpstream: reachableCount(e.id, up), depDownstream: reachableCount(e.id, down) })),
+  }));
+}
+
+// Strongly connected components with more than one epic (Tarjan). Each cycle is a list of epic ids.
+export function findDependencyCycles(pds) {
+  const edges = dependencyEdges(pds);
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
+  const visit = (v) => {
+    index.set(v, counter); low.set(v, counter); counter++;
+    stack.push(v); onStack.add(v);
+    for (const w of edges.get(v)) {
+      if (!index.has(w)) { visit(w); low.set(v, Math.min(low.get(v), low.get(w))); }
+      else if (onStack.has(w)) low.set(v, Math.min(low.get(v), index.get(w)));
+    }
+    if (low.get(v) === index.get(v)) {
+      const scc = [];
+      let w;
+      do { w = stack.pop(); onStack.delete(w); scc.push(w); } while (w !== v);
+      if (scc.length > 1) cycles.push(scc.reverse());
+    }
+  };
+  edges.forEach((_, id) => { if (!index.has(id)) visit(id); });
+  return cycles;
+}
+
+/**
+ * Dependency-respecting order of all epics: whenever several epics are unblocked, the highest score goes first.
+ * Epics on (or behind) a cycle cannot be ordered and are returned separately.
+ */
+export function dependencyOrder(computedPds) {
+  const edges = dependencyEdges(computedPds);
+  const byId = epicLookup(computedPds);
+  const remaining = new Map([...edges].map(([id, deps]) => [id, deps.length]));
+  const dependents = new Map([...edges.keys()].map(id => [id, []]));
+  edges.forEach((deps, id) => deps.forEach(d => dependents.get(d).push(id)));
+
+  const ready = [...remaining].filter(([, n]) => n === 0).map(([id]) => id);
+  const order = [];
+  while (ready.length) {
+    ready.sort((a, b) => byId.get(b).epic.score - byId.get(a).epic.score);
+    const id = ready.shift();
+    order.push(id);
+    for (const d of dependents.get(id)) {
+      remaining.set(d, remaining.get(d) - 1);
+      if (remaining.get(d) === 0) ready.push(d);
+    }
+  }
+  const row = (id) => {
+    const { epic, pd } = byId.get(id);
+    return { id, name: epic.name, pd: pd.name, score: epic.score, dependsOn: edges.get(id).map(d => byId.get(d).epic.name) };
+  };
+  const ordered = new Set(order);
+  return { order: order.map(row), blocked: [...edges.keys()].filter(id => !ordered.has(id)).map(row) };
+}
+
+// CSV columns written by exportCSV. Import reads the same header set back; "Score (…)" columns are computed.
+export const CSV_HEADERS = [
+  "PD Name","Owner","PD Aggregation","PD Scoring Model","Epic Name","External Key","ROI× (eff)","Revenue€","Opex€","Capex€","AutoROI","Effort","Risk","Strategic","OKR","TimeCriticality","CustomerImpact","Confidence","External Dependencies","Depends On","Reach","Impact","Ease","RiskReduction","Ramp-up",
+  "Status","Actual Effort","Actual Revenue€",
+  "NPV€","IRR","Payback (yrs)","Discounted ROI×",
+  ...MODEL_KEYS.map(key => `Score (${SCORING_MODELS[key].short})`),
+  "Epic Score","PD Score","Backlog Position","Override Reason",
+];
+
+// CSV_HEADERS with a column per user-defined criterion (named by its label) ahead of the computed ones.
+export function csvHeaders(criteria) {
+  const at = CSV_HEADERS.indexOf("NPV€");
+  return [...CSV_HEADERS.slice(0, at), ...criteria.map(c => c.label), ...CSV_HEADERS.slice(at)];
+}
+
+// Optional export columns with the weighted model's working (see explainEpicScore); ignored on import.
+export function csvBreakdownHeaders(criteria) {
+  return [
+    ...Object.values(criterionLabels(criteria)).map(label => `Contribution: ${label}`),
+    "Raw Sum", "Clamp Cut",
+  ];
+}
+
+export function breakdownCells(explained) {
+  return [...explained.factors.map(f => f.contribution), explained.raw, explained.clampCut];
+}
+
+// Older exports called the external dependency count just "Dependencies".
+const CSV_COLUMN_ALIASES = { "Dependencies": "External Dependencies" };
+
+// "Depends On" lists epic names joined with this separator; import resolves them back to ids.
+export const CSV_LIST_SEPARATOR = "; ";
+
+// Epic fields that round-trip through CSV. The scores and the backlog position are computed and ignored on import;
+// "ROI× (eff)" is only read back as the manual ROI when Auto-ROI is off.
+export const CSV_EPIC_FIELDS = [
+  ["Revenue€", "revenueEUR"],
+  ["Opex€", "opexEUR"],
+  ["Capex€", "capexEUR"],
+  ["Effort", "effort"],
+  ["Risk", "risk"],
+  ["Strategic", "strategic"],
+  ["OKR", "okr"],
+  ["TimeCriticality", "timeCriticality"],
+  ["CustomerImpact", "customerImpact"],
+  ["Confidence", "confidence"],
+  ["External Dependencies", "externalDependencies"],
+  ["Reach", "reach"],
+  ["Impact", "impact"],
+  ["Ease", "ease"],
+  ["RiskReduction", "riskReduction"],
+  ["Actual Effort", "actualEffort"],
+  ["Actual Revenue€", "actualRevenueEUR"],
+];
+
+const AGG_MODES = ["max", "average", "sum"];
+
+export function toCSV(rows) {
+  return rows.map(r => r.map(v => `"${String(v).replaceAll('"', '""')}"`).join(",")).join("\n");
+}
+
+// RFC 4180-style parser: quoted fields, "" escapes, commas/newlines inside quotes, CRLF or LF.
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length > 0) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+function parseBool(v) {
+  const s = String(v).trim().toLowerCase();
+  if (["true", "1", "yes", "y"].includes(s)) return true;
+  if (["false", "0", "no", "n", ""].includes(s)) return false;
+  throw new Error(`Not a boolean: "${v}"`);
+}
+
+/**
+ * Parse an exportCSV file back into PDs. Rows are regrouped into PDs by name+owner;
+ * a row with an empty "Epic Name" stands for a PD without epics.
+ * Epics carry only the fields present in the file (no ids) so they can be merged.
+ * Columns named after one of the workspace's `criteria` fill that criterion.
+ */
+export function pdsFromCSV(text, criteria = []) {
+  const [header, ...body] = parseCSV(text);
+  if (!header) throw new Error("File is empty");
+  const col = Object.fromEntries(header.map((h, i) => [CSV_COLUMN_ALIASES[h.trim()] ?? h.trim(), i]));
+  for (const required of ["PD Name", "Epic Name"]) {
+    if (!(required in col)) throw new Error(`Missing column "${required}"`);
+  }
+  const cell = (r, name) => (name in col ? (r[col[name]] ?? "").trim() : "");
+
+  const groups = new Map();
+  body.forEach((r, idx) => {
+    const line = idx + 2;
+    const name = cell(r, "PD Name");
+    if (!name) throw new Error(`Line ${line}: "PD Name" is empty`);
+    const owner = cell(r, "Owner");
+    const key = `${name}\u0000${owner}`;
+    if (!groups.has(key)) {
+      const agg = cell(r, "PD Aggregation") || "max";
+      if (!AGG_MODES.includes(agg)) throw new Error(`Line ${line}: unknown PD Aggregation "${agg}"`);
+      const model = cell(r, "PD Scoring Model") || null;
+      if (model && !SCORING_MODELS[model]) throw new Error(`Line ${line}: unknown PD Scoring Model "${model}"`);
+      groups.set(key, { name, owner, agg, ...("PD Scoring Model" in col ? { model } : {}), epics: [] });
+    }
+    const epicName = cell(r, "Epic Name");
+    if (!epicName) return;
+
+    const epic = { name: epicName };
+    for (const [column, field] of CSV_EPIC_FIELDS) {
+      const raw = cell(r, column);
+      if (raw === "") continue;
+      const n = Number(raw);
+      if (!Number.isFinite(n)) throw new Error(`Line ${line}: "${column}" is not a number ("${raw}")`);
+      epic[field] = n;
+    }
+    for (const c of criteria) {
+      const raw = cell(r, c.label);
+      if (raw === "") continue;
+      if (!Number.isFinite(Number(raw))) throw new Error(`Line ${line}: "${c.label}" is not a number ("${raw}")`);
+      epic[c.key] = Number(raw);
+    }
+    if (cell(r, "AutoROI") !== "") {
+      try { epic.autoROI = parseBool(cell(r, "AutoROI")); }
+      catch (e) { throw new Error(`Line ${line}: ${e.message}`); }
+    }
+    // With Auto-ROI off the effective ROI× is the manual ROI, so it can be restored.
+    const roiEff = Number(cell(r, "ROI× (eff)"));
+    if (epic.autoROI === false && cell(r, "ROI× (eff)") !== "" && Number.isFinite(roiEff)) epic.roi = roiEff;
+    if (cell(r, "Ramp-up") !== "") {
+      const ramp = cell(r, "Ramp-up").split(CSV_LIST_SEPARATOR.trim()).map(v => Number(v.trim()));
+      if (ramp.some(v => !Number.isFinite(v))) throw new Error(`Line ${line}: "Ramp-up" must be numbers separated by "${CSV_LIST_SEPARATOR.trim()}"`);
+      epic.cashFlow = { ramp };
+    }
+    if (cell(r, "Status") !== "") {
+      const raw = cell(r, "Status").toLowerCase();
+      const status = Object.keys(EPIC_STATUSES).find(k => k.toLowerCase() === raw || EPIC_STATUSES[k].label.toLowerCase() === raw);
+      if (!status) throw new Error(`Line ${line}: unknown Status "${cell(r, "Status")}"`);
+      epic.status = status;
+    }
+    if ("External Key" in col) epic.externalKey = cell(r, "External Key");
+    if ("Depends On" in col) {
+      epic.dependsOnNames = cell(r, "Depends On").split(CSV_LIST_SEPARATOR.trim()).map(n => n.trim()).filter(Boolean);
+    }
+
+    groups.get(key).epics.push(epic);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Workspace file schema. Bump SCHEMA_VERSION and add a MIGRATIONS entry whenever the stored shape changes.
+ * v1: bare PD array, epics without financial fields
+ * v2: bare PD array with Revenue/Opex/Capex/Auto-ROI
+ * v3: bare PD array with the OKR field (what "Import JSON" used to accept)
+ * v4: workspace object { schemaVersion, pds, weights, whatIf, metadata }
+ * v5: + named what-if scenarios
+ * v6: epic dependency links (dependsOn); the old 0–5 "dependencies" count becomes externalDependencies
+ * v7: scoring models — workspace scoringModel, optional PD model, epic reach/impact/ease/riskReduction
+ * v8: epic estimate ranges for uncertainty analysis
+ * v9: multi-year cash flows — epic cashFlow.ramp, workspace finance settings
+ * v10: + prioritization baselines (frozen inputs and ranking)
+ * v11: epic externalKey (issue key in Jira / Azure DevOps) for tracker re-imports
+ * v12: user-defined scoring criteria (workspace criteria; values on epics, weights/what-if by key)
+ * v13: normalization settings (score mode and factor reference ranges)
+ * v14: manual rank overrides of the cross-PD backlog ({ [epicId]: { position, reason, at } })
+ * v15: multi-rater ratings on epics and the workspace rating settings (aggregation method, disagreement)
+ * v16: epic lifecycle status and actuals (effort, revenue), workspace calibration settings
+ */
+export const SCHEMA_VERSION = 16;
+
+function mapFileEpics(pds, fn) {
+  if (!Array.isArray(pds)) return pds;
+  return pds.map(pd => (pd && Array.isArray(pd.epics)
+    ? { ...pd, epics: pd.epics.map(e => (e && typeof e === "object" ? fn(e) : e)) }
+    : pd));
+}
+
+// MIGRATIONS[n] upgrades a workspace from version n to n+1. Only missing fields are filled.
+const MIGRATIONS = {
+  // Pre-financials: ROI was always typed in, so keep it manual.
+  1: ws => ({
+    ...ws,
+    pds: mapFileEpics(ws.pds, e => ({ revenueEUR: 0, opexEUR: 0, capexEUR: 0, autoROI: false, ...e })),
+  }),
+  // Pre-OKR: OKR alignment used to be part of strategic alignment.
+  2: ws => ({
+    ...ws,
+    pds: mapFileEpics(ws.pds, e => ({ okr: e.strategic ?? DEFAULT_EPIC.okr, ...e })),
+  }),
+  // Bare arrays carried no weights or what-if multipliers.
+  3: ws => ({
+    ...ws,
+    weights: { ...DEFAULT_WEIGHTS, ...ws.weights },
+    whatIf: { ...DEFAULT_WHATIF, ...ws.whatIf },
+    metadata: { ...ws.metadata },
+  }),
+  4: ws => ({ ...ws, scenarios: ws.scenarios ?? [] }),
+  // Dependencies were a bare count; they are now links plus a count of dependencies outside the backlog.
+  // Also brings in the "unblocks" weight and multiplier.
+  5: ws => ({
+    ...ws,
+    pds: mapFileEpics(ws.pds, ({ dependencies, ...e }) => ({ externalDependencies: dependencies ?? 0, dependsOn: [], ...e })),
+    weights: { ...DEFAULT_WEIGHTS, ...ws.weights },
+    whatIf: { ...DEFAULT_WHATIF, ...ws.whatIf },
+    scenarios: Array.isArray(ws.scenarios)
+      ? ws.scenarios.map(sc => (sc && typeof sc === "object" ? { ...sc, whatIf: { ...DEFAULT_WHATIF, ...sc.whatIf } } : sc))
+      : ws.scenarios,
+  }),
+  6: ws => ({
+    ...ws,
+    scoringModel: ws.scoringModel ?? "weighted",
+    pds: mapFileEpics(ws.pds, e => ({ reach: 0, impact: 1, ease: 5, riskReduction: 1, ...e })),
+  }),
+  7: ws => ({ ...ws, pds: mapFileEpics(ws.pds, e => ({ ranges: {}, ...e })) }),
+  // Single-year view: everything lands in year 1, as the simple ROI× assumed.
+  8: ws => ({
+    ...ws,
+    finance: { ...DEFAULT_FINANCE, ...ws.finance },
+    pds: mapFileEpics(ws.pds, e => ({ cashFlow: { ramp: [1] }, ...e })),
+  }),
+  9: ws => ({ ...ws, baselines: ws.baselines ?? [] }),
+  10: ws => ({ ...ws, pds: mapFileEpics(ws.pds, e => ({ externalKey: "", ...e })) }),
+  11: ws => ({ ...ws, criteria: ws.criteria ?? [] }),
+  // Absolute mode with the ranges that used to be built in.
+  12: ws => ({ ...ws, normalization: { ...DEFAULT_NORMALIZATION, ...ws.normalization } }),
+  13: ws => ({ ...ws, rankOverrides: ws.rankOverrides ?? {} }),
+  14: ws => ({
+    ...ws,
+    rating: { ...DEFAULT_RATING, ...ws.rating },
+    pds: mapFileEpics(ws.pds, e => ({ ratings: {}, ...e })),
+  }),
+  15: ws => ({
+    ...ws,
+    calibration: { ...DEFAULT_CALIBRATION, ...ws.calibration },
+    pds: mapFileEpics(ws.pds, e => ({ status: "idea", actualEffort: null, actualRevenueEUR: null, ...e })),
+  }),
+};
+
+export function detectSchemaVersion(obj) {
+  if (Array.isArray(obj)) {
+    const epics = obj.flatMap(pd => (Array.isArray(pd?.epics) ? pd.epics : []));
+    if (epics.some(e => e && "okr" in e)) return 3;
+    if (epics.some(e => e && "revenueEUR" in e)) return 2;
+    return 1;
+  }
+  if (obj && typeof obj === "object" && "schemaVersion" in obj) {
+    const version = obj.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) {
+      throw problemsError([{ path: "schemaVersion", message: `must be an integer ${formatRange([1, SCHEMA_VERSION])} (got ${JSON.stringify(version)})` }]);
+    }
+    return version;
+  }
+  throw new Error("Unrecognized file: expected a workspace export or a PD array");
+}
+
+export function migrateWorkspace(obj) {
+  let version = detectSchemaVersion(obj);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`File schema v${version} is newer than this app (v${SCHEMA_VERSION})`);
+  }
+  let ws = Array.isArray(obj) ? { pds: obj } : { ...obj };
+  while (version < SCHEMA_VERSION) {
+    ws = MIGRATIONS[version](ws);
+    version++;
+  }
+  return { ...ws, schemaVersion: SCHEMA_VERSION };
+}
+
+// Allowed ranges for numeric epic fields; mirrors the inputs in the epic table.
+export const EPIC_FIELD_RANGES = {
+  revenueEUR: [0, Infinity],
+  opexEUR: [0, Infinity],
+  capexEUR: [0, Infinity],
+  roi: [0, Infinity],
+  effort: [0, Infinity],
+  risk: [1, 5],
+  strategic: [1, 5],
+  okr: [1, 5],
+  timeCriticality: [1, 5],
+  customerImpact: [1, 5],
+  confidence: [0, 1],
+  externalDependencies: [0, 5],
+  reach: [0, Infinity],
+  impact: [0.25, 3],
+  ease: [1, 10],
+  riskReduction: [1, 5],
+  actualEffort: [0, Infinity],      // null until recorded
+  actualRevenueEUR: [0, Infinity],
+};
+
+function formatRange([min, max]) {
+  return max === Infinity ? `≥ ${min}` : `${min}–${max}`;
+}
+
+/**
+ * Check a (migrated) workspace. Returns a list of { path, message }; empty means valid.
+ */
+export function validateWorkspace(ws) {
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+  const checkNumbers = (obj, path, keys, range) => {
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) return err(path, "must be an object");
+    for (const k of keys) {
+      const v = obj[k];
+      if (typeof v !== "number" || !Number.isFinite(v)) err(`${path}.${k}`, `must be a number (got ${JSON.stringify(v)})`);
+      else if (range && (v < range[0] || v > range[1])) err(`${path}.${k}`, `must be ${formatRange(range)} (got ${v})`);
+    }
+  };
+
+  if (!Array.isArray(ws.criteria)) err("criteria", "must be an array");
+  else ws.criteria.forEach((c, i) => {
+    if (!c || typeof c !== "object") return err(`criteria[${i}]`, "must be an object");
+    criterionProblems(c, ws.criteria).forEach(message => err(`criteria[${i}]`, message));
+  });
+  const criteria = Array.isArray(ws.criteria) ? ws.criteria.filter(c => c && CRITERION_SCALES[c.scale]) : [];
+
+  if (!Array.isArray(ws.pds)) {
+    err("pds", "must be an array");
+  } else {
+    const epicIds = new Set(ws.pds.flatMap(pd => (Array.isArray(pd?.epics) ? pd.epics.map(e => e?.id) : [])));
+    const ids = new Set();
+    const checkId = (obj, path) => {
+      if (typeof obj.id !== "string" || obj.id === "") return err(`${path}.id`, "is missing");
+      if (ids.has(obj.id)) err(`${path}.id`, `duplicates another id ("${obj.id}")`);
+      ids.add(obj.id);
+    };
+    ws.pds.forEach((pd, i) => {
+      const p = `pds[${i}]`;
+      if (!pd || typeof pd !== "object") return err(p, "must be an object");
+      checkId(pd, p);
+      if (typeof pd.name !== "string") err(`${p}.name`, "must be a string");
+      if (pd.owner != null && typeof pd.owner !== "string") err(`${p}.owner`, "must be a string");
+      if (pd.agg != null && !AGG_MODES.includes(pd.agg)) err(`${p}.agg`, `must be one of ${AGG_MODES.join(", ")} (got ${JSON.stringify(pd.agg)})`);
+      if (pd.model != null && !SCORING_MODELS[pd.model]) err(`${p}.model`, `must be one of ${MODEL_KEYS.join(", ")} (got ${JSON.stringify(pd.model)})`);
+      if (!Array.isArray(pd.epics)) return err(`${p}.epics`, "must be an array");
+      pd.epics.forEach((e, j) => {
+        const ep = `${p}.epics[${j}]`;
+        if (!e || typeof e !== "object") return err(ep, "must be an object");
+        checkId(e, ep);
+        if (typeof e.name !== "string") err(`${ep}.name`, "must be a string");
+        if (typeof e.autoROI !== "boolean") err(`${ep}.autoROI`, "must be true or false");
+        if (typeof e.externalKey !== "string") err(`${ep}.externalKey`, "must be a string");
+        if (!EPIC_STATUSES[e.status]) err(`${ep}.status`, `must be one of ${Object.keys(EPIC_STATUSES).join(", ")} (got ${JSON.stringify(e.status)})`);
+        for (const [k, range] of Object.entries(EPIC_FIELD_RANGES)) {
+          if (e[k] === null && CALIBRATED_FIELDS.some(f => f.actual === k)) continue;
+          checkNumbers(e, ep, [k], range);
+        }
+        for (const c of criteria) if (e[c.key] !== undefined) checkNumbers(e, ep, [c.key], CRITERION_SCALES[c.scale].range(c));
+        const ramp = e.cashFlow?.ramp;
+        if (!Array.isArray(ramp) || ramp.length < 1 || ramp.length > MAX_CASHFLOW_YEARS) err(`${ep}.cashFlow.ramp`, `must list 1–${MAX_CASHFLOW_YEARS} yearly revenue shares`);
+        else ramp.forEach((share, k) => {
+          if (typeof share !== "number" || !(share >= 0 && share <= 10)) err(`${ep}.cashFlow.ramp[${k}]`, `must be a share 0–10 (got ${JSON.stringify(share)})`);
+        });
+        if (!e.ranges || typeof e.ranges !== "object" || Array.isArray(e.ranges)) err(`${ep}.ranges`, "must be an object");
+        else Object.entries(e.ranges).forEach(([k, r]) => {
+          if (!UNCERTAIN_FIELDS.some(f => f.key === k)) return err(`${ep}.ranges.${k}`, "is not an estimable field");
+          if (!r || !Number.isFinite(r.min) || !Number.isFinite(r.max)) return err(`${ep}.ranges.${k}`, "needs numeric min and max");
+          if (r.min > r.max) err(`${ep}.ranges.${k}`, `min ${r.min} is above max ${r.max}`);
+        });
+        if (!e.ratings || typeof e.ratings !== "object" || Array.isArray(e.ratings)) err(`${ep}.ratings`, "must be an object");
+        else Object.entries(e.ratings).forEach(([rater, r]) => {
+          if (rater.trim() === "") err(`${ep}.ratings`, "has a rater without a name");
+          if (!r || typeof r !== "object" || Array.isArray(r)) return err(`${ep}.ratings.${rater}`, "must be an object");
+          Object.keys(r).forEach(k => {
+            if (!RATED_FIELDS.includes(k)) err(`${ep}.ratings.${rater}.${k}`, `is not a rated field (${RATED_FIELDS.join(", ")})`);
+            else checkNumbers(r, `${ep}.ratings.${rater}`, [k], [1, 5]);
+          });
+        });
+        if (!Array.isArray(e.dependsOn)) err(`${ep}.dependsOn`, "must be an array of epic ids");
+        else e.dependsOn.forEach((d, k) => {
+          if (d === e.id) err(`${ep}.dependsOn[${k}]`, "is the epic itself");
+          else if (!epicIds.has(d)) err(`${ep}.dependsOn[${k}]`, `refers to an unknown epic (${JSON.stringify(d)})`);
+        });
+      });
+    });
+  }
+  checkNumbers(ws.weights, "weights", criterionKeys(criteria));
+  if (!SCORING_MODELS[ws.scoringModel]) err("scoringModel", `must be one of ${MODEL_KEYS.join(", ")} (got ${JSON.stringify(ws.scoringModel)})`);
+  checkNumbers(ws.finance, "finance", ["discountRate"], [-0.99, 10]);
+  checkNumbers(ws.finance, "finance", ["npvScale", "paybackHorizon"], [0, Infinity]);
+  if (ws.finance && !ROI_METRICS[ws.finance.roiMetric]) err("finance.roiMetric", `must be one of ${Object.keys(ROI_METRICS).join(", ")} (got ${JSON.stringify(ws.finance.roiMetric)})`);
+  if (ws.normalization && !NORMALIZATION_MODES[ws.normalization.mode]) err("normalization.mode", `must be one of ${Object.keys(NORMALIZATION_MODES).join(", ")} (got ${JSON.stringify(ws.normalization.mode)})`);
+  checkNumbers(ws.normalization, "normalization", ["roiScale", "effortCap", "dependencyCap"], [0.01, Infinity]);
+  if (ws.rating && !RATING_METHODS[ws.rating.method]) err("rating.method", `must be one of ${Object.keys(RATING_METHODS).join(", ")} (got ${JSON.stringify(ws.rating.method)})`);
+  checkNumbers(ws.rating, "rating", ["disagreement"], [0, 4]);
+  if (!ws.calibration || typeof ws.calibration !== "object") err("calibration", "must be an object");
+  else CALIBRATED_FIELDS.forEach(({ key }) => {
+    if (typeof ws.calibration[key] !== "boolean") err(`calibration.${key}`, "must be true or false");
+  });
+  checkNumbers(ws.whatIf, "whatIf", criterionKeys(criteria).filter(k => k in DEFAULT_WHATIF || ws.whatIf?.[k] !== undefined), [0, Infinity]);
+  // Overrides of epics that were deleted since are kept (undo can bring the epic back) and ignored by rankedBacklog.
+  if (!ws.rankOverrides || typeof ws.rankOverrides !== "object" || Array.isArray(ws.rankOverrides)) err("rankOverrides", "must be an object");
+  else Object.entries(ws.rankOverrides).forEach(([id, o]) => {
+    const p = `rankOverrides.${id}`;
+    if (!o || typeof o !== "object") return err(p, "must be an object");
+    if (!Number.isInteger(o.position) || o.position < 1) err(`${p}.position`, `must be a whole number ≥ 1 (got ${JSON.stringify(o.position)})`);
+    if (typeof o.reason !== "string" || o.reason.trim() === "") err(`${p}.reason`, "is required");
+    if (Number.isNaN(Date.parse(o.at))) err(`${p}.at`, "must be an ISO date");
+  });
+  if (!Array.isArray(ws.scenarios)) {
+    err("scenarios", "must be an array");
+  } else {
+    ws.scenarios.forEach((sc, i) => {
+      const p = `scenarios[${i}]`;
+      if (!sc || typeof sc !== "object") return err(p, "must be an object");
+      if (typeof sc.id !== "string" || sc.id === "") err(`${p}.id`, "is missing");
+      if (typeof sc.name !== "string") err(`${p}.name`, "must be a string");
+      checkNumbers(sc.whatIf, `${p}.whatIf`, Object.keys(DEFAULT_WHATIF), [0, Infinity]);
+    });
+  }
+  if (!Array.isArray(ws.baselines)) {
+    err("baselines", "must be an array");
+  } else {
+    ws.baselines.forEach((b, i) => {
+      const p = `baselines[${i}]`;
+      if (!b || typeof b !== "object") return err(p, "must be an object");
+      if (typeof b.id !== "string" || b.id === "") err(`${p}.id`, "is missing");
+      if (typeof b.name !== "string") err(`${p}.name`, "must be a string");
+      if (Number.isNaN(Date.parse(b.createdAt))) err(`${p}.createdAt`, "must be an ISO date");
+      if (!Array.isArray(b.inputs?.pds) || !b.inputs.pds.every(pd => Array.isArray(pd?.epics))) err(`${p}.inputs.pds`, "must be an array of PDs with epics");
+      if (!SCORING_MODELS[b.inputs?.scoringModel]) err(`${p}.inputs.scoringModel`, "is not a known scoring model");
+      checkNumbers(b.inputs?.weights, `${p}.inputs.weights`, Object.keys(DEFAULT_WEIGHTS));
+      checkNumbers(b.inputs?.whatIf, `${p}.inputs.whatIf`, Object.keys(DEFAULT_WHATIF), [0, Infinity]);
+      checkNumbers(b.inputs?.finance, `${p}.inputs.finance`, ["discountRate", "npvScale", "paybackHorizon"]);
+      if (!Array.isArray(b.ranks?.epics) || !Array.isArray(b.ranks?.pds)) err(`${p}.ranks`, "must list ranked pds and epics");
+    });
+  }
+  return errors;
+}
+
+/**
+ * Parse, migrate and validate a workspace file. Throws with every validation error listed.
+ */
+export function readWorkspaceFile(text) {
+  let obj;
+  try { obj = JSON.parse(text); }
+  catch (e) { throw new Error(`Not valid JSON (${e.message})`); }
+  const ws = migrateWorkspace(obj);
+  const errors = validateWorkspace(ws);
+  if (errors.length > 0) throw problemsError(errors);
+  return ws;
+}
+
+// An Error listing validateWorkspace-style { path, message } problems, the first 15 of them.
+function problemsError(errors) {
+  const shown = errors.slice(0, 15).map(e => `• ${e.path} ${e.message}`);
+  if (errors.length > shown.length) shown.push(`…and ${errors.length - shown.length} more`);
+  return new Error(`${errors.length} problem(s) found:\n${shown.join("\n")}`);
+}
+
+// Share links carry a workspace in the URL fragment (#share=…), which browsers never send to a server:
+// the workspace file as JSON, deflated and base64url-encoded.
+export const SHARE_PARAM = "share";
+
+// What a share link shows: the scoring state, without scenarios, baselines or anything kept per browser.
+export function shareableWorkspace(parts, name) {
+  const { pds, weights, whatIf, scoringModel, finance, criteria, normalization, rankOverrides, rating, calibration } = parts;
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    metadata: { app: "priority-scoring-app", name, sharedAt: new Date().toISOString() },
+    pds, weights, whatIf, scoringModel, finance, criteria, normalization, rankOverrides, rating, calibration,
+    scenarios: [],
+    baselines: [],
+  };
+}
+
+async function transformBytes(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+export async function encodeShareLink(ws) {
+  const bytes = await transformBytes(new TextEncoder().encode(JSON.stringify(ws)), new CompressionStream("deflate"));
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replaceAll("+", "-").replaceAll("/", "_").replace(/=+$/, "");
+}
+
+// Inverse of encodeShareLink; the workspace is migrated and validated like an imported file.
+export async function decodeShareLink(fragment) {
+  let text;
+  try {
+    const binary = atob(fragment.replaceAll("-", "+").replaceAll("_", "/"));
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    text = new TextDecoder().decode(await transformBytes(bytes, new DecompressionStream("deflate")));
+  } catch {
+    throw new Error("The link is damaged or incomplete — ask for it to be shared again");
+  }
+  return readWorkspaceFile(text);
+}
+
+// Point estimates that can carry a min/max range; the epic's own value is the most likely one.
+export const UNCERTAIN_FIELDS = [
+  { key: "revenueEUR", label: "Revenue€", spread: v => Math.abs(v) * 0.3 },
+  { key: "opexEUR", label: "Opex€", spread: v => Math.abs(v) * 0.3 },
+  { key: "capexEUR", label: "Capex€", spread: v => Math.abs(v) * 0.3 },
+  { key: "effort", label: "Effort", spread: v => Math.max(Math.abs(v) * 0.3, 1) },
+  { key: "risk", label: "Risk", spread: () => 1, bounds: [1, 5] },
+  { key: "strategic", label: "Strategic", spread: () => 1, bounds: [1, 5] },
+  { key: "okr", label: "OKR", spread: () => 1, bounds: [1, 5] },
+  { key: "timeCriticality", label: "Time‑Crit", spread: () => 1, bounds: [1, 5] },
+  { key: "customerImpact", label: "Customer", spread: () => 1, bounds: [1, 5] },
+];
+
+// Standard competition ranking by descending score (ties share a rank: 1, 1, 3).
+export function withRanks(rows) {
+  const sorted = [...rows].sort((a, b) => b.score - a.score);
+  return sorted.map(r => ({ ...r, rank: 1 + sorted.findIndex(o => o.score === r.score) }));
+}
+
+/**
+ * Flat backlog of every open epic across PDs. Epics are ranked by score (ties keep backlog order), then each
+ * manual override is pinned at its position (1 = top) and the other epics fill the remaining places in
+ * score order. Rows carry the computed rank, the position, the override if any and shift, how many
+ * places the position is above the computed rank (negative = below).
+ */
+export function rankedBacklog(pds, overrides) {
+  const byScore = pds
+    .flatMap(pd => pd.epics.filter(isOpenEpic).map(e => ({ id: e.id, name: e.name, pdId: pd.id, pd: pd.name, owner: pd.owner, score: e.score })))
+    .sort((a, b) => b.score - a.score)
+    .map((row, i) => ({ ...row, computedRank: i + 1, override: overrides[row.id] ?? null }));
+  const order = byScore.filter(r => !r.override);
+  byScore
+    .filter(r => r.override)
+    .sort((a, b) => a.override.position - b.override.position)
+    .forEach(r => order.splice(Math.min(r.override.position - 1, order.length), 0, r));
+  return order.map((r, i) => ({ ...r, position: i + 1, shift: r.computedRank - (i + 1) }));
+}
+
+// Overrides after moving one epic of a rankedBacklog to a position. Pinned epics keep their reasons but
+// take the positions they end up at, so the rest of the list stays where it was on screen.
+export function moveInBacklog(rows, id, position, reason, at) {
+  const moved = rows.find(r => r.id === id);
+  const order = rows.filter(r => r !== moved);
+  order.splice(position - 1, 0, moved);
+  return Object.fromEntries(order.flatMap((r, i) => {
+    if (r === moved) return [[r.id, { position: i + 1, reason, at }]];
+    return r.override ? [[r.id, { ...r.override, position: i + 1 }]] : [];
+  }));
+}
+
+// Fields of the filter query language, keyed in lower case. PD fields test the PD, the others each of its
+// scored epics; a workspace's own criteria are epic number fields under their keys.
+const FILTER_FIELDS = {
+  pd: { level: "pd", type: "text", get: pd => pd.name },
+  owner: { level: "pd", type: "text", get: pd => pd.owner || "" },
+  pdscore: { level: "pd", type: "number", get: pd => pd.pdScore },
+  model: { level: "pd", type: "text", get: pd => pd.scoringModel },
+  agg: { level: "pd", type: "text", get: pd => pd.agg || "max" },
+  epic: { level: "epic", type: "text", get: e => e.name },
+  key: { level: "epic", type: "text", get: e => e.externalKey || "" },
+  score: { level: "epic", type: "number", get: e => e.score },
+  roi: { level: "epic", type: "number", get: e => e.roiComputed },
+  autoroi: { level: "epic", type: "boolean", get: e => !!e.autoROI },
+  revenue: { level: "epic", type: "number", get: e => e.revenueEUR },
+  opex: { level: "epic", type: "number", get: e => e.opexEUR },
+  capex: { level: "epic", type: "number", get: e => e.capexEUR },
+  npv: { level: "epic", type: "number", get: e => e.fin?.npv },
+  irr: { level: "epic", type: "number", get: e => e.fin?.irr },
+  payback: { level: "epic", type: "number", get: e => e.fin?.payback },
+  dependencies: { level: "epic", type: "number", get: dependencyCount },
+  disagree: { level: "epic", type: "boolean", get: e => (e.disagreement?.length ?? 0) > 0 },
+  status: { level: "epic", type: "text", get: e => e.status },
+  open: { level: "epic", type: "boolean", get: isOpenEpic },
+  actualeffort: { level: "epic", type: "number", get: e => e.actualEffort },
+  actualrevenue: { level: "epic", type: "number", get: e => e.actualRevenueEUR },
+  ...Object.fromEntries(
+    ["effort", "risk", "strategic", "okr", "timeCriticality", "customerImpact", "confidence", "reach", "impact", "ease", "riskReduction"]
+      .map(k => [k.toLowerCase(), { level: "epic", type: "number", get: e => e[k] }])
+  ),
+};
+
+const FILTER_OPERATORS = {
+  text: [":", "=", "!="],
+  boolean: [":", "=", "!="],
+  number: [":", "=", "!=", ">", ">=", "<", "<="],
+};
+
+const FILTER_BOOLEANS = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+/**
+ * Parse a filter query such as `owner:Apps score>=60 risk<=2 roi>1.5 autoROI:false "checkout"`.
+ * Terms are separated by spaces and all have to hold. A bare word or "quoted phrase" matches PD name,
+ * owner or epic name; `field:value` matches text fields by substring and other fields exactly, `=` and
+ * `!=` compare whole values, and numbers also take `> >= < <=`. A leading `-` negates a term.
+ * Returns { clauses, errors }; terms with errors are left out of clauses.
+ */
+export function parseFilterQuery(text, criteria = []) {
+  const fields = { ...FILTER_FIELDS, ...Object.fromEntries(criteria.map(c => [c.key.toLowerCase(), { level: "epic", type: "number", get: e => criterionValue(e, c) }])) };
+  const clauses = [];
+  const errors = [];
+  for (const token of text.match(/(?:[^\s"]+|"[^"]*"?)+/g) ?? []) {
+    const [, minus, name, op, rawValue] = token.match(/^(-?)(?:([A-Za-z]\w*)(>=|<=|!=|:|=|>|<))?(.*)$/s);
+    const value = rawValue.replaceAll('"', "");
+    const negate = minus === "-";
+    if (!name) {
+      if (value) clauses.push({ field: null, op: ":", value: value.toLowerCase(), negate });
+      continue;
+    }
+    const field = fields[name.toLowerCase()];
+    if (!field) { errors.push(`Unknown field “${name}”`); continue; }
+    if (!FILTER_OPERATORS[field.type].includes(op)) { errors.push(`${name} can't be compared with ${op}`); continue; }
+    if (field.type === "number") {
+      const n = value.trim() === "" ? NaN : Number(value);
+      if (!Number.isFinite(n)) { errors.push(`${name} needs a number, not “${value}”`); continue; }
+      clauses.push({ field, op, value: n, negate });
+    } else if (field.type === "boolean") {
+      if (!(value.toLowerCase() in FILTER_BOOLEANS)) { errors.push(`${name} needs true or false, not “${value}”`); continue; }
+      clauses.push({ field, op, value: FILTER_BOOLEANS[value.toLowerCase()], negate });
+    } else {
+      clauses.push({ field, op, value: value.toLowerCase(), negate });
+    }
+  }
+  return { clauses, errors };
+}
+
+function compareFilterValue(actual, op, value) {
+  if (actual == null || Number.isNaN(actual)) return false;
+  if (typeof value === "string") {
+    const text = String(actual).toLowerCase();
+    return op === ":" ? text.includes(value) : op === "=" ? text === value : text !== value;
+  }
+  switch (op) {
+    case ":": case "=": return actual === value;
+    case "!=": return actual !== value;
+    case ">": return actual > value;
+    case ">=": return actual >= value;
+    case "<": return actual < value;
+    default: return actual <= value;
+  }
+}
+
+// Whether a clause holds for an epic of a PD (epic null for a PD without epics, which fails epic fields).
+function matchesClause(clause, pd, epic) {
+  const { field, op, value, negate } = clause;
+  let hit;
+  if (!field) hit = [pd.name, pd.owner, epic?.name].some(s => s?.toLowerCase().includes(value));
+  else if (field.level === "epic" && !epic) return false;
+  else hit = compareFilterValue(field.get(field.level === "pd" ? pd : epic), op, value);
+  return negate ? !hit : hit;
+}
+
+/**
+ * Scored PDs narrowed to parseFilterQuery's clauses: each PD keeps the epics that match every clause and
+ * is dropped when none do (a PD without epics stays if it matches on its own). PD scores are left as
+ * scored over all epics.
+ */
+export function filterPortfolio(pds, clauses) {
+  if (clauses.length === 0) return pds;
+  return pds.flatMap(pd => {
+    if (pd.epics.length === 0) return clauses.every(c => matchesClause(c, pd, null)) ? [pd] : [];
+    const epics = pd.epics.filter(e => clauses.every(c => matchesClause(c, pd, e)));
+    if (epics.length === 0) return [];
+    return [epics.length === pd.epics.length ? pd : { ...pd, epics }];
+  });
+}
+
+/**
+ * Score a (migrated) workspace the way the app shows it: workspace model, weights scaled by the what-if
+ * multipliers, aggregated ratings, calibrated estimates, financials, dependency counts and custom criteria. Returns scorePortfolio's PDs.
+ */
+export function scoreWorkspace(ws) {
+  const normalization = ws.normalization ?? DEFAULT_NORMALIZATION;
+  const pds = withCriteria(withFinancials(withDependencyCounts(withCalibration(withRatings(ws.pds, ws.rating), ws.calibration)), ws.finance, normalization), ws.criteria ?? []);
+  return scorePortfolio(pds, effectiveWeights(ws.weights, ws.whatIf ?? {}), ws.scoringModel, normalization);
+}
+
+/**
+ * Rows of the CSV export (header first) for scored PDs. With breakdownWeights (the effective weights)
+ * each epic also gets the weighted model's working; PDs without epics get a row of their own. With filter
+ * (parseFilterQuery's clauses) only the matching PDs and epics are written; backlog positions stay those
+ * of the whole portfolio. Inputs are written as typed, before raters' aggregates or calibration replace them.
+ */
+export function csvRows(computedPds, { criteria = [], rankOverrides = {}, normalization = DEFAULT_NORMALIZATION, breakdownWeights = null, filter = null } = {}) {
+  const headers = csvHeaders(criteria);
+  const breakdownHeaders = csvBreakdownHeaders(criteria);
+  const rows = [breakdownWeights ? [...headers, ...breakdownHeaders] : headers];
+  const noBreakdown = breakdownWeights ? Array(breakdownHeaders.length).fill("") : [];
+  const epicNames = new Map(computedPds.flatMap(pd => pd.epics.map(e => [e.id, e.name])));
+  const backlog = new Map(rankedBacklog(computedPds, rankOverrides).map(r => [r.id, r]));
+  const typed = (e, field) => e.ratingStats?.[field]?.typed ?? e[field];
+
+  (filter ? filterPortfolio(computedPds, filter) : computedPds).forEach(pd => {
+    const pdScore = pd.pdScore;
+    if (pd.epics.length === 0) {
+      rows.push([pd.name, pd.owner || "", pd.agg || "max", pd.model || "", ...Array(headers.length - 7).fill(""), pdScore, "", "", ...noBreakdown]);
+    } else {
+      pd.epics.forEach(e => {
+        rows.push([
+          pd.name,
+          pd.owner || "",
+          pd.agg || "max",
+          pd.model || "",
+          e.name,
+          e.externalKey,
+          e.roiComputed,
+          e.estimates?.revenueEUR?.value ?? e.revenueEUR,
+          e.opexEUR,
+          e.capexEUR,
+          e.autoROI,
+          e.estimates?.effort?.value ?? e.effort,
+          e.risk,
+          typed(e, "strategic"),
+          typed(e, "okr"),
+          typed(e, "timeCriticality"),
+          typed(e, "customerImpact"),
+          e.confidence,
+          e.externalDependencies,
+          (e.dependsOn || []).map(id => epicNames.get(id)).filter(Boolean).join(CSV_LIST_SEPARATOR),
+          e.reach,
+          e.impact,
+          e.ease,
+          e.riskReduction,
+          (e.cashFlow?.ramp ?? [1]).join(CSV_LIST_SEPARATOR),
+          e.status,
+          e.actualEffort ?? "",
+          e.actualRevenueEUR ?? "",
+          ...criteria.map(c => criterionValue(e, c)),
+          e.fin.npv,
+          e.fin.irr ?? "",
+          e.fin.payback ?? "",
+          e.fin.discountedRoi,
+          ...MODEL_KEYS.map(key => e.modelScores[key]),
+          e.score,
+          pdScore,
+          backlog.get(e.id)?.position ?? "",
+          backlog.get(e.id)?.override?.reason ?? "",
+          ...(breakdownWeights ? breakdownCells(explainEpicScore(e, breakdownWeights, normalization)) : []),
+        ]);
+      });
+    }
+  });
+  return rows;
+}
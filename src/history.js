@@ -0,0 +1,120 @@
+/**
+ * Undo history (session only) and the persisted audit log of backlog edits.
+ */
+import { sameValue } from "./engine.js";
+
+const HISTORY_LIMIT = 100;
+const EDIT_COALESCE_MS = 1500; // keystrokes in one field within this window count as a single edit
+export const AUDIT_LIMIT = 5000;
+export const AUDIT_HEADERS = ["When", "Source", "PD", "Epic", "Field", "Old Value", "New Value"];
+
+/**
+ * Push the state an edit is about to replace. Consecutive edits with the same key inside
+ * EDIT_COALESCE_MS share one entry (the oldest state), so undo skips a whole typed word.
+ * Any new edit drops the redo stack.
+ */
+export function pushHistory(history, entry) {
+  const last = history.past[history.past.length - 1];
+  if (last && last.key === entry.key && entry.at - last.at < EDIT_COALESCE_MS) {
+    return { past: [...history.past.slice(0, -1), { ...last, at: entry.at }], future: [] };
+  }
+  return { past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] };
+}
+
+// The given parts of a workspace: what an edit replaces, and so what undoing it has to put back.
+export function partsOf(workspace, keys) {
+  return Object.fromEntries(keys.map(k => [k, workspace[k]]));
+}
+
+/**
+ * Undo or redo one entry against the current workspace. Returns the new history and the parts
+ * to restore, or null when there is nothing to step; the parts the entry replaces are saved
+ * on the other stack so the step can be reversed.
+ */
+export function stepHistory(history, workspace, direction) {
+  const undo = direction === "undo";
+  const entry = undo ? history.past[history.past.length - 1] : history.future[0];
+  if (!entry) return null;
+  const reverse = { ...entry, state: partsOf(workspace, Object.keys(entry.state)) };
+  return {
+    history: undo
+      ? { past: history.past.slice(0, -1), future: [reverse, ...history.future] }
+      : { past: [...history.past, reverse], future: history.future.slice(1) },
+    state: entry.state,
+  };
+}
+
+/**
+ * Field-level differences between two PD lists, matched by id: one entry per created/removed
+ * PD or epic and per changed field. PD-level entries have epicId null.
+ */
+export function diffBacklog(before, after) {
+  const entries = [];
+  const diffFields = (a, b, base) => {
+    for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (field === "id" || field === "epics" || sameValue(a[field], b[field])) continue;
+      entries.push({ ...base, kind: "changed", field, from: a[field] ?? null, to: b[field] ?? null });
+    }
+  };
+  const beforePds = new Map(before.map(pd => [pd.id, pd]));
+  const afterIds = new Set(after.map(pd => pd.id));
+  for (const pd of after) {
+    const old = beforePds.get(pd.id);
+    const base = { pdId: pd.id, pdName: pd.name };
+    if (!old) entries.push({ ...base, epicId: null, epicName: null, kind: "created" });
+    else diffFields(old, pd, { ...base, epicId: null, epicName: null });
+    const oldEpics = new Map((old?.epics ?? []).map(e => [e.id, e]));
+    for (const epic of pd.epics) {
+      const prev = oldEpics.get(epic.id);
+      const epicBase = { ...base, epicId: epic.id, epicName: epic.name };
+      if (!prev) entries.push({ ...epicBase, kind: "created" });
+      else diffFields(prev, epic, epicBase);
+      oldEpics.delete(epic.id);
+    }
+    for (const gone of oldEpics.values()) entries.push({ ...base, epicId: gone.id, epicName: gone.name, kind: "removed" });
+  }
+  for (const pd of before) {
+    if (afterIds.has(pd.id)) continue;
+    for (const e of pd.epics) entries.push({ pdId: pd.id, pdName: pd.name, epicId: e.id, epicName: e.name, kind: "removed" });
+    entries.push({ pdId: pd.id, pdName: pd.name, epicId: null, epicName: null, kind: "removed" });
+  }
+  return entries;
+}
+
+/**
+ * Append diffBacklog entries to the audit log (oldest first, capped at AUDIT_LIMIT). A change to the
+ * same field from the same source inside EDIT_COALESCE_MS extends the previous entry instead, and
+ * is dropped once it ends where it started.
+ */
+export function appendAudit(log, entries, at, source) {
+  let next = log;
+  for (const entry of entries) {
+    const last = next[next.length - 1];
+    if (entry.kind === "changed" && last && last.kind === "changed" && last.source === source &&
+        last.pdId === entry.pdId && last.epicId === entry.epicId && last.field === entry.field &&
+        at - last.at < EDIT_COALESCE_MS) {
+      const merged = { ...last, ...entry, from: last.from, at };
+      next = sameValue(merged.from, merged.to) ? next.slice(0, -1) : [...next.slice(0, -1), merged];
+    } else {
+      next = [...next, { ...entry, at, source }];
+    }
+  }
+  return next.length > AUDIT_LIMIT ? next.slice(-AUDIT_LIMIT) : next;
+}
+
+export function formatAuditValue(v) {
+  if (v === null || v === undefined) return "";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+export function auditRows(log) {
+  return log.map(a => [
+    new Date(a.at).toISOString(),
+    a.source,
+    a.pdName,
+    a.epicName ?? "",
+    a.kind === "changed" ? a.field : a.kind,
+    a.kind === "changed" ? formatAuditValue(a.from) : "",
+    a.kind === "changed" ? formatAuditValue(a.to) : "",
+  ]);
+}
@@ -0,0 +1,286 @@
+/**
+ * Imports into an existing backlog: CSV files (merged by name or replacing the backlog) and issue-tracker
+ * exports (Jira CSV/JSON, Azure DevOps CSV) mapped column by column. Each plan returns the next PDs and a
+ * list of changes to preview before anything is applied.
+ */
+import { CSV_EPIC_FIELDS, CSV_LIST_SEPARATOR, DEFAULT_EPIC, EPIC_FIELD_RANGES, clamp, parseCSV, sameName } from "./engine.js";
+
+function changedFields(before, patch) {
+  const differs = (a, b) => (typeof b === "object" && b !== null ? JSON.stringify(a) !== JSON.stringify(b) : a !== b);
+  return Object.keys(patch).filter(k => k !== "name" && differs(before[k], patch[k]));
+}
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+// Second pass of planCSVImport: turn "Depends On" names into ids once every imported epic exists.
+function resolveCSVDependencies(next, pending, changes) {
+  const all = next.flatMap(pd => pd.epics.map(e => ({ e, pd })));
+  for (const { id, names, isNew } of pending) {
+    const pd = next.find(p => p.epics.some(e => e.id === id));
+    const idx = pd.epics.findIndex(e => e.id === id);
+    const epic = pd.epics[idx];
+    const ids = [];
+    for (const name of names) {
+      const match = all.find(({ e }) => e.id !== id && sameName(e.name, name));
+      if (match) ids.push(match.e.id);
+      else changes.push({ type: "unresolved", pd: pd.name, owner: pd.owner, epic: epic.name, dependency: name });
+    }
+    if (!isNew && sameList(epic.dependsOn, ids)) continue;
+    pd.epics[idx] = { ...epic, dependsOn: ids };
+    if (isNew) continue;
+    const change = changes.find(c => c.type === "updateEpic" && c.id === id);
+    if (change) change.fields.push("dependsOn");
+    else changes.push({ type: "updateEpic", id, pd: pd.name, owner: pd.owner, epic: epic.name, fields: ["dependsOn"] });
+  }
+}
+
+/**
+ * Apply CSV-imported PDs to the current backlog and describe what changes.
+ * mode "merge": PDs matched by name+owner and epics by name are updated in place, new ones appended, the rest kept.
+ * mode "replace": the backlog becomes exactly the file contents.
+ */
+export function planCSVImport(current, incoming, mode) {
+  const changes = [];
+  const pending = []; // epics whose "Depends On" names still need resolving
+  const freshEpic = ({ dependsOnNames, ...e }) => {
+    const epic = { ...DEFAULT_EPIC, ...e, id: crypto.randomUUID() };
+    if (dependsOnNames) pending.push({ id: epic.id, names: dependsOnNames, isNew: true });
+    return epic;
+  };
+  const freshPD = (pd) => ({ ...pd, id: crypto.randomUUID(), epics: pd.epics.map(freshEpic) });
+
+  if (mode === "replace") {
+    current.forEach(pd => changes.push({ type: "removePD", pd: pd.name, owner: pd.owner }));
+    const next = incoming.map(freshPD);
+    next.forEach(pd => changes.push({ type: "addPD", pd: pd.name, owner: pd.owner, epics: pd.epics.length }));
+    resolveCSVDependencies(next, pending, changes);
+    return { pds: next, changes };
+  }
+
+  const next = current.map(pd => ({ ...pd, epics: [...pd.epics] }));
+  for (const inPD of incoming) {
+    const target = next.find(pd => sameName(pd.name, inPD.name) && sameName(pd.owner, inPD.owner));
+    if (!target) {
+      const pd = freshPD(inPD);
+      next.push(pd);
+      changes.push({ type: "addPD", pd: pd.name, owner: pd.owner, epics: pd.epics.length });
+      continue;
+    }
+    const pdFields = [];
+    if ((target.agg || "max") !== inPD.agg) { pdFields.push("agg"); target.agg = inPD.agg; }
+    if ("model" in inPD && (target.model || null) !== inPD.model) { pdFields.push("model"); target.model = inPD.model; }
+    if (pdFields.length) changes.push({ type: "updatePD", pd: target.name, owner: target.owner, fields: pdFields });
+    for (const inEpic of inPD.epics) {
+      const idx = target.epics.findIndex(e => sameName(e.name, inEpic.name));
+      if (idx === -1) {
+        target.epics.push(freshEpic(inEpic));
+        changes.push({ type: "addEpic", pd: target.name, owner: target.owner, epic: inEpic.name });
+        continue;
+      }
+      const { dependsOnNames, ...patch } = inEpic;
+      const existing = target.epics[idx];
+      if (dependsOnNames) pending.push({ id: existing.id, names: dependsOnNames, isNew: false });
+      const fields = changedFields(existing, patch);
+      if (fields.length === 0) continue;
+      target.epics[idx] = { ...existing, ...patch, name: existing.name };
+      changes.push({ type: "updateEpic", id: existing.id, pd: target.name, owner: target.owner, epic: inEpic.name, fields });
+    }
+  }
+  resolveCSVDependencies(next, pending, changes);
+  return { pds: next, changes };
+}
+
+export function describeChange(c) {
+  const pd = c.owner ? `${c.pd} (${c.owner})` : c.pd;
+  switch (c.type) {
+    case "addPD": return `+ PD ${pd} with ${c.epics} epic(s)`;
+    case "removePD": return `− PD ${pd}`;
+    case "updatePD": return `~ PD ${pd}: ${c.fields.join(", ")}`;
+    case "addEpic": return `+ Epic "${c.epic}" in ${pd}`;
+    case "updateEpic": return `~ Epic "${c.epic}" in ${pd}: ${c.fields.join(", ")}`;
+    case "unresolved": return `! Epic "${c.epic}" in ${pd}: unknown dependency "${c.dependency}" skipped`;
+    default: return c.type;
+  }
+}
+
+// Issue-tracker exports. Every source is read into flat rows ({ column: text }); a mapping binds columns to epic fields.
+export const TRACKER_SOURCES = {
+  "jira-csv": {
+    label: "Jira CSV",
+    guess: {
+      externalKey: ["Issue key"],
+      name: ["Summary"],
+      pd: ["Parent summary", "Custom field (Epic Link)", "Epic Link", "Parent"],
+      effort: ["Custom field (Story Points)", "Story Points", "Custom field (Story point estimate)", "Story point estimate"],
+      timeCriticality: ["Priority"],
+    },
+  },
+  "jira-json": {
+    label: "Jira JSON",
+    guess: {
+      externalKey: ["key"],
+      name: ["fields.summary"],
+      pd: ["fields.parent.fields.summary", "fields.parent.key", "fields.customfield_10014"],
+      effort: ["fields.customfield_10016", "fields.customfield_10026", "fields.storyPoints"],
+      timeCriticality: ["fields.priority.name"],
+    },
+  },
+  "ado-csv": {
+    label: "Azure DevOps CSV",
+    guess: {
+      externalKey: ["ID"],
+      name: ["Title"],
+      pd: ["Parent", "Area Path"],
+      effort: ["Story Points", "Effort", "Size"],
+      timeCriticality: ["Priority"],
+      risk: ["Risk"],
+    },
+  },
+  csv: { label: "CSV", guess: {} },
+};
+
+// Numeric epic fields a tracker column can fill, labelled like their CSV columns.
+export const TRACKER_FIELDS = CSV_EPIC_FIELDS.map(([label, field]) => ({ field, label }));
+
+const TRACKER_LEVELS = { blocker: 5, critical: 5, highest: 5, high: 4, major: 4, medium: 3, normal: 3, low: 2, minor: 2, lowest: 1, trivial: 1 };
+
+/**
+ * How a column's text becomes a number. "level" reads priority/risk words (Highest…Lowest, Blocker…Trivial,
+ * Azure DevOps "1 - High") and Azure DevOps priority ranks 1–4 (1 = most urgent) as 1–5.
+ */
+export const TRACKER_TRANSFORMS = {
+  number: { label: "number", parse: (raw) => Number(raw.replace(/,/g, ".")) },
+  level: {
+    label: "level (High → 4)",
+    parse: (raw) => {
+      const word = raw.toLowerCase().match(/[a-z]+/)?.[0];
+      if (word) return TRACKER_LEVELS[word] ?? NaN;
+      const rank = Number(raw);
+      return Number.isInteger(rank) && rank >= 1 && rank <= 4 ? 6 - rank : NaN;
+    },
+  },
+};
+
+// Jira issues nest fields (fields.priority.name); flatten them into dotted columns. Lists join with "; ".
+function flattenIssue(value, prefix = "", out = {}, depth = 0) {
+  if (value === null || value === undefined) return out;
+  if (Array.isArray(value)) {
+    const items = value.map(v => (v && typeof v === "object" ? v.name ?? v.value ?? v.key ?? "" : String(v))).filter(Boolean);
+    if (items.length) out[prefix] = items.join(CSV_LIST_SEPARATOR);
+  } else if (typeof value === "object") {
+    if (depth >= 4) return out;
+    for (const [k, v] of Object.entries(value)) flattenIssue(v, prefix ? `${prefix}.${k}` : k, out, depth + 1);
+  } else {
+    out[prefix] = String(value);
+  }
+  return out;
+}
+
+/**
+ * Read a Jira CSV/JSON or Azure DevOps CSV export into { source, columns, rows }.
+ * Repeated CSV headers (Jira writes one "Labels" column per label) get " (2)", " (3)"… suffixes.
+ */
+export function parseTrackerExport(text) {
+  const src = String(text).replace(/^\uFEFF/, "").trim();
+  if (src.startsWith("{") || src.startsWith("[")) {
+    let data;
+    try { data = JSON.parse(src); }
+    catch (e) { throw new Error(`Not valid JSON (${e.message})`); }
+    const issues = Array.isArray(data) ? data : data.issues;
+    if (!Array.isArray(issues)) throw new Error(`Expected a Jira export with an "issues" array`);
+    const rows = issues.map(issue => flattenIssue(issue));
+    const columns = [...new Set(rows.flatMap(r => Object.keys(r)))];
+    return { source: "jira-json", columns, rows };
+  }
+  const [header, ...body] = parseCSV(src);
+  if (!header) throw new Error("File is empty");
+  const seen = new Map();
+  const columns = header.map(h => {
+    const name = h.trim();
+    const n = (seen.get(name) ?? 0) + 1;
+    seen.set(name, n);
+    return n === 1 ? name : `${name} (${n})`;
+  });
+  const rows = body
+    .filter(r => r.some(cell => cell.trim() !== ""))
+    .map(r => Object.fromEntries(columns.map((c, i) => [c, (r[i] ?? "").trim()])));
+  const has = (name) => columns.some(c => sameName(c, name));
+  const source = has("Issue key") ? "jira-csv" : has("Work Item Type") ? "ado-csv" : "csv";
+  return { source, columns, rows };
+}
+
+// First mapping for a source: its usual columns where the file has them.
+export function guessTrackerMapping(source, columns) {
+  const pick = (candidates = []) => candidates.map(c => columns.find(col => sameName(col, c))).find(Boolean) ?? "";
+  const guess = TRACKER_SOURCES[source].guess;
+  const fields = {};
+  for (const { field } of TRACKER_FIELDS) {
+    const column = pick(guess[field]);
+    if (column) fields[field] = { column, transform: field === "effort" ? "number" : "level" };
+  }
+  return { externalKey: pick(guess.externalKey), name: pick(guess.name), pd: pick(guess.pd), owner: "", fields, defaultPdId: "", skipParents: true };
+}
+
+/**
+ * Apply tracker rows to the backlog. Epics are matched by externalKey anywhere in the workspace and
+ * only their mapped fields (and name) are updated; unmatched rows become new epics in the PD named by
+ * the PD column — resolved to the parent's name when it holds another row's key — or in the default PD.
+ * Returns { pds, changes, warnings } like planCSVImport.
+ */
+export function planTrackerImport(current, rows, mapping, sourceLabel) {
+  const changes = [];
+  const warnings = [];
+  if (!mapping.externalKey || !mapping.name) return { pds: current, changes, warnings: ["Map a key column and a name column first."] };
+  const next = current.map(pd => ({ ...pd, epics: [...pd.epics] }));
+  const byKey = new Map(rows.map(r => [r[mapping.externalKey], r]));
+  // Rows other rows point at (by key or, for "parent summary" columns, by name) are PDs, not epics.
+  const pdRefs = new Set(mapping.pd ? rows.map(r => r[mapping.pd]).filter(Boolean) : []);
+  const isParent = (row) => pdRefs.has(row[mapping.externalKey]) || pdRefs.has(row[mapping.name]);
+  const known = new Map();
+  next.forEach(pd => pd.epics.forEach(e => { if (e.externalKey) known.set(e.externalKey, pd); }));
+  const created = new Map(); // new PD id -> PD
+
+  const pdFor = (row) => {
+    const ref = mapping.pd ? row[mapping.pd] : "";
+    const name = ref ? byKey.get(ref)?.[mapping.name] || ref : null;
+    let pd = name ? next.find(p => sameName(p.name, name)) : next.find(p => p.id === mapping.defaultPdId);
+    if (!pd) {
+      pd = { id: crypto.randomUUID(), name: name ?? `Imported from ${sourceLabel}`, owner: mapping.owner ? row[mapping.owner] ?? "" : "", agg: "max", epics: [] };
+      next.push(pd);
+      created.set(pd.id, pd);
+    }
+    return pd;
+  };
+
+  rows.forEach((row, i) => {
+    const key = row[mapping.externalKey];
+    const name = row[mapping.name];
+    if (!key || !name) return warnings.push(`Row ${i + 1}: no ${key ? "name" : "key"}, skipped`);
+    if (mapping.skipParents && isParent(row)) return;
+    const values = {};
+    for (const [field, { column, transform }] of Object.entries(mapping.fields)) {
+      const raw = row[column];
+      if (!column || raw === undefined || raw === "") continue;
+      const v = TRACKER_TRANSFORMS[transform]?.parse(raw);
+      if (!Number.isFinite(v)) { warnings.push(`${key}: "${column}" value "${raw}" is not a ${transform}, ignored`); continue; }
+      const [min, max] = EPIC_FIELD_RANGES[field];
+      values[field] = clamp(v, min, max);
+    }
+    const pd = known.get(key);
+    if (pd) {
+      const idx = pd.epics.findIndex(e => e.externalKey === key);
+      const epic = pd.epics[idx];
+      const fields = [...(epic.name !== name ? ["name"] : []), ...changedFields(epic, values)];
+      if (fields.length === 0) return;
+      pd.epics[idx] = { ...epic, ...values, name };
+      if (!created.has(pd.id)) changes.push({ type: "updateEpic", id: epic.id, pd: pd.name, owner: pd.owner, epic: name, fields });
+      return;
+    }
+    const target = pdFor(row);
+    target.epics.push({ ...DEFAULT_EPIC, id: crypto.randomUUID(), name, externalKey: key, ...values });
+    known.set(key, target);
+    if (!created.has(target.id)) changes.push({ type: "addEpic", pd: target.name, owner: target.owner, epic: name });
+  });
+  created.forEach(pd => changes.push({ type: "addPD", pd: pd.name, owner: pd.owner, epics: pd.epics.length }));
+  return { pds: next, changes, warnings };
+}
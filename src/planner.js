@@ -0,0 +1,136 @@
+/**
+ * Capacity planner: fits open epics into periods (optionally per owner budget) so the planned score or
+ * ROI is as high as possible, with the cut line and the value each planned epic adds.
+ */
+import { clamp, isOpenEpic } from "./engine.js";
+
+export const DEFAULT_PLAN = {
+  objective: "score", // "score" | "roi"
+  perOwner: false,
+  periods: [
+    { id: "q1", name: "Q1", capacity: 40, ownerCapacity: {} },
+    { id: "q2", name: "Q2", capacity: 40, ownerCapacity: {} },
+  ],
+};
+
+export const UNASSIGNED_OWNER = "Unassigned";
+export const MAX_PERIOD_CAPACITY = 10000; // story points per period or owner budget
+
+// Cells per knapsack table (two are kept, 8 bytes a cell): about 32 MB at most.
+const MAX_KNAPSACK_CELLS = 2_000_000;
+
+/**
+ * 0/1 knapsack over integer weights. items: [{ weight, value }].
+ * Returns the chosen indices, the optimum, and for every item the value lost if it were
+ * forced out (0 for items not chosen), using prefix/suffix tables so it stays O(n·capacity).
+ * When n·capacity is too large for the tables, weights and capacity are scaled down (weights
+ * rounded up), so the choice still fits but may miss the exact optimum.
+ */
+export function knapsack(items, capacity) {
+  const n = items.length;
+  const total = Math.max(0, Math.min(Math.floor(capacity), items.reduce((s, it) => s + it.weight, 0)));
+  const scale = Math.max(1, Math.ceil((total + 1) / Math.max(1, Math.floor(MAX_KNAPSACK_CELLS / (n + 1)))));
+  if (scale > 1) return knapsack(items.map(it => ({ ...it, weight: Math.ceil(it.weight / scale) })), Math.floor(total / scale));
+  const C = total;
+  const prefix = [new Float64Array(C + 1)];
+  for (let i = 0; i < n; i++) {
+    const prev = prefix[i];
+    const row = Float64Array.from(prev);
+    const { weight, value } = items[i];
+    for (let c = weight; c <= C; c++) row[c] = Math.max(prev[c], prev[c - weight] + value);
+    prefix.push(row);
+  }
+  const suffix = new Array(n + 1);
+  suffix[n] = new Float64Array(C + 1);
+  for (let i = n - 1; i >= 0; i--) {
+    const next = suffix[i + 1];
+    const row = Float64Array.from(next);
+    const { weight, value } = items[i];
+    for (let c = weight; c <= C; c++) row[c] = Math.max(next[c], next[c - weight] + value);
+    suffix[i] = row;
+  }
+
+  const chosen = [];
+  for (let i = n - 1, c = C; i >= 0; i--) {
+    if (prefix[i + 1][c] !== prefix[i][c]) { chosen.push(i); c -= items[i].weight; }
+  }
+  const best = prefix[n][C];
+  const chosenSet = new Set(chosen);
+  const marginal = items.map((_, i) => {
+    if (!chosenSet.has(i)) return 0;
+    let without = 0;
+    for (let c = 0; c <= C; c++) without = Math.max(without, prefix[i][c] + suffix[i + 1][C - c]);
+    return best - without;
+  });
+  return { chosen: chosen.reverse(), best, marginal };
+}
+
+function planValue(epic, objective) {
+  return Math.max(objective === "roi" ? epic.roiComputed : epic.score, 0) || 0;
+}
+
+/**
+ * Fill periods in order: each period takes the value-maximizing subset of the epics still open
+ * (per owner budget when perOwner is set); within a period epics are sequenced by value per point.
+ * Whatever never fits is cut. For the cut line of each period, `next` is the best open epic that missed it.
+ * Delivered and dropped epics are not planned.
+ */
+export function planRoadmap(computedPds, plan) {
+  const { objective, perOwner, periods } = plan;
+  let open = computedPds.flatMap(pd => pd.epics.filter(isOpenEpic).map(e => ({
+    id: e.id,
+    name: e.name,
+    pd: pd.name,
+    owner: pd.owner || UNASSIGNED_OWNER,
+    effort: Math.max(0, Math.ceil(Number(e.effort) || 0)),
+    value: planValue(e, objective),
+    dependsOn: e.dependsOn || [],
+  })));
+  const names = new Map(open.map(e => [e.id, e.name]));
+
+  const resultPeriods = periods.map(period => {
+    const budgets = perOwner
+      ? [...new Set(open.map(e => e.owner))].map(owner => ({ owner, capacity: clamp(Number(period.ownerCapacity?.[owner]), 0, MAX_PERIOD_CAPACITY) }))
+      : [{ owner: null, capacity: clamp(Number(period.capacity), 0, MAX_PERIOD_CAPACITY) }];
+
+    const picked = [];
+    for (const { owner, capacity } of budgets) {
+      const pool = open.filter(e => e.value > 0 && (owner === null || e.owner === owner));
+      const { chosen, marginal } = knapsack(pool.map(e => ({ weight: e.effort, value: e.value })), capacity);
+      chosen.forEach(i => picked.push({ ...pool[i], marginal: marginal[i] }));
+    }
+    picked.sort((a, b) => (b.value / Math.max(b.effort, 1)) - (a.value / Math.max(a.effort, 1)) || b.value - a.value);
+
+    const pickedIds = new Set(picked.map(e => e.id));
+    open = open.filter(e => !pickedIds.has(e.id));
+    const capacity = budgets.reduce((s, b) => s + b.capacity, 0);
+    const used = picked.reduce((s, e) => s + e.effort, 0);
+    const free = (owner) => {
+      const b = budgets.find(x => x.owner === owner || x.owner === null);
+      const spent = picked.filter(e => b.owner === null || e.owner === b.owner).reduce((s, e) => s + e.effort, 0);
+      return b.capacity - spent;
+    };
+    const nextEpic = [...open].filter(e => e.value > 0).sort((a, b) => b.value - a.value)[0];
+    return {
+      id: period.id,
+      name: period.name,
+      capacity,
+      used,
+      value: picked.reduce((s, e) => s + e.value, 0),
+      epics: picked,
+      next: nextEpic ? { ...nextEpic, needs: Math.max(0, nextEpic.effort - free(nextEpic.owner)) } : null,
+    };
+  });
+
+  // Flag epics planned before (or in the same period as) something they depend on.
+  const slot = new Map(resultPeriods.flatMap((p, i) => p.epics.map(e => [e.id, i])));
+  resultPeriods.forEach((p, i) => {
+    p.epics = p.epics.map(e => ({
+      ...e,
+      waitsOn: e.dependsOn.filter(d => names.has(d) && !(slot.get(d) < i)).map(d => names.get(d)),
+    }));
+  });
+
+  const cut = [...open].sort((a, b) => b.value - a.value);
+  return { periods: resultPeriods, cut, lostValue: cut.reduce((s, e) => s + e.value, 0) };
+}
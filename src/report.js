@@ -0,0 +1,232 @@
+/**
+ * Stakeholder report: ranked PDs, the top epics and what drives their scores, financial totals, the
+ * weights and what-if multipliers in effect, and risk call-outs. buildReport gathers the numbers from a
+ * workspace; reportMarkdown and reportHTML (a standalone page laid out for printing) only format them.
+ */
+import {
+  FACTOR_LABELS, NORMALIZATION_MODES, ROI_METRICS, SCORING_MODELS, criterionKeys, criterionLabels, effectiveWeights,
+  explainEpicScore, findDependencyCycles, isOpenEpic, rankedBacklog, scoreWorkspace,
+} from "./engine.js";
+
+export const REPORT_TOP_N = 10;
+const MAX_DRIVERS = 4;
+
+// Call-out thresholds for the top epics.
+const HIGH_RISK = 4;
+const LOW_CONFIDENCE = 0.5;
+const MANY_EXTERNAL_DEPENDENCIES = 3;
+const LARGE_OVERRIDE = 3;
+
+// The factors that move an epic's score most, in points (weighted model), or its model's formula inputs.
+function scoreDrivers(epic, model, weights, normalization) {
+  if (model !== "weighted") return [SCORING_MODELS[model].explain(epic).map(([label, v]) => `${label} ${round1(v)}`).join(" ")];
+  return explainEpicScore(epic, weights, normalization).factors
+    .filter(f => Math.abs(f.contribution) >= 0.001)
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    .slice(0, MAX_DRIVERS)
+    .map(f => `${f.label} ${signed(f.contribution * 50)}`);
+}
+
+function totals(epics) {
+  const sum = (get) => epics.reduce((n, e) => n + (Number(get(e)) || 0), 0);
+  const revenue = sum(e => e.revenueEUR);
+  const opex = sum(e => e.opexEUR);
+  const capex = sum(e => e.capexEUR);
+  return { epics: epics.length, revenue, opex, capex, roi: revenue / Math.max(opex + capex, 1), npv: sum(e => e.fin.npv) };
+}
+
+function riskCallouts(top, byId, ws) {
+  const out = [];
+  const name = (id) => byId.get(id)?.epic.name ?? id;
+  for (const cycle of findDependencyCycles(ws.pds)) {
+    out.push({ level: "high", text: `Dependency cycle: ${[...cycle, cycle[0]].map(name).join(" → ")}` });
+  }
+  for (const row of top) {
+    const { epic } = byId.get(row.id);
+    const who = `#${row.position} ${epic.name}`;
+    if (epic.risk >= HIGH_RISK) out.push({ level: "high", text: `${who} is rated risk ${epic.risk}/5` });
+    if (epic.confidence < LOW_CONFIDENCE) out.push({ level: "medium", text: `${who} has low confidence in its estimates (${Math.round(epic.confidence * 100)}%)` });
+    if (epic.externalDependencies >= MANY_EXTERNAL_DEPENDENCIES) out.push({ level: "medium", text: `${who} waits on ${epic.externalDependencies} external dependencies` });
+    for (const dep of epic.dependsOn ?? []) {
+      const position = byId.get(dep)?.row?.position; // none once delivered or dropped
+      if (position > row.position) out.push({ level: "medium", text: `${who} depends on ${name(dep)}, ranked #${position}` });
+    }
+    if (epic.disagreement?.length > 0) {
+      const spreads = epic.disagreement.map(f => `${FACTOR_LABELS[f]} (spread ${epic.ratingStats[f].spread})`);
+      out.push({ level: "medium", text: `${who}: raters disagree on ${spreads.join(", ")}` });
+    }
+    if (epic.fin.npv < 0) out.push({ level: "medium", text: `${who} has a negative NPV (${eur(epic.fin.npv)})` });
+    if (row.override && Math.abs(row.shift) >= LARGE_OVERRIDE) {
+      out.push({ level: "medium", text: `${who} is placed by hand, #${row.computedRank} by score: ${row.override.reason}` });
+    }
+  }
+  return out;
+}
+
+/**
+ * Everything the report shows, from a (migrated) workspace. Epics are taken in ranked-backlog order, so
+ * manual rank overrides count; delivered and dropped epics are left out of the counts and totals.
+ */
+export function buildReport(ws, { title = "Prioritization report", topN = REPORT_TOP_N, now = new Date() } = {}) {
+  const weights = effectiveWeights(ws.weights, ws.whatIf);
+  const computed = scoreWorkspace(ws);
+  const backlog = rankedBacklog(computed, ws.rankOverrides ?? {});
+  const byId = new Map();
+  computed.forEach(pd => pd.epics.forEach(epic => byId.set(epic.id, { pd, epic })));
+  backlog.forEach(row => { byId.get(row.id).row = row; });
+  const top = backlog.slice(0, topN);
+  const labels = criterionLabels(ws.criteria);
+
+  return {
+    title,
+    generatedAt: now.toISOString(),
+    model: SCORING_MODELS[ws.scoringModel].label,
+    normalization: NORMALIZATION_MODES[ws.normalization.mode].label,
+    roiMetric: ROI_METRICS[ws.finance.roiMetric].label,
+    pds: [...computed]
+      .sort((a, b) => b.pdScore - a.pdScore)
+      .map((pd, i) => ({ rank: i + 1, name: pd.name, owner: pd.owner || "", score: pd.pdScore, epics: pd.epics.filter(isOpenEpic).length, model: SCORING_MODELS[pd.scoringModel].short })),
+    topN,
+    epics: top.map(row => {
+      const { pd, epic } = byId.get(row.id);
+      return {
+        position: row.position,
+        computedRank: row.computedRank,
+        override: row.override && row.shift !== 0 ? row.override.reason : null,
+        name: epic.name,
+        pd: pd.name,
+        score: epic.score,
+        drivers: scoreDrivers(epic, pd.scoringModel, weights, ws.normalization),
+      };
+    }),
+    financials: { portfolio: totals(computed.flatMap(pd => pd.epics.filter(isOpenEpic))), top: totals(top.map(row => byId.get(row.id).epic)) },
+    weights: criterionKeys(ws.criteria).map(k => ({ label: labels[k], weight: ws.weights[k], multiplier: ws.whatIf[k] ?? 1, effective: weights[k] })),
+    risks: riskCallouts(top, byId, ws),
+  };
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+const round3 = (v) => Math.round(v * 1000) / 1000;
+const signed = (v) => `${v >= 0 ? "+" : "−"}${Math.abs(round1(v))}`;
+const eur = (v) => `${v < 0 ? "−" : ""}${Math.round(Math.abs(v)).toLocaleString("en-US")} €`;
+const roiX = (v) => `${round1(v)}×`;
+const stamp = (iso) => iso.slice(0, 16).replace("T", " ") + " UTC";
+
+const FINANCIAL_ROWS = [
+  ["Revenue (yearly)", f => eur(f.revenue)],
+  ["Opex (yearly)", f => eur(f.opex)],
+  ["Capex", f => eur(f.capex)],
+  ["ROI× (revenue ÷ costs)", f => roiX(f.roi)],
+  ["NPV", f => eur(f.npv)],
+];
+
+function mdTable(header, rows) {
+  const cell = (v) => String(v).replaceAll("|", "\\|").replaceAll("\n", " ");
+  return [header, header.map(() => "---"), ...rows].map(r => `| ${r.map(cell).join(" | ")} |`).join("\n");
+}
+
+export function reportMarkdown(report) {
+  const { financials: fin } = report;
+  return [
+    `# ${report.title}`,
+    `_Generated ${stamp(report.generatedAt)} · ${report.model} · ${report.normalization} scores · ROI factor: ${report.roiMetric}_`,
+    "## Product Deliverables",
+    mdTable(["#", "PD", "Owner", "Score", "Epics", "Model"], report.pds.map(pd => [pd.rank, pd.name, pd.owner || "—", pd.score, pd.epics, pd.model])),
+    `## Top ${report.epics.length} epics`,
+    mdTable(
+      ["#", "Epic", "PD", "Score", "What drives the score"],
+      report.epics.map(e => [e.position, e.override ? `${e.name} (placed by hand, #${e.computedRank} by score)` : e.name, e.pd, e.score, e.drivers.join(", ")]),
+    ),
+    "## Financials",
+    mdTable(["", `Portfolio (${fin.portfolio.epics} epics)`, `Top ${fin.top.epics}`], FINANCIAL_ROWS.map(([label, f]) => [label, f(fin.portfolio), f(fin.top)])),
+    "## Weights",
+    mdTable(["Factor", "Weight", "What‑if", "Effective"], report.weights.map(w => [w.label, w.weight, w.multiplier === 1 ? "—" : `× ${w.multiplier}`, round3(w.effective)])),
+    "## Risks",
+    report.risks.length === 0 ? "No risk call-outs." : report.risks.map(r => `- **${r.level === "high" ? "High" : "Watch"}** — ${r.text}`).join("\n"),
+  ].join("\n\n") + "\n";
+}
+
+const escapeHTML = (v) => String(v).replace(/[&<>"]/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+// Score badge colors of the app (badgeColor) as plain CSS.
+function scoreClass(score) {
+  if (score >= 80) return "s80";
+  if (score >= 60) return "s60";
+  if (score >= 40) return "s40";
+  if (score >= 20) return "s20";
+  return "s0";
+}
+
+const REPORT_CSS = `
+body { font: 14px/1.45 ui-sans-serif, system-ui, -apple-system, "Segoe UI", sans-serif; color: #1e293b; max-width: 960px; margin: 32px auto; padding: 0 24px; }
+h1 { font-size: 24px; margin: 0 0 4px; }
+h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 2px solid #e2e8f0; padding-bottom: 4px; break-after: avoid; }
+.meta { color: #64748b; font-size: 12px; }
+table { width: 100%; border-collapse: collapse; font-size: 13px; }
+th { text-align: left; color: #64748b; font-weight: 600; font-size: 11px; text-transform: uppercase; letter-spacing: .03em; }
+th, td { padding: 5px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; }
+tr { break-inside: avoid; }
+.badge { display: inline-block; min-width: 26px; text-align: center; border-radius: 6px; padding: 0 5px; font-weight: 600; font-size: 12px; }
+.s80 { background: #16a34a; color: #fff; } .s60 { background: #10b981; color: #fff; } .s40 { background: #eab308; color: #000; }
+.s20 { background: #f97316; color: #fff; } .s0 { background: #dc2626; color: #fff; }
+.note { color: #b45309; font-size: 12px; }
+.drivers { color: #475569; font-size: 12px; }
+ul.risks { padding-left: 18px; } .high { color: #b91c1c; font-weight: 600; }
+@page { margin: 16mm; }
+@media print { body { margin: 0; max-width: none; padding: 0; } }
+`;
+
+function htmlTable(header, rows, numeric = []) {
+  const th = header.map((h, i) => `<th${numeric.includes(i) ? ' class="num"' : ""}>${escapeHTML(h)}</th>`).join("");
+  const body = rows.map(r => `<tr>${r.map((v, i) => `<td${numeric.includes(i) ? ' class="num"' : ""}>${v}</td>`).join("")}</tr>`).join("\n");
+  return `<table><thead><tr>${th}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+// Cells are HTML; text goes through escapeHTML.
+export function reportHTML(report) {
+  const { financials: fin } = report;
+  const badge = (score) => `<span class="badge ${scoreClass(score)}">${score}</span>`;
+  const sections = [
+    `<h1>${escapeHTML(report.title)}</h1>`,
+    `<p class="meta">Generated ${escapeHTML(stamp(report.generatedAt))} · ${escapeHTML(report.model)} · ${escapeHTML(report.normalization)} scores · ROI factor: ${escapeHTML(report.roiMetric)}</p>`,
+    "<h2>Product Deliverables</h2>",
+    htmlTable(["#", "PD", "Owner", "Score", "Epics", "Model"], report.pds.map(pd => [pd.rank, escapeHTML(pd.name), escapeHTML(pd.owner || "—"), badge(pd.score), pd.epics, escapeHTML(pd.model)]), [0, 4]),
+    `<h2>Top ${report.epics.length} epics</h2>`,
+    htmlTable(
+      ["#", "Epic", "PD", "Score", "What drives the score"],
+      report.epics.map(e => [
+        e.position,
+        escapeHTML(e.name) + (e.override ? `<div class="note">Placed by hand (#${e.computedRank} by score): ${escapeHTML(e.override)}</div>` : ""),
+        escapeHTML(e.pd),
+        badge(e.score),
+        `<span class="drivers">${escapeHTML(e.drivers.join(", "))}</span>`,
+      ]),
+      [0],
+    ),
+    "<h2>Financials</h2>",
+    htmlTable(["", `Portfolio (${fin.portfolio.epics} epics)`, `Top ${fin.top.epics}`], FINANCIAL_ROWS.map(([label, f]) => [escapeHTML(label), escapeHTML(f(fin.portfolio)), escapeHTML(f(fin.top))]), [1, 2]),
+    "<h2>Weights</h2>",
+    htmlTable(
+      ["Factor", "Weight", "What‑if", "Effective"],
+      report.weights.map(w => [escapeHTML(w.label), w.weight, w.multiplier === 1 ? "—" : `× ${w.multiplier}`, round3(w.effective)]),
+      [1, 2, 3],
+    ),
+    "<h2>Risks</h2>",
+    report.risks.length === 0
+      ? "<p>No risk call-outs.</p>"
+      : `<ul class="risks">${report.risks.map(r => `<li>${r.level === "high" ? '<span class="high">High</span>' : "Watch"} — ${escapeHTML(r.text)}</li>`).join("\n")}</ul>`,
+  ];
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(report.title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
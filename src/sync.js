@@ -0,0 +1,139 @@
+/**
+ * Team sync with server/sync-server.js: a REST client for its revision-checked whole-workspace pushes,
+ * and the three-way merge the app runs when someone else pushed first.
+ */
+import { SCHEMA_VERSION, sameValue } from "./engine.js";
+
+const SYNC_TIMEOUT_MS = 10000;
+
+/**
+ * REST client for the sync server. Network failures and timeouts reject with TypeError/AbortError
+ * (see isOffline); anything else the server refuses rejects with its error message.
+ */
+export function createSyncClient(baseUrl) {
+  const root = `${baseUrl.replace(/\/+$/, "")}/api/workspaces`;
+  async function request(path, options = {}) {
+    const abort = new AbortController();
+    const timer = setTimeout(() => abort.abort(), SYNC_TIMEOUT_MS);
+    try {
+      const res = await fetch(root + path, { ...options, signal: abort.signal, headers: { "Content-Type": "application/json" } });
+      const body = await res.json().catch(() => null);
+      if (res.ok || res.status === 409) return { status: res.status, body };
+      throw new Error(body?.error ?? `Sync server answered ${res.status}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  return {
+    list: async () => (await request("")).body, // [{ id, name, revision, updatedAt }]
+    pull: async (id) => (await request(`/${encodeURIComponent(id)}`)).body, // { id, name, revision, updatedAt, workspace }
+    // Resolves { ok: true, revision } or, when someone pushed since baseRevision, { ok: false, remote }.
+    async push(id, baseRevision, name, workspace) {
+      const res = await request(`/${encodeURIComponent(id)}`, {
+        method: "PUT",
+        body: JSON.stringify({ baseRevision, name, workspace: { schemaVersion: SCHEMA_VERSION, ...workspace } }),
+      });
+      return res.status === 409 ? { ok: false, remote: res.body } : { ok: true, revision: res.body.revision };
+    },
+  };
+}
+
+export const isOffline = (e) => e?.name === "TypeError" || e?.name === "AbortError";
+
+/**
+ * Three-way merge of workspace parts. Whatever changed on one side only wins; PDs, epics,
+ * scenarios and baselines are matched by id and merged field by field, so two people editing
+ * different fields (or different epics) never conflict. A field changed differently on both sides,
+ * or an item deleted on one side and edited on the other, becomes a conflict; the merge keeps
+ * "mine" for it until resolved with applyMergeChoice.
+ */
+export function mergeWorkspaces(base, mine, theirs) {
+  const conflicts = [];
+  const value = (b, m, t, path, label) => {
+    if (sameValue(m, t)) return m;
+    if (sameValue(b, m)) return t;
+    if (sameValue(b, t)) return m;
+    conflicts.push({ path, label, mine: m, theirs: t });
+    return m;
+  };
+  const fields = (b = {}, m, t, path, label, nested = {}) => {
+    const out = {};
+    for (const k of new Set([...Object.keys(m), ...Object.keys(t)])) {
+      const v = nested[k] ? nested[k](b[k], m[k], t[k], [...path, k]) : value(b[k], m[k], t[k], [...path, k], `${label} · ${k}`);
+      if (v !== undefined) out[k] = v;
+    }
+    return out;
+  };
+  const byId = (b = [], m = [], t = [], path, describe, mergeItem) => {
+    const baseItems = new Map(b.map(x => [x.id, x]));
+    const mineItems = new Map(m.map(x => [x.id, x]));
+    const theirItems = new Map(t.map(x => [x.id, x]));
+    const out = [];
+    for (const id of [...t.map(x => x.id), ...m.filter(x => !theirItems.has(x.id)).map(x => x.id)]) {
+      const [bi, mi, ti] = [baseItems.get(id), mineItems.get(id), theirItems.get(id)];
+      if (mi && ti) out.push(mergeItem(bi, mi, ti, [...path, id]));
+      else if (!bi) out.push(mi ?? ti);
+      else if (!sameValue(bi, mi ?? ti)) {
+        conflicts.push({ path: [...path, id], label: `${describe(mi ?? ti)} deleted on one side, edited on the other`, mine: mi ?? null, theirs: ti ?? null });
+        if (mi) out.push(mi);
+      }
+    }
+    return out;
+  };
+  const epic = (b, m, t, path) => fields(b, m, t, path, `Epic “${m.name}”`, {
+    ratings: (br, mr, tr, p) => fields(br, mr ?? {}, tr ?? {}, p, `Ratings of epic “${m.name}”`),
+  });
+  const pd = (b, m, t, path) => fields(b, m, t, path, `PD “${m.name}”`, {
+    epics: (be, me, te, p) => byId(be, me, te, p, e => `Epic “${e.name}”`, epic),
+  });
+  const named = (kind) => (b, m, t, path) => fields(b, m, t, path, `${kind} “${m.name}”`);
+  const overrideOf = Object.fromEntries([...theirs.pds, ...mine.pds].flatMap(p => p.epics).map(e => [
+    e.id, (b, m, t, path) => value(b, m, t, path, `Rank override of epic “${e.name}”`),
+  ]));
+  const merged = {
+    pds: byId(base.pds, mine.pds, theirs.pds, ["pds"], p => `PD “${p.name}”`, pd),
+    weights: fields(base.weights, mine.weights, theirs.weights, ["weights"], "Weights"),
+    whatIf: fields(base.whatIf, mine.whatIf, theirs.whatIf, ["whatIf"], "What‑if"),
+    finance: fields(base.finance, mine.finance, theirs.finance, ["finance"], "Financials"),
+    normalization: fields(base.normalization, mine.normalization, theirs.normalization, ["normalization"], "Normalization"),
+    rating: fields(base.rating, mine.rating, theirs.rating, ["rating"], "Ratings"),
+    calibration: fields(base.calibration, mine.calibration, theirs.calibration, ["calibration"], "Calibration"),
+    scoringModel: value(base.scoringModel, mine.scoringModel, theirs.scoringModel, ["scoringModel"], "Scoring model"),
+    criteria: value(base.criteria, mine.criteria, theirs.criteria, ["criteria"], "Scoring criteria"),
+    rankOverrides: fields(base.rankOverrides, mine.rankOverrides, theirs.rankOverrides, ["rankOverrides"], "Rank override", overrideOf),
+    scenarios: byId(base.scenarios, mine.scenarios, theirs.scenarios, ["scenarios"], sc => `Scenario “${sc.name}”`, named("Scenario")),
+    baselines: byId(base.baselines, mine.baselines, theirs.baselines, ["baselines"], b => `Baseline “${b.name}”`, named("Baseline")),
+  };
+  return { merged: withoutDanglingLinks(merged), conflicts };
+}
+
+// Set a value by a mergeWorkspaces path: array steps are ids, null/undefined deletes.
+function setAtPath(node, [step, ...rest], value) {
+  if (Array.isArray(node)) {
+    const i = node.findIndex(x => x.id === step);
+    if (rest.length > 0) return i < 0 ? node : node.map((x, j) => (j === i ? setAtPath(x, rest, value) : x));
+    if (value == null) return node.filter(x => x.id !== step);
+    return i < 0 ? [...node, value] : node.map((x, j) => (j === i ? value : x));
+  }
+  if (rest.length > 0) return { ...node, [step]: setAtPath(node[step], rest, value) };
+  const { [step]: _, ...others } = node;
+  return value === undefined ? others : { ...others, [step]: value };
+}
+
+// Apply the chosen side ("mine" or "theirs") of each conflict to a merge result.
+export function applyMergeChoice(merged, conflicts, choices) {
+  const resolved = conflicts.reduce((ws, c, i) => (choices[i] === "theirs" ? setAtPath(ws, c.path, c.theirs) : ws), merged);
+  return withoutDanglingLinks(resolved);
+}
+
+// A merge can delete an epic another one still depends on; drop such links.
+function withoutDanglingLinks(ws) {
+  const ids = new Set(ws.pds.flatMap(pd => pd.epics.map(e => e.id)));
+  return {
+    ...ws,
+    pds: ws.pds.map(pd => ({
+      ...pd,
+      epics: pd.epics.map(e => (e.dependsOn?.some(d => !ids.has(d)) ? { ...e, dependsOn: e.dependsOn.filter(d => ids.has(d)) } : e)),
+    })),
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Monte Carlo uncertainty analysis: min/likely/max ranges on epic estimates are sampled and the portfolio
+ * rescored run by run, giving score percentiles and how often each epic lands in the top N.
+ */
+import { UNCERTAIN_FIELDS, clamp, isOpenEpic, scorePortfolio, withFinancials } from "./engine.js";
+
+// Range a field gets from "fill defaults": ±30% for amounts and effort, ±1 for 1–5 ratings.
+export function defaultRange(field, value) {
+  const v = Number(value) || 0;
+  const d = field.spread(v);
+  const [lo, hi] = field.bounds ?? [0, Infinity];
+  return { min: clamp(v - d, lo, hi), max: clamp(v + d, lo, hi) };
+}
+
+// Small seeded PRNG so a simulation can be re-run with identical draws.
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleTriangular(rand, min, mode, max) {
+  if (!(max > min)) return mode;
+  const u = rand();
+  const c = (mode - min) / (max - min);
+  return u < c
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function sampleEpic(epic, rand) {
+  const out = { ...epic };
+  for (const { key } of UNCERTAIN_FIELDS) {
+    const r = epic.ranges?.[key];
+    if (!r || !(r.max >= r.min)) continue;
+    out[key] = sampleTriangular(rand, r.min, clamp(Number(epic[key]), r.min, r.max), r.max);
+  }
+  return out;
+}
+
+/**
+ * Monte Carlo over the estimate ranges: every run draws each ranged field from a triangular
+ * (min, likely, max) distribution and rescores the whole portfolio, so relative models see the draw too.
+ * Returns per open epic the P10/P50/P90 score and the share of runs it ranked within the top N (ties included).
+ */
+export function simulateScores(pds, weights, model, { runs, topN, seed, finance, normalization }) {
+  const rand = mulberry32(seed);
+  const flat = pds.flatMap(pd => pd.epics.filter(isOpenEpic).map(e => ({ id: e.id, name: e.name, pd: pd.name })));
+  const draws = new Map(flat.map(e => [e.id, []]));
+  const inTop = new Map(flat.map(e => [e.id, 0]));
+  for (let r = 0; r < runs; r++) {
+    const sampled = pds.map(pd => ({ ...pd, epics: pd.epics.map(e => sampleEpic(e, rand)) }));
+    const scored = scorePortfolio(finance ? withFinancials(sampled, finance, normalization) : sampled, weights, model, normalization);
+    const epics = scored.flatMap(pd => pd.epics.filter(isOpenEpic));
+    const sorted = epics.map(e => e.score).sort((a, b) => b - a);
+    const cutoff = sorted[Math.min(topN, sorted.length) - 1];
+    for (const e of epics) {
+      draws.get(e.id).push(e.score);
+      if (e.score >= cutoff) inTop.set(e.id, inTop.get(e.id) + 1);
+    }
+  }
+  return flat.map(e => {
+    const sorted = draws.get(e.id).sort((a, b) => a - b);
+    return {
+      ...e,
+      p10: percentile(sorted, 0.1),
+      p50: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9),
+      pTop: runs > 0 ? inTop.get(e.id) / runs : 0,
+    };
+  });
+}
@@ -0,0 +1,34 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_WEIGHTS } from "../src/engine.js";
+import { AHP_MAX_CR, ahpJudgment, ahpPairs, ahpPriorities, describeJudgment, weightsFromPriorities } from "../src/ahp.js";
+
+const criteria = ["roi", "strategic", "risk"];
+
+test("consistent answers give their priorities and a consistency ratio of 0", () => {
+  assert.deepEqual(ahpPairs(criteria), [["roi", "strategic"], ["roi", "risk"], ["strategic", "risk"]]);
+  const judgments = { "roi|strategic": 2, "roi|risk": 4, "strategic|risk": 2 };
+  assert.equal(ahpJudgment(judgments, "risk", "roi"), 1 / 4);
+  const result = ahpPriorities(criteria, judgments);
+  assert.ok(Math.abs(result.priorities.roi - 4 / 7) < 1e-9);
+  assert.ok(Math.abs(result.priorities.risk - 1 / 7) < 1e-9);
+  assert.ok(result.cr < 1e-9);
+  assert.equal(result.consistent, true);
+  assert.deepEqual(result.flagged, []);
+  assert.equal(describeJudgment("roi", "risk", 4), "ROI matters moderately to strongly more than Risk");
+});
+
+test("contradicting answers are flagged, worst first", () => {
+  const result = ahpPriorities(criteria, { "roi|strategic": 9, "strategic|risk": 9, "risk|roi": 9 });
+  assert.ok(result.cr > AHP_MAX_CR);
+  assert.equal(result.consistent, false);
+  assert.ok(result.flagged.length > 0);
+  assert.ok(result.flagged.every((f, i) => i === 0 || f.deviation <= result.flagged[i - 1].deviation));
+});
+
+test("weightsFromPriorities keeps penalty signs and the total weight size", () => {
+  const current = { ...DEFAULT_WEIGHTS, roi: 0.4, strategic: 0.2, risk: -0.2 };
+  const next = weightsFromPriorities({ roi: 0.5, strategic: 0.25, risk: 0.25 }, current);
+  assert.deepEqual([next.roi, next.strategic, next.risk], [0.4, 0.2, -0.2]);
+  assert.equal(next.effort, current.effort, "criteria left out keep their weight");
+});
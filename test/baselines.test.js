@@ -0,0 +1,36 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_WEIGHTS, migrateWorkspace } from "../src/engine.js";
+import { compareScenarios, diffBaseline, makeBaseline } from "../src/baselines.js";
+import { epic } from "./fixtures.js";
+
+const ws = migrateWorkspace({
+  schemaVersion: 4,
+  pds: [{ id: "p", name: "P", epics: [epic("a", { roi: 3 }), epic("b", { roi: 1 })] }],
+  weights: DEFAULT_WEIGHTS,
+  whatIf: {},
+});
+
+test("diffBaseline explains each score movement by its drivers", () => {
+  const baseline = makeBaseline("Q1", ws);
+  assert.deepEqual(baseline.ranks.epics.map(e => [e.id, e.rank]), [["a", 1], ["b", 2]]);
+  const live = {
+    ...ws,
+    weights: { ...ws.weights, roi: 0.2 },
+    pds: [{ ...ws.pds[0], epics: [ws.pds[0].epics[0], { ...ws.pds[0].epics[1], roi: 6 }, epic("c"), epic("d", { roi: 9, status: "dropped" })] }],
+  };
+  const diff = diffBaseline(baseline, live);
+  assert.deepEqual(diff.summary, { up: 1, down: 1, added: 1, removed: 0 }, "the dropped epic is not ranked");
+  assert.deepEqual(diff.settings, ["weight roi 0.4 → 0.2"]);
+  const b = diff.epics.find(e => e.id === "b");
+  assert.deepEqual(b.drivers.map(d => d.label), ["weight roi 0.4 → 0.2", "roi 1 → 6"]);
+  assert.equal(b.drivers.reduce((s, d) => s + d.delta, 0), b.dScore);
+});
+
+test("compareScenarios ranks against the first scenario", () => {
+  const pds = [{ ...ws.pds[0], epics: [...ws.pds[0].epics, epic("z", { roi: 9, status: "delivered" })] }];
+  const { epics } = compareScenarios(pds, ws.weights, [{ whatIf: {} }, { whatIf: { roi: 0 } }], "weighted");
+  assert.deepEqual(epics.map(e => e.id), ["a", "b"]);
+  assert.equal(epics[0].cells[0].dRank, 0);
+  assert.ok(epics[0].cells[1].dScore < 0);
+});
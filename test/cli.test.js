@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../bin/psa.js", import.meta.url));
+
+const BACKLOG = {
+  schemaVersion: 4,
+  pds: [{
+    id: "p1",
+    name: "Checkout",
+    owner: "Web",
+    epics: [
+      { id: "e1", name: "One-click", roi: 3, effort: 8, risk: 2, strategic: 4, okr: 4, timeCriticality: 3, customerImpact: 5, confidence: 0.8, dependencies: 0, revenueEUR: 0, opexEUR: 0, capexEUR: 0, autoROI: false },
+      { id: "e2", name: "Wallets", roi: 1, effort: 20, risk: 4, strategic: 3, okr: 2, timeCriticality: 2, customerImpact: 3, confidence: 0.5, dependencies: 1, revenueEUR: 0, opexEUR: 0, capexEUR: 0, autoROI: false },
+    ],
+  }],
+  weights: {},
+  whatIf: {},
+};
+
+function psa(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], (error, stdout, stderr) => resolve({ code: error?.code ?? 0, stdout, stderr }));
+  });
+}
+
+test("psa score", async (t) => {
+  const dir = await mkdtemp(path.join(tmpdir(), "psa-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const backlog = path.join(dir, "backlog.json");
+  await writeFile(backlog, JSON.stringify(BACKLOG));
+
+  await t.test("prints a ranked table", async () => {
+    const { code, stdout } = await psa(["score", backlog]);
+    assert.equal(code, 0);
+    assert.match(stdout, /^#\s+Score\s+Epic/);
+    assert.ok(stdout.indexOf("One-click") < stdout.indexOf("Wallets"));
+  });
+
+  await t.test("writes the app's CSV columns", async () => {
+    const { stdout } = await psa(["score", backlog, "--format", "csv"]);
+    const [header, first] = stdout.trim().split("\n");
+    assert.match(header, /^"PD Name","Owner"/);
+    assert.match(first, /^"Checkout","Web","max","","One-click"/);
+  });
+
+  await t.test("applies a weights file", async () => {
+    const weights = path.join(dir, "weights.json");
+    await writeFile(weights, JSON.stringify({ effort: 0, risk: 0, dependencies: 0 }));
+    const before = JSON.parse((await psa(["score", backlog, "--format", "json"])).stdout);
+    const after = JSON.parse((await psa(["score", backlog, "--weights", weights, "--format", "json"])).stdout);
+    assert.equal(after.weights.effort, 0);
+    assert.ok(after.backlog[1].score > before.backlog[1].score);
+  });
+
+  await t.test("rejects bad input", async () => {
+    assert.equal((await psa(["score", backlog, "--format", "xml"])).code, 2);
+    const missing = await psa(["score", path.join(dir, "nope.json")]);
+    assert.equal(missing.code, 1);
+    assert.match(missing.stderr, /no such file/);
+    const typo = path.join(dir, "typo.json");
+    await writeFile(typo, JSON.stringify({ efort: 0 }));
+    const unknown = await psa(["score", backlog, "--weights", typo]);
+    assert.equal(unknown.code, 1);
+    assert.match(unknown.stderr, /unknown weights efort/);
+  });
+});
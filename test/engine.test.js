@@ -0,0 +1,236 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  CSV_EPIC_FIELDS, DEFAULT_EPIC, DEFAULT_NORMALIZATION, DEFAULT_WEIGHTS, EPIC_FIELD_RANGES, SCHEMA_VERSION,
+  aggregateScores, computeEpicScore, computeFinancials, computeROI, csvRows, decodeShareLink, effectiveWeights,
+  calibrationReport, encodeShareLink, explainEpicScore, filterPortfolio, findDependencyCycles, migrateWorkspace, parseFilterQuery, ratingStats, moveInBacklog, normalizeRaws, pdsFromCSV,
+  rankedBacklog, scorePortfolio, scoreWorkspace, shareableWorkspace, toCSV, validateWorkspace, withCalibration, withDependencyCounts,
+} from "../src/engine.js";
+import { epic } from "./fixtures.js";
+
+const workspace = (pds, extra = {}) => migrateWorkspace({ schemaVersion: 4, pds, weights: DEFAULT_WEIGHTS, whatIf: {}, ...extra });
+
+test("computeROI divides revenue by costs with Auto-ROI and takes the manual ROI otherwise", () => {
+  assert.equal(computeROI({ autoROI: true, revenueEUR: 300, opexEUR: 50, capexEUR: 50 }), 3);
+  assert.equal(computeROI({ autoROI: true, revenueEUR: 300, opexEUR: 0, capexEUR: 0 }), 300);
+  assert.equal(computeROI({ autoROI: false, roi: 1.5, revenueEUR: 300 }), 1.5);
+});
+
+test("effectiveWeights multiplies each weight by its what-if multiplier", () => {
+  assert.deepEqual(effectiveWeights({ roi: 0.4, risk: -0.1 }, { roi: 2 }), { roi: 0.8, risk: -0.1 });
+});
+
+test("weighted score: factor contributions, raw sum and 0–100 scaling", () => {
+  const e = epic("a", { roi: 2, effort: 10, risk: 2, strategic: 4, okr: 3, timeCriticality: 4, customerImpact: 4, confidence: 0.8, externalDependencies: 1 });
+  const explained = explainEpicScore(e, DEFAULT_WEIGHTS);
+  const contribution = Object.fromEntries(explained.factors.map(f => [f.key, f.contribution]));
+  assert.ok(Math.abs(contribution.roi - 0.4 * Math.tanh(2 / 2.5)) < 1e-9);
+  assert.ok(Math.abs(contribution.effort - -0.2 * (10 / 40)) < 1e-9);
+  assert.ok(Math.abs(contribution.strategic - 0.12 * 0.75) < 1e-9);
+  assert.equal(explained.score, Math.round((explained.raw + 1) * 50));
+  assert.equal(computeEpicScore(e, DEFAULT_WEIGHTS), 75);
+});
+
+test("a new epic scores as before dependency links existed", () => {
+  // The old 0–5 dependency count defaulted to 1; externalDependencies keeps that default.
+  assert.equal(DEFAULT_EPIC.externalDependencies, 1);
+  assert.equal(computeEpicScore({ ...DEFAULT_EPIC }, DEFAULT_WEIGHTS), 56);
+  assert.equal(computeEpicScore({ ...DEFAULT_EPIC, externalDependencies: 0 }, DEFAULT_WEIGHTS), 57);
+});
+
+test("aggregateScores: max, average and sum capped at 100", () => {
+  assert.equal(aggregateScores([40, 70, 20]), 70);
+  assert.equal(aggregateScores([40, 70, 20], "average"), 43);
+  assert.equal(aggregateScores([40, 70, 20], "sum"), 100);
+  assert.equal(aggregateScores([], "sum"), 0);
+});
+
+test("normalizeRaws spreads raws by mode", () => {
+  const raws = [-0.5, 0, 0.5];
+  assert.deepEqual(normalizeRaws(raws, "absolute"), [25, 50, 75]);
+  assert.deepEqual(normalizeRaws(raws, "minmax"), [0, 50, 100]);
+  assert.deepEqual(normalizeRaws(raws, "percentile"), [0, 50, 100]);
+  assert.deepEqual(normalizeRaws(raws, "zscore"), [30, 50, 70]);
+  assert.deepEqual(normalizeRaws([0.2, 0.2], "minmax"), [50, 50]);
+});
+
+test("computeFinancials discounts the ramp-up and finds IRR and payback", () => {
+  const fin = computeFinancials({ revenueEUR: 100, opexEUR: 20, capexEUR: 100, cashFlow: { ramp: [0.5, 1] } }, 0.1);
+  assert.deepEqual(fin.flows, [-100, 30, 80]);
+  assert.ok(Math.abs(fin.npv - (-100 + 30 / 1.1 + 80 / 1.21)) < 1e-9);
+  assert.ok(Math.abs(-100 + 30 / (1 + fin.irr) + 80 / (1 + fin.irr) ** 2) < 1e-6);
+  assert.equal(fin.payback, 1.875);
+});
+
+test("scorePortfolio scores every model and aggregates per PD", () => {
+  const pds = [
+    { id: "p", name: "P", agg: "average", epics: [epic("a", { reach: 100, effort: 10 }), epic("b", { reach: 50, effort: 10 })] },
+    { id: "q", name: "Q", model: "rice", epics: [epic("c", { reach: 200, effort: 5 })] },
+  ];
+  const [p, q] = scorePortfolio(pds, DEFAULT_WEIGHTS);
+  assert.deepEqual(p.epics.map(e => e.modelScores.rice), [25, 13]); // 6 and 3 against the best raw of 24
+  assert.equal(p.pdScore, Math.round((p.epics[0].score + p.epics[1].score) / 2));
+  assert.equal(q.scoringModel, "rice");
+  assert.equal(q.pdScore, 100);
+});
+
+test("delivered epics do not rescale the open ones", () => {
+  const pds = [{ id: "p", name: "P", epics: [
+    epic("done", { status: "delivered", reach: 10000, effort: 1, roi: 9 }),
+    epic("a", { reach: 100, effort: 10, roi: 2 }),
+    epic("b", { reach: 50, effort: 10, roi: 1 }),
+  ] }];
+  const [rice] = scorePortfolio([{ ...pds[0], model: "rice" }], DEFAULT_WEIGHTS);
+  assert.deepEqual(rice.epics.map(e => e.score), [100, 100, 50]);
+  assert.equal(rice.pdScore, 100);
+  const [minmax] = scorePortfolio(pds, DEFAULT_WEIGHTS, "weighted", { ...DEFAULT_NORMALIZATION, mode: "minmax" });
+  assert.deepEqual(minmax.epics.slice(1).map(e => e.score), [100, 0]);
+});
+
+test("dependency links: transitive counts and cycles", () => {
+  const pds = [{ id: "p", name: "P", epics: [epic("a", { dependsOn: ["b"] }), epic("b", { dependsOn: ["c"] }), epic("c")] }];
+  const counted = withDependencyCounts(pds)[0].epics;
+  assert.deepEqual(counted.map(e => [e.depUpstream, e.depDownstream]), [[2, 0], [1, 1], [0, 2]]);
+  assert.deepEqual(findDependencyCycles(pds), []);
+  pds[0].epics[2].dependsOn = ["a"];
+  assert.equal(findDependencyCycles(pds).length, 1);
+});
+
+test("rankedBacklog pins overrides and moveInBacklog keeps other pins in place", () => {
+  const pds = [{ id: "p", name: "P", epics: [{ id: "a", name: "A", score: 90 }, { id: "b", name: "B", score: 50 }, { id: "c", name: "C", score: 70 }] }];
+  assert.deepEqual(rankedBacklog(pds, {}).map(r => r.id), ["a", "c", "b"]);
+  const overrides = moveInBacklog(rankedBacklog(pds, {}), "b", 1, "contract", "2026-01-01T00:00:00.000Z");
+  const rows = rankedBacklog(pds, overrides);
+  assert.deepEqual(rows.map(r => [r.id, r.shift]), [["b", 2], ["a", -1], ["c", -1]]);
+  const again = rankedBacklog(pds, moveInBacklog(rows, "c", 2, "launch", "2026-01-02T00:00:00.000Z"));
+  assert.deepEqual(again.map(r => r.id), ["b", "c", "a"]);
+  assert.equal(again[0].override.reason, "contract");
+});
+
+test("CSV export reads back through pdsFromCSV", () => {
+  const ws = workspace([{ id: "p", name: "Checkout", owner: "Web", agg: "max", epics: [epic("a", { roi: 2.5, dependsOn: ["b"] }), epic("b", { effort: 3 })] }]);
+  const text = toCSV(csvRows(scoreWorkspace(ws)));
+  const [pd] = pdsFromCSV(text);
+  assert.equal(pd.name, "Checkout");
+  assert.equal(pd.owner, "Web");
+  assert.deepEqual(pd.epics.map(e => [e.name, e.roi, e.effort]), [["A", 2.5, 8], ["B", 1, 3]]);
+  assert.deepEqual(pd.epics[0].dependsOnNames, ["B"]);
+});
+
+test("filter queries narrow PDs and the epics inside them", () => {
+  const ws = workspace([
+    { id: "p", name: "Checkout", owner: "Apps", epics: [epic("a", { roi: 3, risk: 2 }), epic("b", { roi: 1, risk: 4, autoROI: true })] },
+    { id: "q", name: "Search", owner: "Web", epics: [epic("c", { roi: 2, risk: 1, dependsOn: ["a"] })] },
+    { id: "r", name: "Empty", owner: "Apps", epics: [] },
+  ]);
+  const pds = scoreWorkspace(ws);
+  const shown = text => filterPortfolio(pds, parseFilterQuery(text).clauses).map(pd => `${pd.name}:${pd.epics.map(e => e.name).join("")}`);
+
+  assert.deepEqual(shown(""), ["Checkout:AB", "Search:C", "Empty:"]);
+  assert.deepEqual(shown("owner:apps"), ["Checkout:AB", "Empty:"]);
+  assert.deepEqual(shown("owner:Apps risk<=2"), ["Checkout:A"]);
+  assert.deepEqual(shown("roi>1.5"), ["Checkout:A", "Search:C"]);
+  assert.deepEqual(shown("autoROI:false -pd:search"), ["Checkout:A"]);
+  assert.deepEqual(shown('"check"'), ["Checkout:AB"]);
+  assert.deepEqual(shown('"check" b'), ["Checkout:B"]);
+  assert.deepEqual(shown("dependencies>1"), ["Search:C"], "linked upstream epics count like in scoring");
+  assert.deepEqual(shown("epic=c"), ["Search:C"]);
+
+  const { clauses, errors } = parseFilterQuery("colour:red score>=high autoROI:maybe owner>3 risk<3");
+  assert.equal(clauses.length, 1);
+  assert.deepEqual(errors, ["Unknown field “colour”", "score needs a number, not “high”", "autoROI needs true or false, not “maybe”", "owner can't be compared with >"]);
+  assert.deepEqual(parseFilterQuery("regulatory>=4", [{ key: "regulatory" }]).errors, []);
+
+  const rows = csvRows(pds, { filter: parseFilterQuery("risk<=2").clauses });
+  assert.deepEqual(rows.slice(1).map(r => r[4]), ["A", "C"]);
+  assert.equal(rows[2][rows[0].indexOf("Backlog Position")], rankedBacklog(pds, {}).find(r => r.id === "c").position);
+});
+
+test("ratings: aggregation methods, scoring and disagreement", () => {
+  const ratings = { Ana: { strategic: 1, okr: 4 }, Ben: { strategic: 2 }, Cem: { strategic: 5, okr: 4 }, Dee: {} };
+  assert.deepEqual(ratingStats(ratings, "strategic"), { value: 2.67, spread: 4, count: 3 });
+  assert.equal(ratingStats(ratings, "strategic", "median").value, 2);
+  assert.equal(ratingStats(ratings, "strategic", "trimmed").value, 2);
+  assert.equal(ratingStats({ Ana: { okr: 1 }, Ben: { okr: 5 } }, "okr", "trimmed").value, 3);
+  assert.equal(ratingStats(ratings, "customerImpact"), null);
+
+  const ws = workspace([{ id: "p", name: "P", epics: [epic("a", { strategic: 5, ratings }), epic("b", { strategic: 5 })] }]);
+  const [pd] = scoreWorkspace(ws);
+  assert.equal(pd.epics[0].strategic, 2.67);
+  assert.equal(pd.epics[0].okr, 4);
+  assert.deepEqual(pd.epics[0].disagreement, ["strategic"]);
+  assert.ok(pd.epics[0].score < pd.epics[1].score, "the raters' lower strategic rating counts, not the typed 5");
+  assert.equal(scoreWorkspace({ ...ws, rating: { method: "mean", disagreement: 5 } })[0].epics[0].disagreement.length, 0);
+  assert.deepEqual(filterPortfolio([pd], parseFilterQuery("disagree:true").clauses)[0].epics.map(e => e.name), ["A"]);
+
+  const back = pdsFromCSV(toCSV(csvRows(scoreWorkspace(ws))));
+  assert.deepEqual([back[0].epics[0].strategic, back[0].epics[0].okr], [5, ws.pds[0].epics[0].okr], "typed values, not the raters' aggregate");
+
+  const bad = { ...ws, rating: { method: "mode", disagreement: 2 } };
+  bad.pds = [{ ...ws.pds[0], epics: [{ ...ws.pds[0].epics[0], ratings: { Ana: { strategic: 7, risk: 2 } } }] }];
+  assert.deepEqual(validateWorkspace(bad).map(e => e.path), ["pds[0].epics[0].ratings.Ana.strategic", "pds[0].epics[0].ratings.Ana.risk", "rating.method"]);
+});
+
+test("closed epics stop counting and delivered ones calibrate open estimates", () => {
+  const ws = workspace([
+    { id: "p", name: "P", owner: "Web", agg: "sum", epics: [
+      epic("a", { status: "delivered", effort: 10, actualEffort: 15, revenueEUR: 1000, actualRevenueEUR: 500 }),
+      epic("b", { status: "inProgress", effort: 8 }),
+      epic("c", { status: "dropped", effort: 2 }),
+    ] },
+    { id: "q", name: "Q", owner: "App", epics: [epic("d", { effort: 4 }), epic("e", { status: "delivered", effort: 5, actualEffort: 5 })] },
+  ]);
+  const [effort, revenue] = calibrationReport(ws.pds);
+  assert.deepEqual(effort.owners.map(o => [o.owner, o.factor]), [["App", 1], ["Web", 1.5]]);
+  assert.equal(effort.all.factor, 20 / 15);
+  assert.deepEqual(revenue.rows.map(r => r.id), ["a"]);
+
+  const corrected = withCalibration(ws.pds, { effort: true, revenueEUR: false });
+  assert.equal(corrected[0].epics[1].effort, 12);
+  assert.deepEqual(corrected[0].epics[1].estimates, { effort: { value: 8, factor: 1.5 } });
+  assert.equal(corrected[0].epics[0].effort, 10, "delivered epics keep their estimate");
+  assert.equal(corrected[1].epics[0].effort, 4);
+  const newcomer = { ...ws.pds[1], owner: "New", epics: [ws.pds[1].epics[0]] };
+  assert.equal(withCalibration([ws.pds[0], newcomer], { effort: true })[1].epics[0].effort, 6, "no history falls back to all owners");
+  assert.equal(withCalibration(ws.pds, { effort: false, revenueEUR: false }), ws.pds);
+
+  const [p] = scoreWorkspace(ws);
+  assert.equal(p.pdScore, p.epics[1].score, "only the open epic is summed");
+  assert.deepEqual(rankedBacklog(scoreWorkspace(ws), {}).map(r => r.id).sort(), ["b", "d"]);
+  assert.equal(parseFilterQuery("status:delivered").errors.length, 0);
+  assert.deepEqual(filterPortfolio(scoreWorkspace(ws), parseFilterQuery("open:false").clauses).flatMap(pd => pd.epics.map(e => e.id)), ["a", "c", "e"]);
+
+  const back = pdsFromCSV(toCSV(csvRows(scoreWorkspace({ ...ws, calibration: { effort: true, revenueEUR: false } }))));
+  assert.deepEqual(back[0].epics.map(e => [e.status, e.effort, e.actualEffort]), [["delivered", 10, 15], ["inProgress", 8, undefined], ["dropped", 2, undefined]]);
+
+  for (const [column, field] of CSV_EPIC_FIELDS) assert.ok(EPIC_FIELD_RANGES[field], `${column} has a range for tracker and file imports`);
+
+  const bad = { ...ws, calibration: { effort: "yes", revenueEUR: false } };
+  bad.pds = [{ ...ws.pds[0], epics: [{ ...ws.pds[0].epics[0], status: "done", actualEffort: -1 }] }];
+  assert.deepEqual(validateWorkspace(bad).map(e => e.path), ["pds[0].epics[0].status", "pds[0].epics[0].actualEffort", "calibration.effort"]);
+});
+
+test("workspace files: old versions migrate, bad values are reported", () => {
+  const ws = migrateWorkspace([{ id: "p", name: "P", epics: [{ id: "a", name: "A", roi: 2, effort: 5, risk: 3, strategic: 3, timeCriticality: 3, customerImpact: 3, confidence: 0.5, dependencies: 2 }] }]);
+  assert.equal(ws.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(validateWorkspace(ws), []);
+  assert.equal(ws.pds[0].epics[0].externalDependencies, 2);
+  const errors = validateWorkspace({ ...ws, weights: { ...ws.weights, roi: "high" } });
+  assert.deepEqual(errors.map(e => e.path), ["weights.roi"]);
+  for (const schemaVersion of [0, -3, "4", 2.5]) {
+    assert.throws(() => migrateWorkspace({ schemaVersion, pds: [] }), { message: `1 problem(s) found:\n• schemaVersion must be an integer 1–${SCHEMA_VERSION} (got ${JSON.stringify(schemaVersion)})` });
+  }
+  assert.throws(() => migrateWorkspace({ schemaVersion: SCHEMA_VERSION + 1, pds: [] }), /newer than this app/);
+  assert.throws(() => migrateWorkspace({ pds: [] }), /Unrecognized file/);
+});
+
+test("share links round-trip a workspace through the URL fragment", async () => {
+  const ws = workspace([{ id: "p", name: "Café", owner: "", agg: "max", epics: [epic("a")] }]);
+  const fragment = await encodeShareLink(shareableWorkspace(ws, "Q3 plan"));
+  assert.match(fragment, /^[A-Za-z0-9_-]+$/);
+  const opened = await decodeShareLink(fragment);
+  assert.equal(opened.metadata.name, "Q3 plan");
+  assert.deepEqual(opened.pds, ws.pds);
+  assert.deepEqual(opened.baselines, []);
+  await assert.rejects(decodeShareLink(fragment.slice(0, 20)), /damaged/);
+});
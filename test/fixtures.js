@@ -0,0 +1,7 @@
+/**
+ * Shared test data. Not a test file itself; node --test loads it and finds no tests.
+ */
+import { DEFAULT_EPIC } from "../src/engine.js";
+
+// A complete epic with the defaults, named after its id; manual ROI so scores don't depend on finance.
+export const epic = (id, fields = {}) => ({ ...DEFAULT_EPIC, id, name: id.toUpperCase(), autoROI: false, ...fields });
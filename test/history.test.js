@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addCriterionEdit, changeCriterionEdit, migrateWorkspace, removeCriterionEdit, validateWorkspace } from "../src/engine.js";
+import { appendAudit, auditRows, diffBacklog, partsOf, pushHistory, stepHistory } from "../src/history.js";
+import { epic } from "./fixtures.js";
+
+test("pushHistory coalesces quick edits of one field and drops the redo stack", () => {
+  let history = { past: [], future: [{ key: "x", at: 0 }] };
+  history = pushHistory(history, { key: "effort", at: 1000, pds: "before" });
+  history = pushHistory(history, { key: "effort", at: 1500, pds: "typing" });
+  assert.deepEqual(history, { past: [{ key: "effort", at: 1500, pds: "before" }], future: [] });
+  history = pushHistory(history, { key: "effort", at: 5000, pds: "later" });
+  assert.equal(history.past.length, 2);
+});
+
+test("diffBacklog and appendAudit record field changes, coalescing a typed value", () => {
+  const before = [{ id: "p", name: "P", epics: [{ id: "a", name: "A", effort: 5 }, { id: "b", name: "B" }] }];
+  const typing = [{ ...before[0], epics: [{ id: "a", name: "A", effort: 1 }, { id: "c", name: "C" }] }];
+  const after = [{ ...before[0], epics: [{ id: "a", name: "A", effort: 13 }, { id: "c", name: "C" }] }];
+  assert.deepEqual(diffBacklog(before, typing).map(e => [e.epicId, e.kind, e.field]), [["a", "changed", "effort"], ["c", "created", undefined], ["b", "removed", undefined]]);
+
+  let log = appendAudit([], diffBacklog(before, typing).slice(0, 1), 1000, "edit");
+  log = appendAudit(log, diffBacklog(typing, after).slice(0, 1), 1500, "edit");
+  assert.deepEqual(auditRows(log), [[new Date(1500).toISOString(), "edit", "P", "A", "effort", "5", "13"]]);
+  assert.deepEqual(appendAudit(log, diffBacklog(after, before).slice(0, 1), 2000, "edit"), [], "back where it started");
+});
+
+test("stepHistory undoes and redoes every part an edit replaced", () => {
+  const before = { pds: [], weights: { roi: 1 }, criteria: [], scenarios: [] };
+  const after = { ...before, weights: { roi: 2 }, criteria: [{ key: "c" }] };
+  let history = pushHistory({ past: [], future: [] }, { label: "Edit", key: "edit", at: 0, state: partsOf(before, ["weights", "criteria"]) });
+
+  const undone = stepHistory(history, after, "undo");
+  assert.deepEqual(undone.state, { weights: { roi: 1 }, criteria: [] });
+  assert.deepEqual(undone.history.future[0].state, { weights: { roi: 2 }, criteria: [{ key: "c" }] });
+  history = undone.history;
+  const redone = stepHistory(history, { ...after, ...undone.state }, "redo");
+  assert.deepEqual(redone.state, { weights: { roi: 2 }, criteria: [{ key: "c" }] });
+  assert.equal(stepHistory(redone.history, after, "redo"), null);
+});
+
+test("criterion edits undo as one step and leave a valid workspace", () => {
+  const ws = migrateWorkspace([{ id: "p", name: "P", epics: [epic("a")] }]);
+  const sales = { key: "sales", label: "Sales", scale: "1-5", direction: "cost", default: 3, weight: 0.2 };
+  // What the app does: apply the edit's parts, remembering what they replaced, then undo.
+  const editAndUndo = (before, edit) => {
+    const after = { ...before, ...edit };
+    const history = pushHistory({ past: [], future: [] }, { label: "Edit", key: "edit", at: 0, state: partsOf(before, Object.keys(edit)) });
+    return { after, undone: { ...after, ...stepHistory(history, after, "undo").state } };
+  };
+
+  const added = editAndUndo(ws, addCriterionEdit(ws, sales));
+  assert.equal(added.after.weights.sales, -0.2);
+  assert.equal(added.after.pds[0].epics[0].sales, 3);
+  assert.deepEqual(validateWorkspace(added.after), []);
+  assert.deepEqual(added.undone, ws);
+  assert.deepEqual(validateWorkspace(added.undone), []);
+
+  const withSales = { ...added.after, whatIf: { ...added.after.whatIf, sales: 2 }, scenarios: [{ id: "s", name: "S", whatIf: { ...ws.whatIf, sales: 2 } }] };
+  const changed = changeCriterionEdit(withSales, "sales", { direction: "benefit" });
+  assert.deepEqual(Object.keys(changed), ["criteria", "weights"]);
+  assert.equal(changed.weights.sales, 0.2);
+  assert.throws(() => changeCriterionEdit(withSales, "sales", { label: "" }));
+
+  const removed = editAndUndo(withSales, removeCriterionEdit(withSales, "sales"));
+  assert.equal("sales" in removed.after.scenarios[0].whatIf, false);
+  assert.deepEqual(validateWorkspace(removed.after), []);
+  assert.deepEqual(removed.undone, withSales);
+  assert.deepEqual(validateWorkspace(removed.undone), []);
+});
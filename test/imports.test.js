@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_EPIC } from "../src/engine.js";
+import { TRACKER_FIELDS, guessTrackerMapping, parseTrackerExport, planCSVImport, planTrackerImport } from "../src/imports.js";
+
+const JIRA_CSV = [
+  "Issue key,Summary,Issue Type,Parent,Custom field (Story Points),Priority,Time Spent",
+  "SHOP-1,Checkout,Epic,,,,",
+  "SHOP-2,One-click,Story,SHOP-1,8,High,13",
+  "SHOP-3,Wallets,Story,SHOP-1,lots,Lowest,",
+].join("\n");
+
+const current = () => [{ id: "p", name: "Checkout", owner: "Web", agg: "max", epics: [
+  { ...DEFAULT_EPIC, id: "e1", name: "One click", externalKey: "SHOP-2", effort: 3 },
+] }];
+
+test("tracker exports: the source is detected and its usual columns mapped", () => {
+  const { source, columns, rows } = parseTrackerExport(JIRA_CSV);
+  assert.equal(source, "jira-csv");
+  assert.equal(rows.length, 3);
+  const mapping = guessTrackerMapping(source, columns);
+  assert.deepEqual([mapping.externalKey, mapping.name, mapping.pd], ["Issue key", "Summary", "Parent"]);
+  assert.deepEqual(mapping.fields.effort, { column: "Custom field (Story Points)", transform: "number" });
+  assert.deepEqual(mapping.fields.timeCriticality, { column: "Priority", transform: "level" });
+});
+
+test("planTrackerImport updates epics by key and adds the rest under their parent", () => {
+  const { columns, rows } = parseTrackerExport(JIRA_CSV);
+  const mapping = guessTrackerMapping("jira-csv", columns);
+  const { pds, changes, warnings } = planTrackerImport(current(), rows, mapping, "Jira CSV");
+  assert.deepEqual(pds[0].epics.map(e => [e.name, e.externalKey, e.effort, e.timeCriticality]), [
+    ["One-click", "SHOP-2", 8, 4],
+    ["Wallets", "SHOP-3", DEFAULT_EPIC.effort, 1],
+  ]);
+  assert.deepEqual(changes.map(c => c.type), ["updateEpic", "addEpic"]);
+  assert.deepEqual(changes[0].fields, ["name", "effort", "timeCriticality"]);
+  assert.deepEqual(warnings, [`SHOP-3: "Custom field (Story Points)" value "lots" is not a number, ignored`]);
+  assert.equal(planTrackerImport(current(), rows, { ...mapping, name: "" }, "Jira CSV").warnings.length, 1);
+});
+
+test("every tracker field can be mapped", () => {
+  const { columns, rows } = parseTrackerExport(JIRA_CSV);
+  const base = guessTrackerMapping("jira-csv", columns);
+  for (const { field } of TRACKER_FIELDS) {
+    const mapping = { ...base, fields: { [field]: { column: "Time Spent", transform: "number" } } };
+    assert.doesNotThrow(() => planTrackerImport(current(), rows, mapping, "Jira CSV"), field);
+  }
+  const { pds } = planTrackerImport(current(), rows, { ...base, fields: { actualEffort: { column: "Time Spent", transform: "number" } } }, "Jira CSV");
+  assert.equal(pds[0].epics[0].actualEffort, 13);
+});
+
+test("planCSVImport merges by name and replaces on request", () => {
+  const incoming = [
+    { name: "Checkout", owner: "web", agg: "sum", epics: [{ name: "one click", effort: 5, dependsOnNames: ["Vouchers"] }, { name: "Vouchers", effort: 2 }] },
+    { name: "Search", owner: "", agg: "max", epics: [] },
+  ];
+  const merged = planCSVImport(current(), incoming, "merge");
+  assert.equal(merged.pds[0].agg, "sum");
+  const [oneClick, vouchers] = merged.pds[0].epics;
+  assert.deepEqual([oneClick.name, oneClick.effort, oneClick.dependsOn], ["One click", 5, [vouchers.id]]);
+  assert.deepEqual(merged.changes.map(c => c.type), ["updatePD", "updateEpic", "addEpic", "addPD"]);
+  assert.deepEqual(merged.changes[1].fields, ["effort", "dependsOn"]);
+
+  const replaced = planCSVImport(current(), incoming, "replace");
+  assert.deepEqual(replaced.pds.map(pd => pd.name), ["Checkout", "Search"]);
+  assert.notEqual(replaced.pds[0].epics[0].id, "e1");
+  assert.equal(replaced.changes[0].type, "removePD");
+});
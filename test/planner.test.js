@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { knapsack, planRoadmap } from "../src/planner.js";
+
+test("knapsack finds the best subset and what each chosen item is worth", () => {
+  const { chosen, best, marginal } = knapsack([{ weight: 5, value: 10 }, { weight: 4, value: 40 }, { weight: 6, value: 30 }, { weight: 3, value: 50 }], 10);
+  assert.deepEqual(chosen, [1, 3]);
+  assert.equal(best, 90);
+  assert.deepEqual(marginal, [0, 10, 0, 20]); // without #1 the best is 80 (#2 + #3), without #3 it is 70 (#1 + #2)
+  assert.deepEqual(knapsack([{ weight: 5, value: 10 }], 0).chosen, []);
+});
+
+test("planRoadmap fills periods in order, cuts the rest and skips closed epics", () => {
+  const pds = [{ name: "P", owner: "Web", epics: [
+    { id: "a", name: "A", effort: 4, score: 80, dependsOn: ["b"] },
+    { id: "b", name: "B", effort: 4, score: 60 },
+    { id: "c", name: "C", effort: 4, score: 40 },
+    { id: "d", name: "D", effort: 1, score: 99, status: "delivered" },
+  ] }];
+  const plan = planRoadmap(pds, { objective: "score", perOwner: false, periods: [{ id: "q1", name: "Q1", capacity: 5 }, { id: "q2", name: "Q2", capacity: 4 }] });
+  assert.deepEqual(plan.periods.map(p => p.epics.map(e => e.id)), [["a"], ["b"]]);
+  assert.deepEqual(plan.periods[0].epics[0].waitsOn, ["B"]);
+  assert.deepEqual([plan.periods[0].next.id, plan.periods[0].next.needs], ["b", 3]);
+  assert.deepEqual(plan.cut.map(e => e.id), ["c"]);
+  assert.equal(plan.lostValue, 40);
+});
+
+test("knapsack scales huge capacities down instead of allocating giant tables", () => {
+  const items = Array.from({ length: 200 }, (_, i) => ({ weight: 1_000_000 + i, value: i + 1 }));
+  const { chosen, best } = knapsack(items, 50_000_000);
+  assert.ok(chosen.reduce((s, i) => s + items[i].weight, 0) <= 50_000_000);
+  assert.equal(best, 49 * 176, "the 49 most valuable items (152…200)");
+});
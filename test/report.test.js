@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_WEIGHTS, migrateWorkspace } from "../src/engine.js";
+import { buildReport, reportHTML, reportMarkdown } from "../src/report.js";
+import { epic } from "./fixtures.js";
+
+const ws = migrateWorkspace({
+  schemaVersion: 4,
+  pds: [
+    { id: "p", name: "Checkout", owner: "Web", epics: [
+      epic("One-click", { name: "One-click", roi: 3, risk: 4, dependsOn: ["Wallets"], revenueEUR: 1000, opexEUR: 100, capexEUR: 400 }),
+      epic("Wallets", { name: "Wallets", effort: 30, confidence: 0.3, revenueEUR: 500, opexEUR: 0, capexEUR: 500 }),
+    ] },
+    { id: "q", name: "Search <beta>", model: "rice", epics: [epic("Typos", { name: "Typos", reach: 100 })] },
+  ],
+  weights: DEFAULT_WEIGHTS,
+  whatIf: { roi: 1.5 },
+});
+
+test("buildReport ranks PDs and epics and totals the financials", () => {
+  const report = buildReport(ws, { topN: 2 });
+  assert.deepEqual(report.pds.map(pd => pd.name), ["Search <beta>", "Checkout"]);
+  assert.deepEqual(report.epics.map(e => e.name), ["Typos", "One-click"]);
+  assert.match(report.epics[1].drivers[0], /^ROI \+/);
+  assert.match(report.epics[0].drivers[0], /^Reach 100 × Impact 1/);
+  assert.deepEqual(report.financials.portfolio, { epics: 3, revenue: 1500, opex: 100, capex: 900, roi: 1.5, npv: report.financials.portfolio.npv });
+  assert.equal(report.financials.top.revenue, 1000);
+  assert.deepEqual(report.weights.find(w => w.label === "ROI"), { label: "ROI", weight: 0.4, multiplier: 1.5, effective: 0.4 * 1.5 });
+});
+
+test("risk call-outs cover the top epics", () => {
+  const texts = buildReport(ws, { topN: 2 }).risks.map(r => r.text);
+  assert.ok(texts.includes("#2 One-click is rated risk 4/5"));
+  assert.ok(texts.includes("#2 One-click depends on Wallets, ranked #3"));
+  assert.ok(!texts.some(t => t.includes("low confidence")), "Wallets is outside the top 2");
+  const all = buildReport(ws, { topN: 3 }).risks.map(r => r.text);
+  assert.ok(all.includes("#3 Wallets has low confidence in its estimates (30%)"));
+});
+
+test("manual overrides reorder the top epics and are explained", () => {
+  const report = buildReport({ ...ws, rankOverrides: { Wallets: { position: 1, reason: "Partner deadline", at: "2026-01-01T00:00:00.000Z" } } }, { topN: 3 });
+  assert.equal(report.epics[0].name, "Wallets");
+  assert.equal(report.epics[0].override, "Partner deadline");
+  assert.match(reportMarkdown(report), /Wallets \(placed by hand, #3 by score\)/);
+});
+
+test("Markdown and HTML renderings", () => {
+  const report = buildReport(ws, { title: "Q3 | review", now: new Date("2026-03-01T09:30:00Z") });
+  const md = reportMarkdown(report);
+  assert.match(md, /^# Q3 \| review\n/);
+  assert.match(md, /_Generated 2026-03-01 09:30 UTC/);
+  assert.match(md, /\| 1 \| Search <beta> \| — \| 100 \|/);
+  for (const heading of ["## Product Deliverables", "## Top 3 epics", "## Financials", "## Weights", "## Risks"]) assert.ok(md.includes(heading), heading);
+  const html = reportHTML(report);
+  assert.match(html, /^<!doctype html>/);
+  assert.ok(html.includes("Search &lt;beta&gt;"));
+  assert.ok(!html.includes("<beta>"));
+  assert.match(html, /@media print/);
+});
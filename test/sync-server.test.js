@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createSyncClient, isOffline } from "../src/sync.js";
+
+const SERVER = fileURLToPath(new URL("../server/sync-server.js", import.meta.url));
+
+const workspace = (name) => ({ schemaVersion: 4, pds: [{ id: "p", name, epics: [] }] });
+
+// Start the server on a free port; resolves its base URL.
+async function start(t) {
+  const dir = await mkdtemp(path.join(tmpdir(), "psa-sync-"));
+  const child = spawn(process.execPath, [SERVER, "--port", "0", "--data", dir], { stdio: ["ignore", "pipe", "inherit"] });
+  t.after(async () => {
+    if (child.exitCode === null) {
+      child.kill();
+      await once(child, "exit");
+    }
+    await rm(dir, { recursive: true, force: true });
+  });
+  let output = "";
+  for await (const chunk of child.stdout) {
+    output += chunk;
+    const port = output.match(/localhost:(\d+)/)?.[1];
+    if (port) return `http://localhost:${port}`;
+  }
+  throw new Error(`Server did not start: ${output}`);
+}
+
+test("sync server", async (t) => {
+  const url = await start(t);
+  const api = (p, options) => fetch(`${url}/api/workspaces${p}`, options);
+  const client = createSyncClient(url);
+
+  await t.test("creates a workspace at revision 1 and lists it", async () => {
+    assert.deepEqual(await client.push("team", 0, "Team", workspace("Checkout")), { ok: true, revision: 1 });
+    assert.deepEqual((await client.list()).map(({ id, name, revision }) => ({ id, name, revision })), [{ id: "team", name: "Team", revision: 1 }]);
+    const doc = await client.pull("team");
+    assert.equal(doc.workspace.pds[0].name, "Checkout");
+  });
+
+  await t.test("answers a stale revision with 409 and the current document", async () => {
+    const res = await api("/team", { method: "PUT", body: JSON.stringify({ baseRevision: 0, workspace: workspace("Search") }) });
+    assert.equal(res.status, 409);
+    const body = await res.json();
+    assert.equal(body.revision, 1);
+    assert.equal(body.workspace.pds[0].name, "Checkout");
+  });
+
+  await t.test("a retry on the current revision goes through", async () => {
+    const first = await client.push("team", 0, "Team", workspace("Search"));
+    assert.equal(first.ok, false);
+    const retry = await client.push("team", first.remote.revision, "Team", workspace("Search"));
+    assert.deepEqual(retry, { ok: true, revision: 2 });
+    assert.equal((await client.pull("team")).workspace.pds[0].name, "Search");
+  });
+
+  await t.test("a push to a deleted workspace gets a 409 without contents and republishing at revision 0 works", async () => {
+    assert.deepEqual(await client.push("gone", 0, "Gone", workspace("Old")), { ok: true, revision: 1 });
+    assert.equal((await api("/gone", { method: "DELETE" })).status, 200);
+    assert.deepEqual(await client.push("gone", 1, "Gone", workspace("Local")), { ok: false, remote: { id: "gone", revision: 0 } });
+    assert.deepEqual(await client.push("gone", 0, "Gone", workspace("Local")), { ok: true, revision: 1 });
+    assert.equal((await client.pull("gone")).workspace.pds[0].name, "Local");
+  });
+
+  await t.test("rejects bad ids and bodies with 400", async () => {
+    for (const id of ["%E0%A4", "no.dots"]) {
+      const res = await api(`/${id}`);
+      assert.equal(res.status, 400, id);
+      assert.deepEqual(await res.json(), { error: "Invalid workspace id" });
+    }
+    assert.equal((await api("/team", { method: "PUT", body: "{" })).status, 400);
+    assert.equal((await api("/team", { method: "PUT", body: JSON.stringify({ baseRevision: 2, workspace: {} }) })).status, 400);
+    await assert.rejects(client.pull("nobody"), /No such workspace/);
+  });
+});
+
+test("an unreachable server counts as offline", async () => {
+  const error = await createSyncClient("http://127.0.0.1:9").list().catch(e => e);
+  assert.ok(isOffline(error), String(error));
+});
@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_WEIGHTS, migrateWorkspace } from "../src/engine.js";
+import { applyMergeChoice, mergeWorkspaces } from "../src/sync.js";
+import { epic } from "./fixtures.js";
+
+const { schemaVersion, metadata, ...base } = migrateWorkspace({
+  schemaVersion: 4,
+  pds: [{ id: "p", name: "Checkout", owner: "Web", agg: "max", epics: [epic("a", { effort: 5 }), epic("b", { dependsOn: ["a"] })] }],
+  weights: DEFAULT_WEIGHTS,
+  whatIf: {},
+});
+
+const edit = (ws, id, fields) => ({
+  ...ws,
+  pds: ws.pds.map(pd => ({ ...pd, epics: pd.epics.map(e => (e.id === id ? { ...e, ...fields } : e)) })),
+});
+
+test("mergeWorkspaces combines edits to different fields and epics", () => {
+  const mine = edit(base, "a", { effort: 8 });
+  const theirs = { ...edit(base, "a", { risk: 5 }), weights: { ...base.weights, roi: 0.5 } };
+  const { merged, conflicts } = mergeWorkspaces(base, mine, theirs);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual([merged.pds[0].epics[0].effort, merged.pds[0].epics[0].risk, merged.weights.roi], [8, 5, 0.5]);
+});
+
+test("the same field changed differently conflicts and keeps mine until resolved", () => {
+  const mine = edit(base, "a", { effort: 8 });
+  const theirs = edit(base, "a", { effort: 13 });
+  const { merged, conflicts } = mergeWorkspaces(base, mine, theirs);
+  assert.deepEqual(conflicts.map(c => [c.path, c.mine, c.theirs]), [[["pds", "p", "epics", "a", "effort"], 8, 13]]);
+  assert.equal(merged.pds[0].epics[0].effort, 8);
+  assert.equal(applyMergeChoice(merged, conflicts, ["theirs"]).pds[0].epics[0].effort, 13);
+});
+
+test("deletions win over untouched items and conflict with edits", () => {
+  const withoutA = { ...base, pds: [{ ...base.pds[0], epics: base.pds[0].epics.filter(e => e.id !== "a") }] };
+  const clean = mergeWorkspaces(base, base, withoutA);
+  assert.deepEqual(clean.conflicts, []);
+  assert.deepEqual(clean.merged.pds[0].epics.map(e => [e.id, e.dependsOn]), [["b", []]], "links to the deleted epic are dropped");
+
+  const { merged, conflicts } = mergeWorkspaces(base, edit(base, "a", { effort: 8 }), withoutA);
+  assert.deepEqual(conflicts.map(c => [c.path, c.label, c.theirs]), [[["pds", "p", "epics", "a"], "Epic “A” deleted on one side, edited on the other", null]]);
+  assert.equal(merged.pds[0].epics.find(e => e.id === "a").effort, 8);
+  assert.deepEqual(applyMergeChoice(merged, conflicts, ["theirs"]).pds[0].epics.map(e => [e.id, e.dependsOn]), [["b", []]]);
+});
+
+test("items added on both sides, ratings per rater and overrides per epic all merge", () => {
+  const add = (ws, e) => ({ ...ws, pds: [{ ...ws.pds[0], epics: [...ws.pds[0].epics, e] }] });
+  const mine = { ...edit(add(base, epic("m")), "a", { ratings: { Ana: { strategic: 4 } } }), rankOverrides: { a: { position: 1, reason: "deadline", at: "2026-01-01" } } };
+  const theirs = { ...edit(add(base, epic("t")), "a", { ratings: { Ben: { strategic: 2 } } }), rankOverrides: { b: { position: 2, reason: "contract", at: "2026-01-02" } } };
+  const { merged, conflicts } = mergeWorkspaces(base, mine, theirs);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(merged.pds[0].epics.map(e => e.id), ["a", "b", "t", "m"]);
+  assert.deepEqual(merged.pds[0].epics[0].ratings, { Ana: { strategic: 4 }, Ben: { strategic: 2 } });
+  assert.deepEqual(Object.keys(merged.rankOverrides).sort(), ["a", "b"]);
+  assert.equal(mergeWorkspaces(base, { ...base, scoringModel: "rice" }, { ...base, scoringModel: "wsjf" }).conflicts[0].label, "Scoring model");
+});
@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_WEIGHTS, UNCERTAIN_FIELDS } from "../src/engine.js";
+import { defaultRange, percentile, simulateScores } from "../src/uncertainty.js";
+import { epic } from "./fixtures.js";
+
+test("defaultRange spreads amounts by 30% and ratings by one step within their scale", () => {
+  const field = (key) => UNCERTAIN_FIELDS.find(f => f.key === key);
+  assert.deepEqual(defaultRange(field("effort"), 10), { min: 7, max: 13 });
+  assert.deepEqual(defaultRange(field("risk"), 5), { min: 4, max: 5 });
+  assert.equal(percentile([1, 2, 3, 4], 0.5), 2.5);
+});
+
+test("simulateScores is repeatable for a seed and reflects the ranges", () => {
+  const pds = [{ id: "p", name: "P", epics: [
+    epic("sure", { effort: 5 }),
+    epic("unsure", { effort: 5, ranges: { effort: { min: 1, max: 40 } } }),
+    epic("shipped", { effort: 1, status: "delivered" }),
+  ] }];
+  const settings = { runs: 200, topN: 1, seed: 42, finance: null, normalization: undefined };
+  const rows = simulateScores(pds, DEFAULT_WEIGHTS, "weighted", settings);
+  assert.deepEqual(rows, simulateScores(pds, DEFAULT_WEIGHTS, "weighted", settings));
+  assert.deepEqual(rows.map(r => r.id), ["sure", "unsure"], "closed epics are not simulated");
+  const [sure, unsure] = rows;
+  assert.equal(sure.p10, sure.p90);
+  assert.ok(unsure.p10 < unsure.p90);
+  assert.ok(sure.pTop > 0 && sure.pTop < 1);
+});